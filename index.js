@@ -6,8 +6,19 @@ if (!semver.satisfies(process.version, version)) {
     console.log(`\t\tZigbee2mqtt requires node version ${version}, you are running ${process.version}!\n`); // eslint-disable-line
 }
 
+// A backup archive has to be restored before the settings are loaded.
+const restored = require('./lib/util/backup').restore();
+
+const logger = require('./lib/util/logger');
 const Controller = require('./lib/controller');
 const controller = new Controller();
+
+if (restored && restored.error) {
+    logger.error(`Failed to restore backup, moved it to '${restored.file}' (${restored.error.message})`);
+} else if (restored) {
+    logger.info(`Restored ${restored.files.join(', ')} from backup`);
+}
+
 controller.start();
 
 process.on('SIGINT', handleQuit);
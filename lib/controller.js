@@ -3,9 +3,12 @@ const Zigbee = require('./zigbee');
 const State = require('./state');
 const logger = require('./util/logger');
 const settings = require('./util/settings');
-const zigbeeShepherdConverters = require('zigbee-shepherd-converters');
+const deviceDefinitions = require('./util/deviceDefinitions');
 const objectAssignDeep = require('object-assign-deep');
 const utils = require('./util/utils');
+const data = require('./util/data');
+const fs = require('fs');
+const path = require('path');
 
 // Extensions
 const ExtensionNetworkMap = require('./extension/networkMap');
@@ -22,8 +25,21 @@ const ExtensionDeviceAvailability = require('./extension/deviceAvailability');
 const ExtensionDeviceBind = require('./extension/deviceBind');
 const ExtensionDeviceReport = require('./extension/deviceReport');
 const ExtensionLivolo = require('./extension/livolo');
-const ExtensionResponder = require('./extension/responder');
+const ExtensionOtaUpdate = require('./extension/otaUpdate');
 const ExtensionUbisys = require('./extension/ubisys');
+const ExtensionHttpApi = require('./extension/httpApi');
+const ExtensionQueueStatus = require('./extension/queueStatus');
+const ExtensionScenes = require('./extension/scenes');
+const ExtensionDeviceInspect = require('./extension/deviceInspect');
+const ExtensionZclCommand = require('./extension/zclCommand');
+const ExtensionBackup = require('./extension/backup');
+const ExtensionEnergyScan = require('./extension/energyScan');
+const ExtensionNetworkHealth = require('./extension/networkHealth');
+const ExtensionNetworkTables = require('./extension/networkTables');
+
+const extensionTopicRegex = new RegExp(
+    `^${settings.get().mqtt.base_topic}/bridge/(request/)?extension/(list|enable|disable|reload)$`
+);
 
 class Controller {
     constructor() {
@@ -36,6 +52,8 @@ class Controller {
         this.onZigbeeMessage = this.onZigbeeMessage.bind(this);
         this.onMQTTMessage = this.onMQTTMessage.bind(this);
         this.publishEntityState = this.publishEntityState.bind(this);
+        this.zigbeeStarted = false;
+        this.mqttConnected = false;
 
         // Initialize extensions.
         this.extensions = [
@@ -47,20 +65,32 @@ class Controller {
             new ExtensionXiaomi(this.zigbee, this.mqtt, this.state, this.publishEntityState),
             new ExtensionBridgeConfig(this.zigbee, this.mqtt, this.state, this.publishEntityState),
             new ExtensionGroups(this.zigbee, this.mqtt, this.state, this.publishEntityState),
+            new ExtensionScenes(this.zigbee, this.mqtt, this.state, this.publishEntityState),
             new ExtensionDeviceBind(this.zigbee, this.mqtt, this.state, this.publishEntityState),
-            new ExtensionResponder(this.zigbee, this.mqtt, this.state, this.publishEntityState),
+            new ExtensionDeviceInspect(this.zigbee, this.mqtt, this.state, this.publishEntityState),
+            new ExtensionZclCommand(this.zigbee, this.mqtt, this.state, this.publishEntityState),
+            new ExtensionDeviceReport(this.zigbee, this.mqtt, this.state, this.publishEntityState),
+            new ExtensionBackup(this.zigbee, this.mqtt, this.state, this.publishEntityState),
+            new ExtensionEnergyScan(this.zigbee, this.mqtt, this.state, this.publishEntityState),
+            new ExtensionNetworkHealth(this.zigbee, this.mqtt, this.state, this.publishEntityState),
+            new ExtensionNetworkTables(this.zigbee, this.mqtt, this.state, this.publishEntityState),
+            // Extends the responder, which answers device requests.
+            new ExtensionOtaUpdate(this.zigbee, this.mqtt, this.state, this.publishEntityState),
             new ExtensionUbisys(this.zigbee, this.mqtt, this.state, this.publishEntityState),
+            new ExtensionQueueStatus(this.zigbee, this.mqtt, this.state, this.publishEntityState),
         ];
 
-        if (settings.get().advanced.report) {
-            this.extensions.push(new ExtensionDeviceReport(
+        let deviceAvailability = null;
+        if (settings.get().advanced.availability_timeout || settings.get().advanced.availability_passive) {
+            deviceAvailability = new ExtensionDeviceAvailability(
                 this.zigbee, this.mqtt, this.state, this.publishEntityState
-            ));
+            );
         }
 
         if (settings.get().homeassistant) {
+            // Home Assistant uses the availability topic of a device when its availability is tracked.
             this.extensions.push(new ExtensionHomeAssistant(
-                this.zigbee, this.mqtt, this.state, this.publishEntityState
+                this.zigbee, this.mqtt, this.state, this.publishEntityState, {deviceAvailability}
             ));
         }
 
@@ -70,9 +100,18 @@ class Controller {
             ));
         }
 
-        if (settings.get().advanced.availability_timeout) {
-            this.extensions.push(new ExtensionDeviceAvailability(
-                this.zigbee, this.mqtt, this.state, this.publishEntityState
+        if (deviceAvailability) {
+            this.extensions.push(deviceAvailability);
+        }
+
+        if (settings.get().http.enabled) {
+            // The HTTP API uses the same handlers as MQTT, so e.g. a permit join started over HTTP is
+            // visible in bridge/config.
+            this.extensions.push(new ExtensionHttpApi(
+                this.zigbee, this.mqtt, this.state, this.publishEntityState, {
+                    bridgeConfig: this.extensions.find((e) => e instanceof ExtensionBridgeConfig),
+                    devicePublish: this.extensions.find((e) => e instanceof ExtensionDevicePublish),
+                }
             ));
         }
 
@@ -82,17 +121,194 @@ class Controller {
                 this.zigbee, this.mqtt, this.state, this.publishEntityState
             ));
         }
+
+        // External extensions, loaded from data/extension and the `external_extensions` setting.
+        this.externalExtensions = {};
+        this.loadExternalExtensions();
+    }
+
+    getExternalExtensionFiles() {
+        const files = {};
+        const directory = data.joinPath('extension');
+
+        if (fs.existsSync(directory)) {
+            fs.readdirSync(directory).filter((f) => f.endsWith('.js')).forEach((f) => {
+                files[path.basename(f, '.js')] = path.join(directory, f);
+            });
+        }
+
+        settings.get().external_extensions.forEach((file) => {
+            file = path.isAbsolute(file) ? file : data.joinPath(file);
+            files[path.basename(file, '.js')] = file;
+        });
+
+        return files;
+    }
+
+    loadExternalExtensions() {
+        const files = this.getExternalExtensionFiles();
+        Object.keys(files).forEach((name) => {
+            if (!this.externalExtensions.hasOwnProperty(name)) {
+                this.externalExtensions[name] = {file: files[name], extension: null};
+
+                if (settings.get().disabled_extensions.includes(name)) {
+                    logger.info(`External extension '${name}' is disabled`);
+                } else {
+                    this.startExternalExtension(name);
+                }
+            }
+        });
+    }
+
+    startExternalExtension(name) {
+        const entry = this.externalExtensions[name];
+        let extension = null;
+
+        try {
+            const Extension = require(entry.file);
+            extension = new Extension(this.zigbee, this.mqtt, this.state, this.publishEntityState);
+
+            // When loaded at runtime, catch up on the lifecycle methods the extension missed.
+            if (this.zigbeeStarted && extension.onZigbeeStarted) {
+                extension.onZigbeeStarted();
+            }
+
+            if (this.mqttConnected && extension.onMQTTConnected) {
+                extension.onMQTTConnected();
+            }
+        } catch (error) {
+            logger.error(`Failed to load external extension '${name}' from '${entry.file}' (${error})`);
+            if (extension && extension.stop) {
+                try {
+                    extension.stop();
+                } catch (e) {
+                    // The extension is dropped anyway.
+                }
+            }
+
+            return false;
+        }
+
+        entry.extension = extension;
+        this.extensions.push(extension);
+        logger.info(`Loaded external extension '${name}'`);
+        return true;
+    }
+
+    stopExternalExtension(name) {
+        const entry = this.externalExtensions[name];
+
+        if (entry.extension) {
+            if (entry.extension.stop) {
+                entry.extension.stop();
+            }
+
+            this.extensions.splice(this.extensions.indexOf(entry.extension), 1);
+            entry.extension = null;
+            logger.info(`Stopped external extension '${name}'`);
+        }
+
+        this.uncacheExternalExtension(name);
+    }
+
+    // Makes sure the next require() reads the extension again, including the modules it requires from its own
+    // directory. Other modules (zigbee2mqtt itself and node_modules) are shared and are not reloaded.
+    uncacheExternalExtension(name) {
+        let file = null;
+        try {
+            file = require.resolve(this.externalExtensions[name].file);
+        } catch (error) {
+            // The file doesn't exist (anymore).
+            return;
+        }
+
+        const directory = `${path.dirname(file)}${path.sep}`;
+        const uncache = (module) => {
+            delete require.cache[module.id];
+            module.children.filter((child) => {
+                return require.cache[child.id] && child.id.startsWith(directory) &&
+                    !child.id.includes(`${path.sep}node_modules${path.sep}`);
+            }).forEach(uncache);
+        };
+
+        if (require.cache[file]) {
+            uncache(require.cache[file]);
+        }
+    }
+
+    onExternalExtensionCommand(command, name, callback) {
+        if (command === 'list') {
+            const list = Object.keys(this.externalExtensions).map((name) => {
+                const entry = this.externalExtensions[name];
+                return {name, file: entry.file, enabled: !!entry.extension};
+            });
+
+            return callback(null, list);
+        }
+
+        if (command === 'reload' && !name) {
+            // Reload all extensions and pick up new ones.
+            Object.keys(this.externalExtensions)
+                .filter((name) => this.externalExtensions[name].extension)
+                .forEach((name) => {
+                    this.stopExternalExtension(name);
+                    this.startExternalExtension(name);
+                });
+
+            this.loadExternalExtensions();
+            return this.onExternalExtensionCommand('list', null, callback);
+        }
+
+        if (!this.externalExtensions.hasOwnProperty(name)) {
+            return callback(`External extension '${name}' doesn't exist`);
+        }
+
+        const disabled = settings.get().disabled_extensions;
+        const entry = this.externalExtensions[name];
+        let ok = true;
+
+        if (command === 'enable') {
+            settings.set(['disabled_extensions'], disabled.filter((n) => n !== name));
+            ok = entry.extension ? true : this.startExternalExtension(name);
+        } else if (command === 'disable') {
+            if (!disabled.includes(name)) {
+                settings.set(['disabled_extensions'], [...disabled, name]);
+            }
+
+            this.stopExternalExtension(name);
+        } else if (command === 'reload') {
+            if (entry.extension) {
+                this.stopExternalExtension(name);
+                ok = this.startExternalExtension(name);
+            } else {
+                this.uncacheExternalExtension(name);
+            }
+        }
+
+        if (!ok) {
+            return callback(`Failed to ${command} external extension '${name}'`);
+        }
+
+        callback(null, {name, enabled: !!entry.extension});
     }
 
     onMQTTConnected() {
+        this.mqttConnected = true;
+
         // Resend all cached states.
         this.sendAllCachedStates();
 
+        const baseTopic = settings.get().mqtt.base_topic;
+        this.mqtt.subscribe(`${baseTopic}/bridge/extension/+`);
+        this.mqtt.subscribe(`${baseTopic}/bridge/request/extension/+`);
+
         // Call extensions
         this.extensions.filter((e) => e.onMQTTConnected).forEach((e) => e.onMQTTConnected());
     }
 
     onZigbeeStarted() {
+        this.zigbeeStarted = true;
+
         // Log zigbee clients on startup and configure.
         const devices = this.zigbee.getAllClients();
         logger.info(`Currently ${devices.length} devices are joined:`);
@@ -128,7 +344,7 @@ class Controller {
 
         // Retrieve modelId from message
         if (device && device.modelId) {
-            mappedDevice = zigbeeShepherdConverters.findByZigbeeModel(device.modelId);
+            mappedDevice = deviceDefinitions.findByZigbeeModel(device.modelId);
         }
 
         // Log
@@ -148,6 +364,19 @@ class Controller {
     onMQTTMessage(topic, message) {
         logger.debug(`Received MQTT message on '${topic}' with data '${message}'`);
 
+        const extensionMatch = topic.match(extensionTopicRegex);
+        if (extensionMatch) {
+            const request = extensionMatch[1] ? utils.parseBridgeRequest(message) : null;
+            const command = extensionMatch[2];
+            const name = request ? request.message : message.toString();
+
+            this.onExternalExtensionCommand(command, name, (error, data) => {
+                this.mqtt.reply(`extension/${command}`, request, error, data, {log: `extension_${command}`});
+            });
+
+            return;
+        }
+
         // Call extensions
         const results = this.extensions
             .filter((e) => e.onMQTTMessage)
@@ -196,7 +425,7 @@ class Controller {
         let friendlyName = 'unknown';
         let type = 'unknown';
         let friendlyDevice = {model: 'unkown', description: 'unknown'};
-        const mappedModel = zigbeeShepherdConverters.findByZigbeeModel(device.modelId);
+        const mappedModel = deviceDefinitions.findByZigbeeModel(device.modelId);
         if (mappedModel) {
             friendlyDevice = mappedModel;
         }
@@ -0,0 +1,66 @@
+const settings = require('../util/settings');
+const logger = require('../util/logger');
+const utils = require('../util/utils');
+const backup = require('../util/backup');
+
+const topicRegex = new RegExp(`^${settings.get().mqtt.base_topic}/bridge/(request/)?backup$`);
+
+/**
+ * This extensions creates a backup archive (data/backup/zigbee2mqtt_backup_[TIMESTAMP].json.gz) containing
+ * the coordinator backup, database.db, state.json, configuration.yaml and the groups and scenes cache.
+ *
+ * zigbee2mqtt/bridge/backup
+ * The result is published to bridge/log (type 'backup'), or bridge/response/backup when requested
+ * through bridge/request.
+ *
+ * To restore a backup (e.g. on a new coordinator) copy the archive to data/zigbee2mqtt_restore.json.gz
+ * and start zigbee2mqtt.
+ *
+ * The archive contains the secrets of configuration.yaml (network key, MQTT credentials), keep it private.
+ */
+class Backup {
+    constructor(zigbee, mqtt, state, publishEntityState) {
+        this.zigbee = zigbee;
+        this.mqtt = mqtt;
+        this.state = state;
+    }
+
+    onMQTTConnected() {
+        this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/backup`);
+        this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/request/backup`);
+    }
+
+    createBackup(callback) {
+        // Make sure the coordinator backup and state are up to date.
+        this.state.save();
+        this.zigbee.backupCoordinator((error) => {
+            if (error) {
+                logger.warn(`Failed to backup coordinator, using the previous coordinator backup (${error})`);
+            }
+
+            let result = null;
+            try {
+                result = backup.create();
+            } catch (error) {
+                return callback(`Failed to create backup (${error.message})`);
+            }
+
+            logger.info(`Created backup '${result.file}'`);
+            callback(null, result);
+        });
+    }
+
+    onMQTTMessage(topic, message) {
+        const match = topic.match(topicRegex);
+        if (!match) {
+            return false;
+        }
+
+        const request = match[1] ? utils.parseBridgeRequest(message) : null;
+        this.createBackup((error, result) => this.mqtt.reply('backup', request, error, result, {log: 'backup'}));
+
+        return true;
+    }
+}
+
+module.exports = Backup;
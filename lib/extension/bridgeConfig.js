@@ -1,9 +1,10 @@
 const settings = require('../util/settings');
 const logger = require('../util/logger');
-const zigbeeShepherdConverters = require('zigbee-shepherd-converters');
+const deviceDefinitions = require('../util/deviceDefinitions');
 const utils = require('../util/utils');
 
 const configRegex = new RegExp(`${settings.get().mqtt.base_topic}/bridge/config/((?:\\w+/get)|(?:\\w+))`);
+const requestRegex = new RegExp(`^${settings.get().mqtt.base_topic}/bridge/request/((?:\\w+/get)|(?:\\w+))$`);
 const allowedLogLevels = ['error', 'warn', 'info', 'debug'];
 
 class BridgeConfig {
@@ -27,6 +28,14 @@ class BridgeConfig {
         this.deviceOptions = this.deviceOptions.bind(this);
         this.addGroup = this.addGroup.bind(this);
         this.removeGroup = this.removeGroup.bind(this);
+        this.addScene = this.addScene.bind(this);
+        this.removeScene = this.removeScene.bind(this);
+        this.channel = this.channel.bind(this);
+        this.allow = this.allow.bind(this);
+        this.disallow = this.disallow.bind(this);
+        this.permitJoinTimeout = null;
+        this.permitJoinInterval = null;
+        this.permitJoinEnd = null;
 
         // Set supported options
         this.supportedOptions = {
@@ -44,87 +53,248 @@ class BridgeConfig {
             'device_options': this.deviceOptions,
             'add_group': this.addGroup,
             'remove_group': this.removeGroup,
+            'add_scene': this.addScene,
+            'remove_scene': this.removeScene,
+            'scenes': this.scenes.bind(this),
+            'channel': this.channel,
+            'allow': this.allow,
+            'disallow': this.disallow,
         };
     }
 
-    deviceOptions(topic, message) {
+    deviceOptions(topic, message, callback) {
         let json = null;
         try {
             json = JSON.parse(message.toString());
         } catch (e) {
-            logger.error('Failed to parse message as JSON');
+            callback('Failed to parse message as JSON');
             return;
         }
 
         if (!json.hasOwnProperty('friendly_name') || !json.hasOwnProperty('options')) {
-            logger.error('Invalid JSON message, should contain "friendly_name" and "options"');
+            callback('Invalid JSON message, should contain "friendly_name" and "options"');
             return;
         }
 
         const ieeeAddr = settings.getIeeeAddrByFriendlyName(json.friendly_name);
         if (!ieeeAddr) {
-            logger.error(`Failed to find device '${json.friendly_name}'`);
+            callback(`Failed to find device '${json.friendly_name}'`);
             return;
         }
 
         settings.changeDeviceOptions(ieeeAddr, json.options);
         logger.info(`Changed device specific options of '${json.friendly_name}' (${JSON.stringify(json.options)})`);
+        callback(null, {friendly_name: json.friendly_name, options: json.options});
     }
 
-    permitJoin(topic, message) {
-        this.zigbee.permitJoin(message.toString().toLowerCase() === 'true', () => this.publish());
+    // Besides 'true' and 'false' a JSON object is accepted, e.g. {"value": true, "time": 120, "device": "router"}.
+    // With a time (in seconds) joining is disabled automatically, with a device joining is only allowed through
+    // this router.
+    permitJoin(topic, message, callback) {
+        message = message.toString();
+        let json = null;
+        try {
+            json = JSON.parse(message);
+        } catch (e) {
+            json = null;
+        }
+
+        if (!json || typeof json !== 'object') {
+            json = {value: message.toLowerCase() === 'true'};
+        }
+
+        const value = json.value === true || json.value === 'true';
+        const time = json.hasOwnProperty('time') ? Number(json.time) : null;
+        if (time !== null && (!Number.isInteger(time) || time <= 0)) {
+            callback(`'${json.time}' is an invalid time, should be a number of seconds`);
+            return;
+        }
+
+        let ieeeAddr = null;
+        if (value && json.device) {
+            ieeeAddr = settings.getIeeeAddrByFriendlyName(json.device) || json.device;
+            const device = this.zigbee.getDevice(ieeeAddr);
+            if (!device || device.type !== 'Router') {
+                callback(`Device '${json.device}' does not exist or is not a router`);
+                return;
+            }
+        }
+
+        const done = (error) => {
+            if (error) {
+                callback(`Failed to permit join via '${json.device}' (${error})`);
+                return;
+            }
+
+            this.setPermitJoinTimeout(value ? time : null);
+            this.publish();
+
+            const data = {value: this.zigbee.getPermitJoin()};
+            if (time !== null) {
+                data.time = time;
+            }
+
+            if (ieeeAddr) {
+                data.device = json.device;
+            }
+
+            callback(null, data);
+        };
+
+        if (ieeeAddr) {
+            this.zigbee.permitJoinVia(ieeeAddr, done);
+        } else {
+            this.zigbee.permitJoin(value, done);
+        }
     }
 
-    reset(topic, message) {
+    // Disables joining after the time, meanwhile the remaining time is published to bridge/config.
+    setPermitJoinTimeout(time) {
+        clearTimeout(this.permitJoinTimeout);
+        clearInterval(this.permitJoinInterval);
+        this.permitJoinEnd = time ? Date.now() + utils.secondsToMilliseconds(time) : null;
+
+        if (time) {
+            this.permitJoinInterval = setInterval(() => this.publish(), utils.secondsToMilliseconds(10));
+            this.permitJoinTimeout = setTimeout(() => {
+                logger.info('Permit join timed out');
+                this.zigbee.permitJoin(false, () => {
+                    this.setPermitJoinTimeout(null);
+                    this.publish();
+                });
+            }, utils.secondsToMilliseconds(time));
+        }
+    }
+
+    getPermitJoinTimeout() {
+        return this.permitJoinEnd ? Math.max(0, Math.round((this.permitJoinEnd - Date.now()) / 1000)) : null;
+    }
+
+    channel(topic, message, callback) {
+        const channel = Number(message.toString());
+        if (!Number.isInteger(channel) || channel < 11 || channel > 26) {
+            callback(`'${message.toString()}' is an invalid channel, use a channel between 11 - 26`);
+            return;
+        }
+
+        this.zigbee.changeChannel(channel, (error) => {
+            if (error) {
+                callback(`Failed to change channel to ${channel} (${error})`);
+                return;
+            }
+
+            settings.set(['advanced', 'channel'], channel);
+            logger.info(`Changed channel to ${channel}`);
+            this.mqtt.log('channel_changed', channel);
+            callback(null, {value: channel});
+        });
+    }
+
+    // Adds a device to the allowlist, the message is the ieeeAddr or a JSON object with the ieeeAddr and
+    // optionally the install code, e.g. {"ieeeAddr": "0x00124b0012345678", "install_code": "83FED34...C3B5"}.
+    allow(topic, message, callback) {
+        message = message.toString();
+        let json = null;
+        try {
+            json = JSON.parse(message);
+        } catch (e) {
+            json = null;
+        }
+
+        if (!json || typeof json !== 'object') {
+            json = {ieeeAddr: message};
+        }
+
+        const ieeeAddr = `${json.ieeeAddr}`.toLowerCase();
+        if (!ieeeAddr.match(/^0x[0-9a-f]{16}$/)) {
+            callback(`'${json.ieeeAddr}' is not a valid ieeeAddr`);
+            return;
+        }
+
+        const done = () => {
+            settings.allowDevice(ieeeAddr);
+            logger.info(`Allowed '${ieeeAddr}' to join`);
+            callback(null, {ieeeAddr, install_code: json.hasOwnProperty('install_code')});
+        };
+
+        if (json.hasOwnProperty('install_code')) {
+            this.zigbee.addInstallCode(ieeeAddr, json.install_code, (error) => {
+                if (error) {
+                    callback(`Failed to add install code of '${ieeeAddr}' (${error.message || error})`);
+                } else {
+                    done();
+                }
+            });
+        } else {
+            done();
+        }
+    }
+
+    disallow(topic, message, callback) {
+        const ieeeAddr = message.toString().toLowerCase();
+        if (settings.disallowDevice(ieeeAddr)) {
+            logger.info(`Removed '${ieeeAddr}' from the allowlist`);
+            callback(null, {ieeeAddr});
+        } else {
+            callback(`'${ieeeAddr}' is not on the allowlist`);
+        }
+    }
+
+    reset(topic, message, callback) {
         this.zigbee.softReset((error) => {
             if (error) {
-                logger.error('Soft reset failed');
+                callback('Soft reset failed');
             } else {
                 logger.info('Soft resetted ZNP');
+                callback(null);
             }
         });
     }
 
-    lastSeen(topic, message) {
+    lastSeen(topic, message, callback) {
         const allowed = ['disable', 'ISO_8601', 'epoch', 'ISO_8601_local'];
         message = message.toString();
 
         if (!allowed.includes(message)) {
-            logger.error(`${message} is not an allowed value, possible: ${allowed}`);
+            callback(`${message} is not an allowed value, possible: ${allowed}`);
             return;
         }
 
         settings.set(['advanced', 'last_seen'], message);
         logger.info(`Set last_seen to ${message}`);
+        callback(null, {value: message});
     }
 
-    elapsed(topic, message) {
+    elapsed(topic, message, callback) {
         const allowed = ['true', 'false'];
         message = message.toString();
 
         if (!allowed.includes(message)) {
-            logger.error(`${message} is not an allowed value, possible: ${allowed}`);
+            callback(`${message} is not an allowed value, possible: ${allowed}`);
             return;
         }
 
         settings.set(['advanced', 'elapsed'], message === 'true');
         logger.info(`Set elapsed to ${message}`);
+        callback(null, {value: message === 'true'});
     }
 
-    logLevel(topic, message) {
+    logLevel(topic, message, callback) {
         const level = message.toString().toLowerCase();
+        let error = null;
         if (allowedLogLevels.includes(level)) {
             logger.info(`Switching log level to '${level}'`);
             logger.transports.console.level = level;
             logger.transports.file.level = level;
         } else {
-            logger.error(`Could not set log level to '${level}'. Allowed level: '${allowedLogLevels.join(',')}'`);
+            error = `Could not set log level to '${level}'. Allowed level: '${allowedLogLevels.join(',')}'`;
         }
 
         this.publish();
+        callback(error, {value: logger.transports.console.level});
     }
 
-    devices(topic, message) {
+    devices(topic, message, callback) {
         const devices = this.zigbee.getDevices().map((device) => {
             const payload = {
                 ieeeAddr: device.ieeeAddr,
@@ -132,7 +302,7 @@ class BridgeConfig {
             };
 
             if (device.type !== 'Coordinator') {
-                const mappedDevice = zigbeeShepherdConverters.findByZigbeeModel(device.modelId);
+                const mappedDevice = deviceDefinitions.findByZigbeeModel(device.modelId);
                 const friendlyDevice = settings.getDevice(device.ieeeAddr);
                 payload.model = mappedDevice ? mappedDevice.model : device.modelId;
                 payload.friendly_name = friendlyDevice ? friendlyDevice.friendly_name : device.ieeeAddr;
@@ -144,6 +314,12 @@ class BridgeConfig {
                 payload.hwVersion = device.hwVersion;
                 payload.swBuildId = device.swBuildId;
                 payload.dateCode = device.dateCode;
+
+                // Bindings are only known after they have been read with bridge/device/[FRIENDLY_NAME]/bindings.
+                const bindings = this.zigbee.getBindings(device.ieeeAddr);
+                if (bindings) {
+                    payload.bindings = utils.resolveBindings(bindings);
+                }
             }
 
             return payload;
@@ -151,16 +327,22 @@ class BridgeConfig {
 
         if (topic.split('/').pop() == 'get') {
             this.mqtt.publish(`bridge/config/devices`, JSON.stringify(devices), {});
-        } else {
+        } else if (!topic.match(requestRegex)) {
             this.mqtt.log('devices', devices);
         }
+
+        callback(null, devices);
     }
 
-    groups(topic, message) {
-        this.mqtt.log('groups', settings.getGroups());
+    groups(topic, message, callback) {
+        if (!topic.match(requestRegex)) {
+            this.mqtt.log('groups', settings.getGroups());
+        }
+
+        callback(null, settings.getGroups());
     }
 
-    rename(topic, message) {
+    rename(topic, message, callback) {
         const invalid = `Invalid rename message format expected {old: 'friendly_name', new: 'new_name} ` +
                             `got ${message.toString()}`;
 
@@ -168,46 +350,88 @@ class BridgeConfig {
         try {
             json = JSON.parse(message.toString());
         } catch (e) {
-            logger.error(invalid);
+            callback(invalid);
             return;
         }
 
         // Validate message
         if (!json.new || !json.old) {
-            logger.error(invalid);
+            callback(invalid);
             return;
         }
 
+        // Groups can be renamed as well.
+        const type = settings.getIeeeAddrByFriendlyName(json.old) ? 'device' : 'group';
         if (settings.changeFriendlyName(json.old, json.new)) {
             logger.info(`Successfully renamed - ${json.old} to ${json.new} `);
-            this.mqtt.log('device_renamed', {from: json.old, to: json.new});
+            this.mqtt.log(`${type}_renamed`, {from: json.old, to: json.new});
+            callback(null, {from: json.old, to: json.new});
         } else {
-            logger.error(`Failed to renamed - ${json.old} to ${json.new}`);
-            return;
+            callback(`Failed to renamed - ${json.old} to ${json.new}`);
         }
     }
 
-    addGroup(topic, message) {
+    addGroup(topic, message, callback) {
         const name = message.toString();
         const added = settings.addGroup(name);
-        added ? logger.info(`Added group '${name}'`) : logger.error(`Failed to add group '${name}'`);
+        if (added) {
+            logger.info(`Added group '${name}'`);
+            callback(null, {friendly_name: name, ID: settings.getGroupIDByFriendlyName(name)});
+        } else {
+            callback(`Failed to add group '${name}'`);
+        }
     }
 
-    removeGroup(topic, message) {
+    removeGroup(topic, message, callback) {
         const name = message.toString();
         const removed = settings.removeGroup(name);
-        removed ? logger.info(`Removed group '${name}'`) : logger.error(`Failed to remove group '${name}'`);
+        if (removed) {
+            logger.info(`Removed group '${name}'`);
+            callback(null, {friendly_name: name});
+        } else {
+            callback(`Failed to remove group '${name}'`);
+        }
+    }
+
+    addScene(topic, message, callback) {
+        const name = message.toString();
+        const added = settings.addScene(name);
+        if (added) {
+            logger.info(`Added scene '${name}'`);
+            callback(null, {friendly_name: name, ID: settings.getSceneIDByFriendlyName(name)});
+        } else {
+            callback(`Failed to add scene '${name}'`);
+        }
+    }
+
+    removeScene(topic, message, callback) {
+        const name = message.toString();
+        const removed = settings.removeScene(name);
+        if (removed) {
+            logger.info(`Removed scene '${name}'`);
+            callback(null, {friendly_name: name});
+        } else {
+            callback(`Failed to remove scene '${name}'`);
+        }
+    }
+
+    scenes(topic, message, callback) {
+        if (!topic.match(requestRegex)) {
+            this.mqtt.log('scenes', settings.getScenes());
+        }
+
+        callback(null, settings.getScenes());
     }
 
-    remove(topic, message) {
-        this.removeOrBan(false, message);
+    remove(topic, message, callback) {
+        this.removeOrBan(false, message, callback);
     }
 
-    ban(topic, message) {
-        this.removeOrBan(true, message);
+    ban(topic, message, callback) {
+        this.removeOrBan(true, message, callback);
     }
 
-    removeOrBan(ban, message) {
+    removeOrBan(ban, message, callback) {
         message = message.toString();
         const IDByFriendlyName = settings.getIeeeAddrByFriendlyName(message);
         const deviceID = IDByFriendlyName ? IDByFriendlyName : message;
@@ -222,6 +446,7 @@ class BridgeConfig {
 
             logger.info(`Successfully ${ban ? 'banned' : 'removed'} ${deviceID}`);
             this.mqtt.log(ban ? 'device_banned' : 'device_removed', message);
+            callback(null, {id: message});
         };
 
         // Remove from zigbee network.
@@ -230,7 +455,7 @@ class BridgeConfig {
                 if (!error) {
                     cleanup();
                 } else {
-                    logger.error(`Failed to ${ban ? 'ban' : 'remove'} ${deviceID}`);
+                    callback(`Failed to ${ban ? 'ban' : 'remove'} ${deviceID}`);
                 }
             });
         } else {
@@ -238,27 +463,59 @@ class BridgeConfig {
         }
     }
 
+    stop() {
+        clearTimeout(this.permitJoinTimeout);
+        clearInterval(this.permitJoinInterval);
+    }
+
     onMQTTConnected() {
         this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/config/+`);
+        this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/request/+`);
+
+        // Not matched by the wildcards above.
+        this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/config/devices/get`);
+        this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/request/devices/get`);
         this.publish();
     }
 
     onMQTTMessage(topic, message) {
-        if (!topic.match(configRegex)) {
+        let option = null;
+        let request = null;
+
+        if (topic.match(requestRegex)) {
+            // Request/response API, the result is published to bridge/response/<option>.
+            option = topic.match(requestRegex)[1];
+            request = utils.parseBridgeRequest(message);
+            message = request.message;
+        } else if (topic.match(configRegex)) {
+            option = topic.match(configRegex)[1];
+        } else {
             return false;
         }
 
-        const option = topic.match(configRegex)[1];
-
         if (!this.supportedOptions.hasOwnProperty(option)) {
             return false;
         }
 
-        this.supportedOptions[option](topic, message);
+        this.supportedOptions[option](topic, message, (error, data) => {
+            if (error) {
+                logger.error(error);
+            }
+
+            if (request) {
+                this.mqtt.respond(option, request.transaction, error, data);
+            }
+        });
 
         return true;
     }
 
+    getPermitJoinDeviceName() {
+        const ieeeAddr = this.zigbee.getPermitJoinDevice();
+        const device = ieeeAddr ? settings.getDevice(ieeeAddr) : null;
+        return device ? device.friendly_name : ieeeAddr;
+    }
+
     publish() {
         utils.getZigbee2mqttVersion((info) => {
             const topic = `bridge/config`;
@@ -268,6 +525,8 @@ class BridgeConfig {
                 coordinator: this.zigbee.getFirmwareVersion(),
                 log_level: logger.transports.console.level,
                 permit_join: this.zigbee.getPermitJoin(),
+                permit_join_timeout: this.getPermitJoinTimeout(),
+                permit_join_device: this.getPermitJoinDeviceName(),
             };
 
             this.mqtt.publish(topic, JSON.stringify(payload), {retain: true, qos: 0}, null);
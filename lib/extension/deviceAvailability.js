@@ -1,7 +1,10 @@
 const logger = require('../util/logger');
 const settings = require('../util/settings');
 const utils = require('../util/utils');
+const data = require('../util/data');
+const fs = require('fs');
 const zigbeeShepherdConverters = require('zigbee-shepherd-converters');
+const deviceDefinitions = require('../util/deviceDefinitions');
 
 // Some EndDevices should be pinged
 // e.g. E11-G13 https://github.com/Koenkk/zigbee2mqtt/issues/775#issuecomment-453683846
@@ -11,17 +14,34 @@ const pingableDevices = [
 
 const toZigbeeCandidates = ['state'];
 
+const saveInterval = 1000 * 60 * 5; // 5 minutes
+
 /**
- * This extensions pings devices to check if they are online.
+ * This extensions pings devices to check if they are online (when advanced.availability_timeout is set),
+ * a device is marked offline after advanced.availability_failed_pings failed pings in a row.
+ * With advanced.availability_passive devices which can't be pinged (e.g. battery powered devices) are checked
+ * passively, they are marked offline when nothing is received from them within
+ * advanced.availability_passive_timeout.
+ * The timeout can be overridden per model with advanced.availability_model_timeouts and per device with the
+ * availability_timeout device option.
+ * The availability and last seen time are saved, so the availability is restored after a restart.
+ *
+ * With advanced.availability_output 'json' the availability is published as
+ * {"state": "offline", "last_seen": "2019-06-01T12:00:00.000Z", "reason": "ping_failed"}.
  */
 class DeviceAvailability {
     constructor(zigbee, mqtt, state, publishEntityState) {
         this.zigbee = zigbee;
         this.mqtt = mqtt;
         this.availability_timeout = settings.get().advanced.availability_timeout;
+        this.passive = settings.get().advanced.availability_passive;
+        this.passive_timeout = settings.get().advanced.availability_passive_timeout;
         this.timers = {};
         this.pending = [];
         this.state = {};
+        this.lastSeen = {};
+        this.failedPings = {};
+        this.saveTimer = null;
 
         // Initialize blacklist
         this.blacklist = settings.get().advanced.availability_blacklist.map((e) => {
@@ -51,15 +71,102 @@ class DeviceAvailability {
         return this.zigbee.getAllClients().filter((d) => this.isPingable(d));
     }
 
+    isPassive(device) {
+        return this.passive && !this.blacklist.includes(device.ieeeAddr) && !this.isPingable(device);
+    }
+
+    // Without the availability_timeout devices are not pinged, only the passive devices are tracked then.
+    isTracked(device) {
+        return device.type !== 'Coordinator' && (!!this.availability_timeout || this.isPassive(device));
+    }
+
+    getTimeout(device) {
+        const deviceSettings = settings.getDevice(device.ieeeAddr);
+        if (deviceSettings && deviceSettings.hasOwnProperty('availability_timeout')) {
+            return deviceSettings.availability_timeout;
+        }
+
+        const mappedDevice = device.modelId ? deviceDefinitions.findByZigbeeModel(device.modelId) : null;
+        const model = mappedDevice ? mappedDevice.model : device.modelId;
+        const modelTimeouts = settings.get().advanced.availability_model_timeouts;
+        if (model && modelTimeouts.hasOwnProperty(model)) {
+            return modelTimeouts[model];
+        }
+
+        return this.isPingable(device) ? this.availability_timeout : this.passive_timeout;
+    }
+
+    load() {
+        const file = data.joinPathStorage('availability.json');
+        if (fs.existsSync(file)) {
+            try {
+                return JSON.parse(fs.readFileSync(file, 'utf8'));
+            } catch (e) {
+                logger.debug(`Failed to load availability from file ${file} (corrupt file?)`);
+            }
+        }
+
+        return {};
+    }
+
+    save() {
+        const saved = {};
+        Object.keys(this.state).forEach((ieeeAddr) => {
+            const lastSeen = this.lastSeen.hasOwnProperty(ieeeAddr) ? this.lastSeen[ieeeAddr] : null;
+            saved[ieeeAddr] = {available: this.state[ieeeAddr], last_seen: lastSeen};
+        });
+
+        fs.writeFileSync(data.joinPathStorage('availability.json'), JSON.stringify(saved), 'utf8');
+    }
+
     onMQTTConnected() {
-        // As some devices are not checked for availability (e.g. battery powered devices)
-        // we mark all device as online by default.
-        this.zigbee.getDevices()
-            .filter((d) => d.type !== 'Coordinator')
-            .forEach((device) => this.publishAvailability(device.ieeeAddr, true));
+        const saved = this.load();
+        const now = Date.now();
+
+        this.zigbee.getDevices().filter((d) => this.isTracked(d)).forEach((device) => {
+            const ieeeAddr = device.ieeeAddr;
+
+            // When reconnected to MQTT the current availability is republished.
+            let previous = saved[ieeeAddr];
+            if (this.state.hasOwnProperty(ieeeAddr)) {
+                previous = {available: this.state[ieeeAddr], last_seen: this.lastSeen[ieeeAddr]};
+            }
+
+            if (previous && typeof previous.last_seen === 'number') {
+                this.lastSeen[ieeeAddr] = previous.last_seen;
+            }
+
+            if (this.isPassive(device)) {
+                // Continue the timeout where it was before the restart, for a device which was never seen
+                // the timeout starts now.
+                if (!this.lastSeen.hasOwnProperty(ieeeAddr)) {
+                    this.lastSeen[ieeeAddr] = now;
+                }
+
+                const timeout = utils.secondsToMilliseconds(this.getTimeout(device));
+                const remaining = timeout - (now - this.lastSeen[ieeeAddr]);
+                if (remaining > 0) {
+                    this.publishAvailability(ieeeAddr, true, previous ? 'restored' : 'startup');
+                    this.setPassiveTimer(device, remaining);
+                } else {
+                    this.publishAvailability(ieeeAddr, false, 'timeout');
+                }
+            } else if (previous) {
+                this.publishAvailability(ieeeAddr, previous.available, 'restored');
+            } else {
+                // As some devices are not checked for availability (e.g. blacklisted devices)
+                // we mark them as online by default.
+                this.publishAvailability(ieeeAddr, true, 'startup');
+            }
+        });
 
         // Start timers for all devices
-        this.getAllPingableDevices().forEach((device) => this.setTimer(device));
+        if (this.availability_timeout) {
+            this.getAllPingableDevices().forEach((device) => this.setTimer(device));
+        }
+
+        clearInterval(this.saveTimer);
+        this.saveTimer = setInterval(() => this.save(), saveInterval);
     }
 
     handleInterval(device) {
@@ -78,7 +185,19 @@ class DeviceAvailability {
         const mechanism = utils.isXiaomiDevice(device) ? 'basic' : 'default';
 
         this.zigbee.ping(ieeeAddr, errorLogLevel, (error) => {
-            this.publishAvailability(ieeeAddr, !error);
+            if (!error) {
+                this.failedPings[ieeeAddr] = 0;
+                this.lastSeen[ieeeAddr] = Date.now();
+                this.publishAvailability(ieeeAddr, true, 'ping');
+            } else {
+                const failedPings = (this.failedPings[ieeeAddr] || 0) + 1;
+                this.failedPings[ieeeAddr] = failedPings;
+                if (failedPings >= settings.get().advanced.availability_failed_pings) {
+                    this.publishAvailability(ieeeAddr, false, 'ping_failed');
+                } else {
+                    logger.debug(`Ping of ${ieeeAddr} failed (${failedPings} times in a row)`);
+                }
+            }
 
             // Remove from pending jobs.
             const index = this.pending.indexOf(ieeeAddr);
@@ -97,13 +216,29 @@ class DeviceAvailability {
 
         this.timers[device.ieeeAddr] = setTimeout(() => {
             this.handleInterval(device);
-        }, utils.secondsToMilliseconds(this.availability_timeout));
+        }, utils.secondsToMilliseconds(this.getTimeout(device)));
+    }
+
+    setPassiveTimer(device, timeout) {
+        if (this.timers[device.ieeeAddr]) {
+            clearTimeout(this.timers[device.ieeeAddr]);
+        }
+
+        this.timers[device.ieeeAddr] = setTimeout(() => {
+            logger.debug(`Nothing received from ${device.ieeeAddr} within the availability timeout`);
+            this.publishAvailability(device.ieeeAddr, false, 'timeout');
+        }, timeout);
     }
 
     stop() {
+        // Save before everything is marked offline, so the availability can be restored after a restart.
+        clearInterval(this.saveTimer);
+        Object.values(this.timers).forEach((timer) => clearTimeout(timer));
+        this.save();
+
         this.zigbee.getDevices()
-            .filter((d) => d.type !== 'Coordinator')
-            .forEach((device) => this.publishAvailability(device.ieeeAddr, false));
+            .filter((d) => this.isTracked(d))
+            .forEach((device) => this.publishAvailability(device.ieeeAddr, false, 'stopped'));
     }
 
     onReconnect(ieeeAddr) {
@@ -111,7 +246,7 @@ class DeviceAvailability {
         let mappedDevice = null;
 
         if (device && device.modelId) {
-            mappedDevice = zigbeeShepherdConverters.findByZigbeeModel(device.modelId);
+            mappedDevice = deviceDefinitions.findByZigbeeModel(device.modelId);
         }
 
         if (mappedDevice) {
@@ -133,7 +268,7 @@ class DeviceAvailability {
         }
     }
 
-    publishAvailability(ieeeAddr, available) {
+    publishAvailability(ieeeAddr, available, reason) {
         if (this.state.hasOwnProperty(ieeeAddr) && !this.state[ieeeAddr] && available) {
             this.onReconnect(ieeeAddr);
         }
@@ -142,25 +277,36 @@ class DeviceAvailability {
         const deviceSettings = settings.getDevice(ieeeAddr);
         const name = deviceSettings ? deviceSettings.friendly_name : ieeeAddr;
         const topic = `${name}/availability`;
-        const payload = available ? 'online' : 'offline';
+        let payload = available ? 'online' : 'offline';
+        if (settings.get().advanced.availability_output === 'json') {
+            const lastSeen = this.lastSeen[ieeeAddr];
+            payload = JSON.stringify({
+                state: payload,
+                last_seen: typeof lastSeen === 'number' ? new Date(lastSeen).toISOString() : null,
+                reason,
+            });
+        }
+
         this.mqtt.publish(topic, payload, {retain: true, qos: 0});
     }
 
     onZigbeeMessage(message, device, mappedDevice) {
-        if (device && this.isPingable(this.zigbee.getDevice(device.ieeeAddr))) {
+        if (device && this.availability_timeout && this.isPingable(this.zigbee.getDevice(device.ieeeAddr))) {
             // When a zigbee message from a device is received we know the device is still alive.
             // => reset the timer.
             this.setTimer(device);
+            this.failedPings[device.ieeeAddr] = 0;
+            this.lastSeen[device.ieeeAddr] = Date.now();
 
             const online = this.state.hasOwnProperty(device.ieeeAddr) && this.state[device.ieeeAddr];
             const offline = this.state.hasOwnProperty(device.ieeeAddr) && !this.state[device.ieeeAddr];
 
             if (!online && !offline) {
                 // A new device has been connected
-                this.publishAvailability(device.ieeeAddr, true);
+                this.publishAvailability(device.ieeeAddr, true, 'message');
             } else if (offline) {
                 // When a message is received and the device is marked as offline, mark it online.
-                this.publishAvailability(device.ieeeAddr, true);
+                this.publishAvailability(device.ieeeAddr, true, 'message');
             } else if (online) {
                 /**
                  * In case the device is powered off AND on within the availability timeout,
@@ -175,6 +321,13 @@ class DeviceAvailability {
                     this.onReconnect(device.ieeeAddr);
                 }
             }
+        } else if (device && this.isPassive(this.zigbee.getDevice(device.ieeeAddr))) {
+            this.lastSeen[device.ieeeAddr] = Date.now();
+            this.setPassiveTimer(device, utils.secondsToMilliseconds(this.getTimeout(device)));
+
+            if (!this.state[device.ieeeAddr]) {
+                this.publishAvailability(device.ieeeAddr, true, 'message');
+            }
         }
     }
 }
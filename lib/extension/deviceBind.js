@@ -3,7 +3,8 @@ const logger = require('../util/logger');
 const utils = require('../util/utils');
 
 const postfixes = utils.getPostfixes();
-const topicRegex = new RegExp(`^${settings.get().mqtt.base_topic}/bridge/(bind|unbind)/.+$`);
+const topicRegex = new RegExp(`^${settings.get().mqtt.base_topic}/bridge/(request/)?(bind|unbind)/.+$`);
+const bindingsRegex = new RegExp(`^${settings.get().mqtt.base_topic}/bridge/(request/)?device/(.+)/bindings$`);
 
 const allowedClusters = [
     5, // genScenes
@@ -13,6 +14,13 @@ const allowedClusters = [
     768, // lightingColorCtrl
 ];
 
+/**
+ * This extensions binds and unbinds devices to devices or groups.
+ *
+ * zigbee2mqtt/bridge/device/[FRIENDLY_NAME]/bindings reads the binding table of a device, the result is
+ * published to zigbee2mqtt/bridge/device/[FRIENDLY_NAME]/bindings/result
+ * (or bridge/response/device/[FRIENDLY_NAME]/bindings when requested through bridge/request).
+ */
 class DeviceBind {
     constructor(zigbee, mqtt, state, publishEntityState) {
         this.zigbee = zigbee;
@@ -26,6 +34,12 @@ class DeviceBind {
         this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/bind/+/+`);
         this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/unbind/+`);
         this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/unbind/+/+`);
+        this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/request/bind/+`);
+        this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/request/bind/+/+`);
+        this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/request/unbind/+`);
+        this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/request/unbind/+/+`);
+        this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/device/+/bindings`);
+        this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/request/device/+/bindings`);
     }
 
     getIDAndPostfix(topic) {
@@ -41,28 +55,76 @@ class DeviceBind {
     }
 
     parseTopic(topic) {
-        if (!topic.match(topicRegex)) {
+        const match = topic.match(topicRegex);
+        if (!match) {
             return null;
         }
 
+        const request = !!match[1];
+
         // Remove base from topic
-        topic = topic.replace(`${settings.get().mqtt.base_topic}/bridge/`, '');
+        topic = topic.replace(`${settings.get().mqtt.base_topic}/bridge/${request ? 'request/' : ''}`, '');
 
         // Parse type from topic
         const type = topic.split('/')[0];
 
         // Remove type from topic
         topic = topic.replace(`${type}/`, '');
-        return {type, ...this.getIDAndPostfix(topic)};
+        return {type, request, ...this.getIDAndPostfix(topic)};
+    }
+
+    readBindings(match, message) {
+        const request = match[1] ? utils.parseBridgeRequest(message) : null;
+        const name = match[2];
+        const ieeeAddr = settings.getIeeeAddrByFriendlyName(name) || name;
+        const device = this.zigbee.getDevice(ieeeAddr);
+
+        const respond = (error, data) => {
+            this.mqtt.reply(`device/${name}/bindings`, request, error, data, {
+                topic: `bridge/device/${name}/bindings/result`,
+            });
+        };
+
+        if (!device || device.type === 'Coordinator') {
+            return respond(`Device '${name}' does not exist`);
+        }
+
+        this.zigbee.readBindings(ieeeAddr, (error, bindings) => {
+            if (error) {
+                respond(`Failed to read bindings of '${name}' (${error})`);
+            } else {
+                respond(null, {friendly_name: name, bindings: utils.resolveBindings(bindings)});
+            }
+        });
     }
 
     onMQTTMessage(topic, message) {
+        const bindingsMatch = topic.match(bindingsRegex);
+        if (bindingsMatch) {
+            this.readBindings(bindingsMatch, message);
+            return true;
+        }
+
         topic = this.parseTopic(topic);
 
         if (!topic) {
             return false;
         }
 
+        let transaction;
+        if (topic.request) {
+            const request = utils.parseBridgeRequest(message);
+            message = request.message;
+            transaction = request.transaction;
+        }
+
+        const command = `${topic.type}/${topic.ID}${topic.postfix ? `/${topic.postfix}` : ''}`;
+        const respond = (error, data) => {
+            if (topic.request) {
+                this.mqtt.respond(command, transaction, error, data);
+            }
+        };
+
         // Find source; can only be a device.
         const sourceEntity = settings.resolveEntity(topic.ID);
         const source = utils.getEndpointByEntityID(this.zigbee, sourceEntity.ID, topic.postfix);
@@ -77,6 +139,7 @@ class DeviceBind {
         }
 
         if (!source || !target) {
+            respond(`Failed to find source '${topic.ID}' or target '${message.toString()}'`);
             return false;
         }
 
@@ -95,6 +158,11 @@ class DeviceBind {
             return supported.includes(cluster);
         });
 
+        const data = {from: sourceEntity.ID, to: targetEntity.ID, clusters: [], failed: []};
+        if (!clusters.length) {
+            respond(`No supported clusters to ${topic.type} from '${sourceEntity.ID}' to '${targetEntity.ID}'`, data);
+        }
+
         // Bind
         clusters.forEach((cluster) => {
             logger.debug(`${topic.type}ing cluster '${cluster}' from ${sourceEntity.ID}' to '${targetEntity.ID}'`);
@@ -105,6 +173,8 @@ class DeviceBind {
                         `Failed to ${topic.type} cluster '${cluster}' from ${sourceEntity.ID}' to ` +
                         `'${targetEntity.ID}' (${error})`
                     );
+
+                    data.failed.push(cluster);
                 } else {
                     logger.info(
                         `Successfully ${topic.type === 'bind' ? 'bound' : 'unbound'} cluster '${cluster}' from ` +
@@ -115,6 +185,14 @@ class DeviceBind {
                         `device_${topic.type}`,
                         {from: sourceEntity.ID, to: targetEntity.ID, cluster}
                     );
+
+                    data.clusters.push(cluster);
+                }
+
+                // Respond once all clusters are handled.
+                if (data.clusters.length + data.failed.length === clusters.length) {
+                    const failed = data.failed.length ? `Failed to ${topic.type} clusters '${data.failed}'` : null;
+                    respond(failed, data);
                 }
             });
         });
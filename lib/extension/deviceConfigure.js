@@ -1,6 +1,6 @@
 const settings = require('../util/settings');
 const logger = require('../util/logger');
-const zigbeeShepherdConverters = require('zigbee-shepherd-converters');
+const deviceDefinitions = require('../util/deviceDefinitions');
 const Queue = require('queue');
 
 /**
@@ -19,7 +19,7 @@ class DeviceConfigure {
 
     onZigbeeStarted() {
         this.zigbee.getAllClients().forEach((device) => {
-            const mappedDevice = zigbeeShepherdConverters.findByZigbeeModel(device.modelId);
+            const mappedDevice = deviceDefinitions.findByZigbeeModel(device.modelId);
 
             if (mappedDevice) {
                 this.configure(device.ieeeAddr, mappedDevice);
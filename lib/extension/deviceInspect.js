@@ -0,0 +1,202 @@
+const settings = require('../util/settings');
+const logger = require('../util/logger');
+const utils = require('../util/utils');
+const zclId = require('zcl-id');
+const deviceDefinitions = require('../util/deviceDefinitions');
+
+const topicRegex = new RegExp(`^${settings.get().mqtt.base_topic}/bridge/(request/)?device/(.+)/inspect$`);
+
+// Attributes are read in small chunks, larger read responses don't fit in a single frame.
+const readChunkSize = 4;
+
+// Attributes discovered per discover request.
+const discoverCount = 16;
+
+/**
+ * This extensions inspects a device, which helps with adding support for new devices.
+ * It lists all endpoints with their in and out clusters and reads all attributes of the in clusters.
+ *
+ * zigbee2mqtt/bridge/device/[FRIENDLY_NAME]/inspect
+ * The result is published to zigbee2mqtt/bridge/device/[FRIENDLY_NAME]/inspect/result
+ * (or bridge/response/device/[FRIENDLY_NAME]/inspect when requested through bridge/request).
+ */
+class DeviceInspect {
+    constructor(zigbee, mqtt, state, publishEntityState) {
+        this.zigbee = zigbee;
+        this.mqtt = mqtt;
+        this.inspecting = [];
+    }
+
+    onMQTTConnected() {
+        this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/device/+/inspect`);
+        this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/request/device/+/inspect`);
+    }
+
+    getClusterName(ID) {
+        const cluster = zclId.cluster(ID);
+        return cluster ? cluster.key : ID.toString();
+    }
+
+    getAttributeName(cluster, ID) {
+        const attribute = zclId.attr(cluster, ID);
+        return attribute ? attribute.key : ID.toString();
+    }
+
+    discoverAttributes(ieeeAddr, epID, clusterID, callback, startAttrId=0, discovered=[]) {
+        const zclData = {startAttrId, maxAttrIds: discoverCount};
+        this.zigbee.publish(ieeeAddr, 'device', clusterID, 'discover', 'foundation', zclData, null, epID,
+            (error, rsp) => {
+                if (error) {
+                    return callback(error, discovered);
+                }
+
+                const attrIds = rsp && rsp.attrInfos ? rsp.attrInfos.map((a) => a.attrId) : [];
+                discovered.push(...attrIds);
+
+                if (rsp && !rsp.discComplete && attrIds.length) {
+                    const next = Math.max(...attrIds) + 1;
+                    this.discoverAttributes(ieeeAddr, epID, clusterID, callback, next, discovered);
+                } else {
+                    callback(null, discovered);
+                }
+            }
+        );
+    }
+
+    readAttributes(ieeeAddr, epID, clusterID, attrIds, callback) {
+        const attributes = {};
+        const errors = [];
+        const chunks = [];
+        for (let i = 0; i < attrIds.length; i += readChunkSize) {
+            chunks.push(attrIds.slice(i, i + readChunkSize));
+        }
+
+        const funcs = chunks.map((chunk) => (done) => {
+            const zclData = chunk.map((attrId) => ({attrId}));
+            this.zigbee.publish(ieeeAddr, 'device', clusterID, 'read', 'foundation', zclData, null, epID,
+                (error, rsp) => {
+                    if (error) {
+                        errors.push(`Failed to read ${chunk.join(', ')} (${error})`);
+                    } else {
+                        rsp.forEach((r) => {
+                            const name = this.getAttributeName(clusterID, r.attrId);
+                            attributes[name] = r.status === 0 ? r.attrData : {status: r.status};
+                        });
+                    }
+
+                    done();
+                }
+            );
+        });
+
+        utils.series(funcs, () => callback(attributes, errors));
+    }
+
+    inspectCluster(ieeeAddr, epID, clusterID, callback) {
+        const result = {ID: clusterID, attributes: {}};
+
+        this.discoverAttributes(ieeeAddr, epID, clusterID, (error, attrIds) => {
+            if (error) {
+                result.error = `Failed to discover attributes (${error})`;
+            }
+
+            this.readAttributes(ieeeAddr, epID, clusterID, attrIds, (attributes, errors) => {
+                result.attributes = attributes;
+                if (errors.length) {
+                    result.error = errors.join(', ');
+                }
+
+                callback(result);
+            });
+        });
+    }
+
+    inspect(ieeeAddr, callback) {
+        const device = this.zigbee.getDevice(ieeeAddr);
+        const mappedDevice = deviceDefinitions.findByZigbeeModel(device.modelId);
+        const deviceSettings = settings.getDevice(ieeeAddr);
+
+        const result = {
+            ieeeAddr: device.ieeeAddr,
+            friendly_name: deviceSettings ? deviceSettings.friendly_name : device.ieeeAddr,
+            nwkAddr: device.nwkAddr,
+            type: device.type,
+            manufId: device.manufId,
+            manufName: device.manufName,
+            modelId: device.modelId,
+            powerSource: device.powerSource,
+            supported: !!mappedDevice,
+            model: mappedDevice ? mappedDevice.model : null,
+            endpoints: {},
+        };
+
+        const funcs = [];
+        (device.epList || []).forEach((epID) => {
+            const endpoint = this.zigbee.getEndpoint(ieeeAddr, epID);
+            if (!endpoint) {
+                return;
+            }
+
+            const simpleDesc = endpoint.getSimpleDesc();
+            const inClusters = {};
+            result.endpoints[epID] = {
+                profId: simpleDesc.profId,
+                devId: simpleDesc.devId,
+                inClusters,
+                outClusters: simpleDesc.outClusterList.map((ID) => this.getClusterName(ID)),
+            };
+
+            simpleDesc.inClusterList.forEach((clusterID) => {
+                funcs.push((done) => {
+                    logger.debug(`Inspecting cluster ${clusterID} of endpoint ${epID} of '${ieeeAddr}'`);
+                    this.inspectCluster(ieeeAddr, epID, clusterID, (cluster) => {
+                        inClusters[this.getClusterName(clusterID)] = cluster;
+                        done();
+                    });
+                });
+            });
+        });
+
+        utils.series(funcs, () => callback(result));
+    }
+
+    onMQTTMessage(topic, message) {
+        const match = topic.match(topicRegex);
+        if (!match) {
+            return false;
+        }
+
+        const request = match[1] ? utils.parseBridgeRequest(message) : null;
+        const name = match[2];
+        const ieeeAddr = settings.getIeeeAddrByFriendlyName(name) || name;
+        const device = this.zigbee.getDevice(ieeeAddr);
+
+        const respond = (error, data) => {
+            this.mqtt.reply(`device/${name}/inspect`, request, error, data, {
+                topic: `bridge/device/${name}/inspect/result`,
+            });
+        };
+
+        if (!device || device.type === 'Coordinator') {
+            respond(`Device '${name}' does not exist`);
+            return true;
+        }
+
+        if (this.inspecting.includes(ieeeAddr)) {
+            respond(`Device '${name}' is already being inspected`);
+            return true;
+        }
+
+        logger.info(`Inspecting '${name}', battery powered devices have to be awake during the inspection`);
+        this.inspecting.push(ieeeAddr);
+        this.inspect(ieeeAddr, (result) => {
+            this.inspecting.splice(this.inspecting.indexOf(ieeeAddr), 1);
+            logger.info(`Finished inspecting '${name}'`);
+            respond(null, result);
+        });
+
+        return true;
+    }
+}
+
+module.exports = DeviceInspect;
@@ -1,6 +1,6 @@
 
 const settings = require('../util/settings');
-const zigbeeShepherdConverters = require('zigbee-shepherd-converters');
+const deviceDefinitions = require('../util/deviceDefinitions');
 const logger = require('../util/logger');
 const utils = require('../util/utils');
 
@@ -9,13 +9,6 @@ const topicRegex = new RegExp(`^(.+?)(?:/(${postfixes.join('|')}))?/(get|set)(?:
 
 const maxDepth = 20;
 
-const groupConverters = [
-    zigbeeShepherdConverters.toZigbeeConverters.light_onoff_brightness,
-    zigbeeShepherdConverters.toZigbeeConverters.light_colortemp,
-    zigbeeShepherdConverters.toZigbeeConverters.light_color,
-    zigbeeShepherdConverters.toZigbeeConverters.ignore_transition,
-];
-
 class DevicePublish {
     constructor(zigbee, mqtt, state, publishEntityState) {
         this.zigbee = zigbee;
@@ -44,7 +37,7 @@ class DevicePublish {
 
         const ID = match[1].replace(`${settings.get().mqtt.base_topic}/`, '');
         // If we didn't repalce base_topic we received something we don't care about
-        if (ID === match[1] || ID.match(/bridge\/config/)) {
+        if (ID === match[1] || ID.match(/bridge\/(config|request)/)) {
             return null;
         }
 
@@ -97,7 +90,7 @@ class DevicePublish {
             }
 
             // Map device to a model
-            const model = zigbeeShepherdConverters.findByZigbeeModel(device.modelId);
+            const model = deviceDefinitions.findByZigbeeModel(device.modelId);
             if (!model) {
                 logger.warn(`Device with modelID '${device.modelId}' is not supported.`);
                 logger.warn(`Please see: https://www.zigbee2mqtt.io/how_tos/how_to_support_new_devices.html`);
@@ -105,17 +98,11 @@ class DevicePublish {
             }
 
             // Determine endpoint to publish to.
-            if (model.hasOwnProperty('ep')) {
-                const eps = model.ep(device);
-                endpoint = eps.hasOwnProperty(topic.postfix) ? eps[topic.postfix] : null;
-                if (endpoint === null && eps.hasOwnProperty('default')) {
-                    endpoint = eps['default'];
-                }
-            }
-
+            endpoint = deviceDefinitions.getEndpoint(model, device, topic.postfix);
             converters = model.toZigbee;
         } else if (entity.type === 'group') {
-            converters = groupConverters;
+            // A group supports the converters all its members support.
+            converters = deviceDefinitions.getGroupConverters(deviceDefinitions.findByGroup(this.zigbee, entity.ID));
         }
 
         // Convert the MQTT message to a Zigbee message.
@@ -155,6 +142,11 @@ class DevicePublish {
         // For each key in the JSON message find the matching converter.
         const usedConverters = [];
         keys.forEach((key) => {
+            // Scenes are handled by the scenes extension.
+            if (key.startsWith('scene_')) {
+                return;
+            }
+
             const converter = converters.find((c) => c.key.includes(key));
 
             if (usedConverters.includes(converter)) {
@@ -189,7 +181,8 @@ class DevicePublish {
                         } else {
                             this.handlePublishError(entity, message, error);
                         }
-                    }
+                    },
+                    'high'
                 );
 
                 // It's possible for devices to get out of sync when writing an attribute that's not reportable.
@@ -72,6 +72,8 @@ class DeviceReceive {
         if (!mappedDevice) {
             logger.warn(`Device with modelID '${device.modelId}' is not supported.`);
             logger.warn(`Please see: https://www.zigbee2mqtt.io/how_tos/how_to_support_new_devices.html`);
+            logger.warn(`The clusters and attributes of the device can be retrieved with ` +
+                `'${settings.get().mqtt.base_topic}/bridge/device/${device.ieeeAddr}/inspect'`);
             return;
         }
 
@@ -1,7 +1,12 @@
 const zigbeeShepherdConverters = require('zigbee-shepherd-converters');
+const deviceDefinitions = require('../util/deviceDefinitions');
+const settings = require('../util/settings');
 const logger = require('../util/logger');
 const CC2530Router = zigbeeShepherdConverters.devices.find((d) => d.model === 'CC2530.ROUTER');
 const utils = require('../util/utils');
+const zclId = require('zcl-id');
+
+const topicRegex = new RegExp(`^${settings.get().mqtt.base_topic}/bridge/(request/)?configure_reporting$`);
 
 const candidates = {
     'genOnOff': {
@@ -30,6 +35,27 @@ const reportInterval = {
 
 const reportableChange = 1;
 
+/**
+ * This extensions sets up reporting of devices.
+ *
+ * When advanced.report is enabled, reporting is setup for all mains powered routers using the candidates.
+ * Reporting can also be configured per device in configuration.yaml, this also works for other devices:
+ *
+ * devices:
+ *   '0x00158d0001d82999':
+ *     friendly_name: bulb
+ *     reporting:
+ *       genLevelCtrl:
+ *         currentLevel: {min: 5, max: 600, change: 10}
+ *       lightingColorCtrl: false
+ *
+ * Attributes (or whole clusters) set to false are not setup, omitted min/max/change fall back to the defaults.
+ * With `reporting: false` no reporting is setup for the device at all.
+ *
+ * Reporting can also be configured and read back through zigbee2mqtt/bridge/configure_reporting, e.g.:
+ * {"device": "bulb", "cluster": "genLevelCtrl", "attributes": {"currentLevel": {"min": 5, "max": 600}}}
+ * When attributes is a list of attribute names the current configuration is only read back.
+ */
 class DeviceReport {
     constructor(zigbee, mqtt, state, publishEntityState) {
         this.zigbee = zigbee;
@@ -38,6 +64,71 @@ class DeviceReport {
         this.publishEntityState = publishEntityState;
     }
 
+    onMQTTConnected() {
+        this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/configure_reporting`);
+        this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/request/configure_reporting`);
+    }
+
+    getReportingSettings(ieeeAddr) {
+        const device = settings.getDevice(ieeeAddr);
+        return device && device.hasOwnProperty('reporting') ? device.reporting : null;
+    }
+
+    createAttribute(attr, options={}, candidate={}) {
+        const defaults = {
+            min: candidate.hasOwnProperty('reportIntervalMin') ? candidate.reportIntervalMin : reportInterval.min,
+            max: candidate.hasOwnProperty('reportIntervalMax') ? candidate.reportIntervalMax : reportInterval.max,
+            change: candidate.hasOwnProperty('reportableChange') ? candidate.reportableChange : reportableChange,
+        };
+
+        return {attr, ...defaults, ...options};
+    }
+
+    // Returns the attributes to setup reporting for, per cluster.
+    getReporting(device, endpoint) {
+        const reporting = {};
+        const reportingSettings = this.getReportingSettings(device.ieeeAddr) || {};
+
+        if (settings.get().advanced.report && this.shouldSetupReporting(device)) {
+            Object.values(endpoint.clusters).filter((c) => c).forEach((c) => {
+                const cluster = c.attrs.cid;
+                if (candidates[cluster]) {
+                    const candidate = candidates[cluster];
+                    let attributeNames = candidate.attrs.filter((a) => c.attrs.hasOwnProperty(a));
+
+                    // Sometimes a cluster has no attributes, in this case setup reporting for all attributes.
+                    attributeNames = attributeNames.length ? attributeNames : candidate.attrs;
+                    reporting[cluster] = attributeNames.map((a) => this.createAttribute(a, {}, candidate));
+                }
+            });
+        }
+
+        // The device settings override the candidates.
+        Object.keys(reportingSettings).forEach((cluster) => {
+            const clusterSettings = reportingSettings[cluster];
+            if (!clusterSettings) {
+                delete reporting[cluster];
+                return;
+            }
+
+            const attributes = reporting[cluster] || [];
+            Object.keys(clusterSettings).forEach((attr) => {
+                const index = attributes.findIndex((a) => a.attr === attr);
+                if (index !== -1) {
+                    attributes.splice(index, 1);
+                }
+
+                if (clusterSettings[attr]) {
+                    attributes.push(this.createAttribute(attr, clusterSettings[attr], candidates[cluster]));
+                }
+            });
+
+            reporting[cluster] = attributes;
+        });
+
+        return reporting;
+    }
+
     setupReporting(mappedDevice, device) {
         let epId = null;
 
@@ -60,43 +151,43 @@ class DeviceReport {
         }
 
         logger.debug(`Setting up reporting for ${device.ieeeAddr}`);
-        Object.values(endpoint.clusters).filter((c) => c).forEach((c) => {
-            const cluster = c.attrs.cid;
-            if (candidates[cluster]) {
-                const candidate = candidates[cluster];
-                let attributeNames = candidate.attrs.filter((a) => c.attrs.hasOwnProperty(a));
-
-                // Sometimes a cluster has no attributes, in this case setup reporting for all attributes.
-                attributeNames = attributeNames.length ? attributeNames : candidate.attrs;
-
-                const attributes = attributeNames.map((attribute) => {
-                    return {
-                        attr: attribute,
-                        min: candidate.hasOwnProperty('reportIntervalMin')?
-                            candidate.reportIntervalMin:reportInterval.min,
-                        max: candidate.hasOwnProperty('reportIntervalMax')?
-                            candidate.reportIntervalMax:reportInterval.max,
-                        change: candidate.hasOwnProperty('reportableChange')?
-                            candidate.reportableChange:reportableChange,
-                    };
-                });
-
-                if (attributes.length > 0) {
-                    this.zigbee.report(endpoint, cluster, attributes);
-                }
+        const reporting = this.getReporting(device, endpoint);
+        Object.keys(reporting).forEach((cluster) => {
+            const attributes = reporting[cluster].filter((a) => this.isReportable(cluster, a.attr));
+            if (attributes.length > 0) {
+                this.zigbee.report(endpoint, cluster, attributes);
             }
         });
     }
 
+    isReportable(cluster, attr) {
+        if (!zclId.attr(cluster, attr) || !zclId.attrType(cluster, attr)) {
+            logger.error(`Cannot setup reporting for unknown attribute '${attr}' of cluster '${cluster}'`);
+            return false;
+        }
+
+        return true;
+    }
+
     shouldSetupReporting(device) {
         return utils.isRouter(device) && !utils.isBatteryPowered(device);
     }
 
+    // Reporting is setup for routers when advanced.report is enabled and for all devices with reporting settings.
+    hasReporting(device) {
+        const reportingSettings = this.getReportingSettings(device.ieeeAddr);
+        if (reportingSettings === false) {
+            return false;
+        }
+
+        return !!reportingSettings || (settings.get().advanced.report && this.shouldSetupReporting(device));
+    }
+
     onZigbeeStarted() {
         this.zigbee.getAllClients()
-            .filter((d) => this.shouldSetupReporting(d))
+            .filter((d) => this.hasReporting(d))
             .forEach((device) => {
-                const mappedDevice = zigbeeShepherdConverters.findByZigbeeModel(device.modelId);
+                const mappedDevice = deviceDefinitions.findByZigbeeModel(device.modelId);
 
                 if (mappedDevice) {
                     this.setupReporting(mappedDevice, device);
@@ -111,10 +202,120 @@ class DeviceReport {
         // Re-setup reporting.
         // https://github.com/Koenkk/zigbee2mqtt/issues/966
         if (device && mappedDevice && ['endDeviceAnnce', 'devIncoming'].includes(message.type) &&
-            this.shouldSetupReporting(device)) {
+            this.hasReporting(device)) {
             this.setupReporting(mappedDevice, device);
         }
     }
+
+    // Reads the reporting configuration of the attributes back from the device.
+    readReportConfig(ieeeAddr, endpoint, cluster, attributes, callback) {
+        const zclData = attributes.map((attr) => ({direction: 0, attrId: zclId.attr(cluster, attr).value}));
+        this.zigbee.publish(ieeeAddr, 'device', cluster, 'readReportConfig', 'foundation', zclData, null, endpoint,
+            (error, rsp) => {
+                if (error) {
+                    return callback(`Failed to read reporting configuration (${error})`);
+                }
+
+                const result = {};
+                (rsp || []).forEach((r) => {
+                    const attribute = zclId.attr(cluster, r.attrId);
+                    const name = attribute ? attribute.key : r.attrId.toString();
+                    result[name] = r.status === 0 ?
+                        {min: r.minRepIntval, max: r.maxRepIntval, change: r.repChange} : {status: r.status};
+                });
+
+                callback(null, result);
+            }
+        );
+    }
+
+    configureReporting(json, callback) {
+        const ieeeAddr = json.device ? settings.getIeeeAddrByFriendlyName(json.device) || json.device : null;
+        const device = ieeeAddr ? this.zigbee.getDevice(ieeeAddr) : null;
+        if (!device || device.type === 'Coordinator') {
+            return callback(`Device '${json.device}' does not exist`);
+        }
+
+        const cluster = json.cluster !== undefined ? zclId.cluster(json.cluster) : null;
+        if (!cluster) {
+            return callback(`Unknown cluster '${json.cluster}'`);
+        }
+
+        let attributes = [];
+        if (Array.isArray(json.attributes)) {
+            attributes = json.attributes;
+        } else if (json.attributes && typeof json.attributes === 'object') {
+            attributes = Object.keys(json.attributes);
+        }
+
+        if (!attributes.length) {
+            return callback(`'attributes' should be a list or object of attributes`);
+        }
+
+        const unknown = attributes.find((a) => !zclId.attr(cluster.key, a) || !zclId.attrType(cluster.key, a));
+        if (unknown !== undefined) {
+            return callback(`Unknown attribute '${unknown}' of cluster '${cluster.key}'`);
+        }
+
+        const names = attributes.map((a) => zclId.attr(cluster.key, a).key);
+        const endpointID = json.endpoint || null;
+        const endpoint = this.zigbee.getEndpoint(ieeeAddr, endpointID);
+        if (!endpoint) {
+            return callback(`Endpoint ${endpointID} of '${json.device}' does not exist`);
+        }
+
+        const readBack = () => {
+            this.readReportConfig(ieeeAddr, endpoint.epId, cluster.key, names, (error, result) => {
+                callback(error, {cluster: cluster.key, endpoint: endpoint.epId, attributes: result});
+            });
+        };
+
+        if (Array.isArray(json.attributes)) {
+            return readBack();
+        }
+
+        const config = names.map((name, index) => {
+            return this.createAttribute(name, json.attributes[attributes[index]] || {}, candidates[cluster.key]);
+        });
+        this.zigbee.report(endpoint, cluster.key, config, (error) => {
+            if (error) {
+                callback(`Failed to setup reporting (${error})`);
+            } else {
+                readBack();
+            }
+        });
+    }
+
+    onMQTTMessage(topic, message) {
+        const match = topic.match(topicRegex);
+        if (!match) {
+            return false;
+        }
+
+        const isRequest = !!match[1];
+        const request = utils.parseBridgeRequest(message);
+        let json = null;
+        try {
+            json = JSON.parse(request.message);
+        } catch (e) {
+            json = null;
+        }
+
+        const respond = (error, data={}) => {
+            data = {device: json ? json.device : null, ...data};
+            this.mqtt.reply(
+                'configure_reporting', isRequest ? request : null, error, data, {log: 'configure_reporting'}
+            );
+        };
+
+        if (!json || typeof json !== 'object') {
+            respond(`Failed to parse '${request.message}' as JSON object`);
+            return true;
+        }
+
+        this.configureReporting(json, respond);
+        return true;
+    }
 }
 
 module.exports = DeviceReport;
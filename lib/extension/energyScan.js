@@ -0,0 +1,57 @@
+const settings = require('../util/settings');
+const logger = require('../util/logger');
+const utils = require('../util/utils');
+
+const topicRegex = new RegExp(`^${settings.get().mqtt.base_topic}/bridge/(request/)?energy_scan$`);
+
+/**
+ * This extensions scans how busy each channel is, which helps picking a channel for
+ * zigbee2mqtt/bridge/config/channel.
+ *
+ * zigbee2mqtt/bridge/energy_scan
+ * The result is published to bridge/log (type 'energy_scan'), or bridge/response/energy_scan when requested
+ * through bridge/request, e.g.: {"channels": {"11": 170, "12": 31, ...}, "total_transmissions": 12,
+ * "transmission_failures": 0}. The energy of a channel ranges from 0 (quiet) to 255 (busy).
+ */
+class EnergyScan {
+    constructor(zigbee, mqtt, state, publishEntityState) {
+        this.zigbee = zigbee;
+        this.mqtt = mqtt;
+        this.scanning = false;
+    }
+
+    onMQTTConnected() {
+        this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/energy_scan`);
+        this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/request/energy_scan`);
+    }
+
+    onMQTTMessage(topic, message) {
+        const match = topic.match(topicRegex);
+        if (!match) {
+            return false;
+        }
+
+        const request = match[1] ? utils.parseBridgeRequest(message) : null;
+        const respond = (error, result) => this.mqtt.reply('energy_scan', request, error, result, {log: 'energy_scan'});
+
+        if (this.scanning) {
+            respond('An energy scan is already running');
+            return true;
+        }
+
+        this.scanning = true;
+        this.zigbee.energyScan((error, result) => {
+            this.scanning = false;
+            if (error) {
+                respond(`Energy scan failed (${error})`);
+            } else {
+                logger.info(`Energy scan finished: ${JSON.stringify(result.channels)}`);
+                respond(null, result);
+            }
+        });
+
+        return true;
+    }
+}
+
+module.exports = EnergyScan;
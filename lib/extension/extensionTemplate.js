@@ -1,6 +1,9 @@
 /**
  * This extensions is for documentation purposes only.
  * It describes all methods that are called by the controller.
+ *
+ * External extensions (placed in data/extension or listed in `external_extensions`)
+ * implement the same methods.
  */
 class ExtensionTemplate {
     /**
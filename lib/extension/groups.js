@@ -3,9 +3,37 @@ const logger = require('../util/logger');
 const data = require('../util/data');
 const fs = require('fs');
 const diff = require('deep-diff');
-
-const topicRegex = new RegExp(`^${settings.get().mqtt.base_topic}/bridge/group/.+/(remove|add|remove_all)$`);
-
+const utils = require('../util/utils');
+const deviceDefinitions = require('../util/deviceDefinitions');
+
+const topicRegex = new RegExp(`^${settings.get().mqtt.base_topic}/bridge/(request/)?group/.+/(remove|add|remove_all)$`);
+const syncRegex = new RegExp(`^${settings.get().mqtt.base_topic}/bridge/(request/)?group/sync$`);
+
+// Rules which derive a property of a group from the values of its members.
+// A rule gets the values of all members and the value of the member which changed.
+const stateRules = {
+    any_on: (values) => values.includes('ON') ? 'ON' : 'OFF',
+    all_on: (values) => values.every((v) => v === 'ON') ? 'ON' : 'OFF',
+    average: (values) => Math.round(values.reduce((sum, v) => sum + v, 0) / values.length),
+    minimum: (values) => Math.min(...values),
+    maximum: (values) => Math.max(...values),
+    last: (values, value) => value,
+};
+
+const defaultStateRules = {state: 'any_on', brightness: 'average', color_temp: 'average', color: 'last'};
+
+/**
+ * This extensions adds devices to and removes devices from groups.
+ *
+ * The state of a group is derived from the state of its members, e.g. a group is ON when any member is ON.
+ * The rule per property can be changed with the state_rules group option, e.g. {state: all_on}.
+ * Device definitions can add rules for other properties with groupStateRules, e.g. {position: 'average'},
+ * a rule is one of the names in stateRules or (for JavaScript definitions) a function.
+ *
+ * zigbee2mqtt/bridge/group/sync reads the group membership of all group members from the devices, fixes the
+ * differences with configuration.yaml and publishes a report to bridge/log (type 'group_sync'), or
+ * bridge/response/group/sync when requested through bridge/request.
+ */
 class Groups {
     constructor(zigbee, mqtt, state, publishEntityState) {
         this.zigbee = zigbee;
@@ -30,6 +58,11 @@ class Groups {
         this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/group/+/remove`);
         this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/group/+/add`);
         this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/group/+/remove_all`);
+        this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/request/group/+/remove`);
+        this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/request/group/+/add`);
+        this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/request/group/+/remove_all`);
+        this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/group/sync`);
+        this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/request/group/sync`);
     }
 
     apply(from, to) {
@@ -67,22 +100,65 @@ class Groups {
         });
     }
 
-    onStateChange(ieeeAddr, from, to) {
-        const properties = ['state', 'brightness', 'color_temp', 'color'];
-        const payload = {};
+    getStateRules(groupID) {
+        const rules = {...defaultStateRules};
+        deviceDefinitions.findByGroup(this.zigbee, groupID).forEach((mappedDevice) => {
+            Object.assign(rules, mappedDevice.groupStateRules);
+        });
 
-        properties.forEach((prop) => {
-            if (to.hasOwnProperty(prop) && (!from || from[prop] != to[prop])) {
-                payload[prop] = to[prop];
+        return {...rules, ...settings.getGroup(groupID).state_rules};
+    }
+
+    // Warns about groups whose members have no converters in common, these groups can't be controlled.
+    // Checked at startup and when the membership changes instead of on every publish to the group.
+    checkGroupConverters(groupIDs) {
+        groupIDs.filter((groupID) => settings.getGroup(groupID)).forEach((groupID) => {
+            const definitions = deviceDefinitions.findByGroup(this.zigbee, groupID);
+            if (definitions.length && !deviceDefinitions.getGroupConverters(definitions).length) {
+                logger.warn(
+                    `The members (${definitions.map((d) => d.model).join(', ')}) of group ` +
+                    `'${settings.getGroup(groupID).friendly_name}' have no converters in common`
+                );
             }
         });
+    }
 
-        if (Object.keys(payload)) {
-            const groups = this.getGroupsOfDevice(ieeeAddr);
-            groups.forEach((groupID) => {
-                this.publishEntityState(groupID, payload);
+    // Derives the state of the groups of a device from the state of all their members.
+    onStateChange(ieeeAddr, from, to) {
+        const changed = (a, b) => !!diff(a, b);
+
+        this.getGroupsOfDevice(ieeeAddr).forEach((groupID) => {
+            const rules = this.getStateRules(groupID);
+            const groupState = this.state.exists(groupID) ? this.state.get(groupID) : {};
+
+            // The state of the device which changed is not stored yet.
+            const members = settings.getGroup(groupID).devices.map((member) => {
+                return member === ieeeAddr ? to : this.state.get(member);
+            }).filter((state) => state);
+
+            const payload = {};
+            Object.keys(rules).forEach((property) => {
+                if (!to.hasOwnProperty(property) || (from && !changed(from[property], to[property]))) {
+                    return;
+                }
+
+                const rule = typeof rules[property] === 'function' ? rules[property] : stateRules[rules[property]];
+                if (!rule) {
+                    logger.warn(`Group state rule '${rules[property]}' of '${property}' does not exist`);
+                    return;
+                }
+
+                const values = members.filter((s) => s.hasOwnProperty(property)).map((s) => s[property]);
+                const value = rule(values, to[property]);
+                if (changed(groupState[property], value)) {
+                    payload[property] = value;
+                }
             });
-        }
+
+            if (Object.keys(payload).length) {
+                this.publishEntityState(groupID, payload);
+            }
+        });
     }
 
     onZigbeeStarted() {
@@ -94,15 +170,19 @@ class Groups {
         });
 
         this.apply(this.groupsCache, settingsGroups);
+        this.checkGroupConverters(Object.keys(settingsGroups));
     }
 
     parseTopic(topic) {
-        if (!topic.match(topicRegex)) {
+        const match = topic.match(topicRegex);
+        if (!match) {
             return null;
         }
 
+        const request = !!match[1];
+
         // Remove base from topic
-        topic = topic.replace(`${settings.get().mqtt.base_topic}/bridge/group/`, '');
+        topic = topic.replace(`${settings.get().mqtt.base_topic}/bridge/${request ? 'request/' : ''}group/`, '');
 
         // Parse type from topic
         const type = topic.substr(topic.lastIndexOf('/') + 1, topic.length);
@@ -110,10 +190,10 @@ class Groups {
         // Remove type from topic
         topic = topic.replace(`/${type}`, '');
 
-        return {friendly_name: topic, type};
+        return {friendly_name: topic, type, request};
     }
 
-    updateDeviceGroup(ieeeAddr, cmd, groupID) {
+    updateDeviceGroup(ieeeAddr, cmd, groupID, callback) {
         let payload = null;
         const orignalCmd = cmd;
         if (cmd === 'add') {
@@ -130,6 +210,10 @@ class Groups {
         const cb = (error, rsp) => {
             if (error) {
                 logger.error(`Failed to ${cmd} ${ieeeAddr} from ${groupID}`);
+
+                if (callback) {
+                    callback(`Failed to ${cmd} ${ieeeAddr} from ${groupID} (${error})`);
+                }
             } else {
                 logger.info(`Successfully ${cmd} ${ieeeAddr} to ${groupID}`);
 
@@ -162,6 +246,7 @@ class Groups {
                 this.writeGroupsCache();
 
                 // Update settings
+                const changedGroups = cmd === 'removeAll' ? this.getGroupsOfDevice(ieeeAddr) : [groupID];
                 if (cmd === 'add') {
                     settings.addDeviceToGroup(groupID, ieeeAddr);
                 } else if (cmd === 'remove') {
@@ -171,6 +256,12 @@ class Groups {
                         settings.removeDeviceFromGroup(groupID, ieeeAddr);
                     });
                 }
+
+                this.checkGroupConverters(changedGroups);
+
+                if (callback) {
+                    callback(null);
+                }
             }
         };
 
@@ -180,22 +271,129 @@ class Groups {
         );
     }
 
+    // Reads the groups of a device and fixes the differences with the groups it is in according to the settings.
+    syncDevice(ieeeAddr, configured, callback) {
+        const deviceSettings = settings.getDevice(ieeeAddr);
+        const result = {
+            friendly_name: deviceSettings ? deviceSettings.friendly_name : ieeeAddr,
+            groups: [], added: [], removed: [], unknown: [], failed: [],
+        };
+
+        this.zigbee.publish(
+            ieeeAddr, 'device', 'genGroups', 'getMembership', 'functional',
+            {groupcount: 0, grouplist: []}, null, null, (error, rsp) => {
+                if (error) {
+                    result.error = `Failed to get membership (${error})`;
+                    return callback(result);
+                }
+
+                const defined = Object.keys(settings.getGroups()).map((ID) => Number(ID));
+                result.groups = rsp.grouplist;
+                result.unknown = rsp.grouplist.filter((ID) => !defined.includes(ID));
+
+                // The cache should reflect what the device really has.
+                defined.forEach((ID) => {
+                    const cached = (this.groupsCache[ID] || []).filter((d) => d !== ieeeAddr);
+                    this.groupsCache[ID] = rsp.grouplist.includes(ID) ? [...cached, ieeeAddr] : cached;
+                });
+                this.writeGroupsCache();
+
+                const add = configured.filter((ID) => !rsp.grouplist.includes(ID));
+                const remove = rsp.grouplist.filter((ID) => defined.includes(ID) && !configured.includes(ID));
+                const funcs = [
+                    ...add.map((ID) => ({ID, cmd: 'add', list: result.added})),
+                    ...remove.map((ID) => ({ID, cmd: 'remove', list: result.removed})),
+                ].map((change) => (done) => {
+                    this.updateDeviceGroup(ieeeAddr, change.cmd, change.ID, (error) => {
+                        if (error) {
+                            result.failed.push(change.ID);
+                        } else {
+                            change.list.push(change.ID);
+                        }
+
+                        done();
+                    });
+                });
+
+                utils.series(funcs, () => callback(result));
+            }
+        );
+    }
+
+    sync(callback) {
+        // All members according to the settings and the cache, with the groups they should be in.
+        const configured = {};
+        const addMember = (ieeeAddr) => configured[ieeeAddr] = configured[ieeeAddr] || [];
+        Object.keys(settings.getGroups()).forEach((ID) => {
+            settings.getGroup(ID).devices.forEach((ieeeAddr) => addMember(ieeeAddr).push(Number(ID)));
+        });
+        Object.values(this.groupsCache).forEach((devices) => devices.forEach((ieeeAddr) => addMember(ieeeAddr)));
+
+        const report = {};
+        const funcs = Object.keys(configured).filter((ieeeAddr) => this.zigbee.getDevice(ieeeAddr)).map((ieeeAddr) => {
+            return (done) => this.syncDevice(ieeeAddr, configured[ieeeAddr], (result) => {
+                const {friendly_name: name, ...rest} = result;
+                report[name] = rest;
+                done();
+            });
+        });
+
+        logger.info(`Syncing the group membership of ${funcs.length} devices`);
+        utils.series(funcs, () => callback(report));
+    }
+
     onMQTTMessage(topic, message) {
+        const syncMatch = topic.match(syncRegex);
+        if (syncMatch) {
+            const request = syncMatch[1] ? utils.parseBridgeRequest(message) : null;
+            this.sync((report) => {
+                logger.info(`Finished syncing group membership`);
+                if (request) {
+                    this.mqtt.respond('group/sync', request.transaction, null, report);
+                } else {
+                    this.mqtt.log('group_sync', report);
+                }
+            });
+
+            return true;
+        }
+
         topic = this.parseTopic(topic);
 
         if (!topic) {
             return false;
         }
 
+        let transaction;
+        if (topic.request) {
+            const request = utils.parseBridgeRequest(message);
+            message = request.message;
+            transaction = request.transaction;
+        }
+
+        const respond = (error) => {
+            if (topic.request) {
+                this.mqtt.respond(
+                    `group/${topic.friendly_name}/${topic.type}`, transaction, error,
+                    {friendly_name: topic.friendly_name, device: message.toString()},
+                );
+            }
+        };
+
+        const fail = (error) => {
+            logger.error(error);
+            respond(error);
+        };
+
         // Find ID of this group.
         const groupID = settings.getGroupIDByFriendlyName(topic.friendly_name);
         if (!groupID) {
-            logger.error(`Group with friendly_name '${topic.friendly_name}' doesn't exist`);
+            fail(`Group with friendly_name '${topic.friendly_name}' doesn't exist`);
             return;
         }
 
         if (groupID === 99) {
-            logger.error('Group 99 is reserved, please use a different groupID');
+            fail('Group 99 is reserved, please use a different groupID');
             return;
         }
 
@@ -203,12 +401,12 @@ class Groups {
         message = message.toString();
         const ieeeAddr = settings.getIeeeAddrByFriendlyName(message) || message;
         if (!this.zigbee.getDevice(ieeeAddr)) {
-            logger.error(`Failed to find device '${message}'`);
+            fail(`Failed to find device '${message}'`);
             return;
         }
 
         // Send command to the device.
-        this.updateDeviceGroup(ieeeAddr, topic.type, groupID);
+        this.updateDeviceGroup(ieeeAddr, topic.type, groupID, respond);
 
         return true;
     }
@@ -1,8 +1,15 @@
+const deviceDefinitions = require('../util/deviceDefinitions');
 const zigbeeShepherdConverters = require('zigbee-shepherd-converters');
 const settings = require('../util/settings');
 const logger = require('../util/logger');
+const utils = require('../util/utils');
 const zigbee2mqttVersion = require('../../package.json').version;
 
+const cleanupRegex = new RegExp(`^${settings.get().mqtt.base_topic}/bridge/(config|request)/homeassistant_cleanup$`);
+
+// Time to wait for the retained discovery configs when cleaning up (in seconds).
+const cleanupTime = 5;
+
 const configurations = {
     // Binary sensor
     'binary_sensor_occupancy': {
@@ -730,17 +737,25 @@ Object.keys(mapping).forEach((key) => {
 
 /**
  * This extensions handles integration with HomeAssistant
+ *
+ * Discovery configs are removed or republished when devices and groups are removed or renamed.
+ * zigbee2mqtt/bridge/config/homeassistant_cleanup removes the discovery configs of this zigbee2mqtt
+ * instance which don't belong to a device or group anymore, e.g. the ones left behind by an earlier version.
+ * The removed topics are published to bridge/log (type 'homeassistant_cleanup'),
+ * or bridge/response/homeassistant_cleanup when requested through bridge/request.
  */
 class HomeAssistant {
-    constructor(zigbee, mqtt, state, publishEntityState) {
+    constructor(zigbee, mqtt, state, publishEntityState, {deviceAvailability=null}={}) {
         this.zigbee = zigbee;
         this.mqtt = mqtt;
         this.state = state;
         this.publishEntityState = publishEntityState;
+        this.deviceAvailability = deviceAvailability;
         this.zigbee2mqttVersion = zigbee2mqttVersion;
 
-        // A map of all discoverd devices
+        // A map of all discoverd devices and groups with their discovery topics
         this.discovered = {};
+        this.onSettingsChanged = this.onSettingsChanged.bind(this);
 
         if (!settings.get().advanced.cache_state) {
             logger.warn('In order for HomeAssistant integration to work properly set `cache_state: true');
@@ -751,6 +766,8 @@ class HomeAssistant {
         }
 
         this.discoveryTopic = settings.get().advanced.homeassistant_discovery_topic;
+        this.discoveryRegex = new RegExp(`^${this.discoveryTopic}/(\\w+/[^/]+/\\w+/config)$`);
+        this.cleanup = null;
     }
 
     onMQTTConnected() {
@@ -758,11 +775,98 @@ class HomeAssistant {
 
         // MQTT discovery of all paired devices on startup.
         this.zigbee.getAllClients().forEach((device) => {
-            const mappedModel = zigbeeShepherdConverters.findByZigbeeModel(device.modelId);
+            const mappedModel = deviceDefinitions.findByZigbeeModel(device.modelId);
             if (mappedModel) {
                 this.discover(device.ieeeAddr, mappedModel, true);
             }
         });
+
+        Object.keys(settings.getGroups()).forEach((groupID) => this.discover(groupID, null, true));
+    }
+
+    onZigbeeStarted() {
+        settings.addOnChangeHandler(this.onSettingsChanged);
+    }
+
+    stop() {
+        if (this.cleanup) {
+            clearTimeout(this.cleanup.timer);
+        }
+    }
+
+    // Groups are (re)discovered when they are added, renamed or when their members change,
+    // devices are rediscovered when they are renamed.
+    onSettingsChanged(change) {
+        if (!change) {
+            return;
+        }
+
+        if (['group_added', 'group_renamed', 'group_members_changed'].includes(change.type)) {
+            this.discover(change.ID, null, true);
+        } else if (change.type === 'device_renamed') {
+            const device = this.zigbee.getDevice(change.ieeeAddr);
+            const mappedModel = device ? deviceDefinitions.findByZigbeeModel(device.modelId) : null;
+            if (mappedModel) {
+                this.discover(change.ieeeAddr, mappedModel, true);
+            }
+        } else if (['group_removed', 'device_removed'].includes(change.type)) {
+            this.clear(change.type === 'group_removed' ? change.ID : change.ieeeAddr);
+        }
+    }
+
+    // Removes discovery configs from Home Assistant by publishing an empty retained message.
+    clearTopics(topics) {
+        topics.forEach((topic) => {
+            this.mqtt.publish(topic, '', {retain: true, qos: 0}, null, this.discoveryTopic);
+        });
+    }
+
+    clear(entityID) {
+        this.clearTopics(this.discovered[entityID] || []);
+        delete this.discovered[entityID];
+    }
+
+    getConfigs(model, mappedModel) {
+        // External device definitions can list their configurations, e.g. `homeassistant: [light_brightness]`,
+        // unless the model is overridden through `homeassistant_override_model`.
+        if (mappedModel.homeassistant && model === mappedModel.model) {
+            const unknown = mappedModel.homeassistant.filter((name) => !configurations[name]);
+            if (unknown.length) {
+                logger.error(`Unknown Home Assistant configuration(s) '${unknown.join(', ')}' for '${model}'`);
+            }
+
+            return mappedModel.homeassistant.filter((name) => configurations[name])
+                .map((name) => configurations[name])
+                .concat([configurations.sensor_linkquality]);
+        }
+
+        return mapping[model];
+    }
+
+    // The entity type of a group follows from the converters all its members support,
+    // e.g. a group of bulbs which all support color temperature becomes a light with color temperature.
+    getGroupConfigs(groupID) {
+        const converters = deviceDefinitions.getGroupConverters(deviceDefinitions.findByGroup(this.zigbee, groupID));
+        const keys = [].concat(...converters.map((c) => c.key));
+        const has = (key) => keys.includes(key);
+        const is = (name) => converters.includes(zigbeeShepherdConverters.toZigbeeConverters[name]);
+
+        if (has('position')) {
+            return [configurations.cover_position];
+        } else if (is('cover_open_close')) {
+            return [configurations.cover];
+        } else if (is('generic_lock')) {
+            return [configurations.lock];
+        } else if (has('system_mode') && has('occupied_heating_setpoint')) {
+            return [configurations.thermostat];
+        } else if (has('brightness')) {
+            const features = ['brightness', has('color_temp') ? 'colortemp' : null, has('color') ? 'colorxy' : null];
+            return [configurations[`light_${features.filter((f) => f).join('_')}`]];
+        } else if (has('state')) {
+            return [configurations.switch];
+        }
+
+        return [];
     }
 
     discover(entityID, mappedModel, force=false) {
@@ -773,16 +877,34 @@ class HomeAssistant {
         }
 
         const entity = settings.resolveEntity(entityID);
-        const device = settings.getDevice(entityID);
-        const model_id = device.homeassistant_override_model || mappedModel.model;
-        if (entity.type === 'device' && (!mapping[model_id] || !device)) {
+        const device = entity.type === 'group' ? settings.getGroup(entity.ID) : settings.getDevice(entityID);
+        if (!device) {
             return;
-        } else if (entity.type === 'group' && (!settings.getGroup(entity.ID))) {
+        }
+
+        let configs = null;
+        let model = null;
+        if (entity.type === 'group') {
+            configs = this.getGroupConfigs(entity.ID);
+            model = {model: 'Group', manufacturer: 'Zigbee2mqtt'};
+        } else {
+            const model_id = device.homeassistant_override_model || mappedModel.model;
+            configs = this.getConfigs(model_id, mappedModel);
+            model = {model: `${mappedModel.description} (${model_id})`, manufacturer: mappedModel.vendor};
+        }
+
+        if (!configs) {
             return;
         }
 
-        mapping[model_id].forEach((config) => {
+        const availability = entity.type === 'device' ? this.deviceAvailability : null;
+        const zigbeeDevice = availability ? this.zigbee.getDevice(entityID) : null;
+        const tracked = !!zigbeeDevice && availability.isTracked(zigbeeDevice);
+
+        const topics = [];
+        configs.forEach((config) => {
             const topic = `${config.type}/${entityID}/${config.object_id}/config`;
+            topics.push(topic);
             const payload = {...config.discovery_payload};
             const stateTopic = `${settings.get().mqtt.base_topic}/${entity.friendlyName}`;
 
@@ -817,15 +939,18 @@ class HomeAssistant {
                 identifiers: `zigbee2mqtt_${entityID}`,
                 name: entity.friendlyName,
                 sw_version: `Zigbee2mqtt ${this.zigbee2mqttVersion}`,
-                model: `${mappedModel.description} (${model_id})`,
-                manufacturer: mappedModel.vendor,
+                ...model,
             };
 
             // Set availability payload
-            // When using availability_timeout each device has it's own availability topic.
+            // When the availability of a device is tracked (pinged or passive) it has it's own availability topic.
             // If not, use the availability topic of zigbee2mqtt.
-            if (settings.get().advanced.availability_timeout) {
+            // Groups have no availability of their own.
+            if (tracked) {
                 payload.availability_topic = `${settings.get().mqtt.base_topic}/${entity.friendlyName}/availability`;
+                if (settings.get().advanced.availability_output === 'json') {
+                    payload.availability_template = '{{ value_json.state }}';
+                }
             } else {
                 payload.availability_topic = `${settings.get().mqtt.base_topic}/bridge/state`;
             }
@@ -915,11 +1040,70 @@ class HomeAssistant {
             this.mqtt.publish(topic, JSON.stringify(payload), {retain: true, qos: 0}, null, this.discoveryTopic);
         });
 
-        this.discovered[entityID] = true;
+        // E.g. a group which became a switch instead of a light because a member changed.
+        this.clearTopics((this.discovered[entityID] || []).filter((topic) => !topics.includes(topic)));
+        this.discovered[entityID] = topics;
+    }
+
+    // Collects the retained discovery configs, the ones of this zigbee2mqtt instance which are not discovered
+    // anymore are removed. A config belongs to this instance when its unique_id is exactly the one this instance
+    // would use for the topic (entity ID, object_id and base_topic), e.g. 'garage_zigbee2mqtt' instances are ignored.
+    startCleanup(callback) {
+        if (this.cleanup) {
+            return callback('A Home Assistant cleanup is already running');
+        }
+
+        const subscription = `${this.discoveryTopic}/+/+/+/config`;
+        this.cleanup = {configs: {}};
+        this.mqtt.subscribe(subscription);
+
+        this.cleanup.timer = setTimeout(() => {
+            this.mqtt.unsubscribe(subscription);
+            const configs = this.cleanup.configs;
+            this.cleanup = null;
+
+            const discovered = [].concat(...Object.values(this.discovered));
+            const objectIDs = [].concat(...Object.values(mapping), ...Object.values(configurations))
+                .map((config) => config.object_id);
+            const orphaned = Object.keys(configs).filter((topic) => {
+                const [, entityID, objectID] = topic.split('/');
+                const uniqueID = `${entityID}_${objectID}_${settings.get().mqtt.base_topic}`;
+                return !discovered.includes(topic) && configs[topic].unique_id === uniqueID &&
+                    entityID.match(/^(0x[0-9a-f]+|\d+)$/) && objectIDs.includes(objectID);
+            });
+
+            this.clearTopics(orphaned);
+            logger.info(`Removed ${orphaned.length} orphaned Home Assistant discovery config(s)`);
+            callback(null, {removed: orphaned});
+        }, utils.secondsToMilliseconds(cleanupTime));
     }
 
     onMQTTMessage(topic, message) {
-        if (!topic === 'hass/status') {
+        const discoveryMatch = topic.match(this.discoveryRegex);
+        if (discoveryMatch) {
+            // Removed configs are published as empty message.
+            if (this.cleanup && message.length) {
+                try {
+                    this.cleanup.configs[discoveryMatch[1]] = JSON.parse(message);
+                } catch (e) {
+                    logger.debug(`Ignoring invalid discovery config on '${topic}'`);
+                }
+            }
+
+            return true;
+        }
+
+        const cleanupMatch = topic.match(cleanupRegex);
+        if (cleanupMatch) {
+            const request = cleanupMatch[1] === 'request' ? utils.parseBridgeRequest(message) : null;
+            this.startCleanup((error, result) => {
+                this.mqtt.reply('homeassistant_cleanup', request, error, result, {log: 'homeassistant_cleanup'});
+            });
+
+            return true;
+        }
+
+        if (topic !== 'hass/status') {
             return false;
         }
 
@@ -0,0 +1,274 @@
+const http = require('http');
+const crypto = require('crypto');
+const url = require('url');
+const WebSocket = require('ws');
+const settings = require('../util/settings');
+const logger = require('../util/logger');
+
+const maxBodySize = 1024 * 1024;
+
+/**
+ * This extensions offers a local HTTP (REST) and WebSocket API next to MQTT.
+ *
+ * GET    /api/devices                     List all devices
+ * GET    /api/devices/<name>              Get a device and its state
+ * DELETE /api/devices/<name>[?ban=true]   Remove (or ban) a device
+ * POST   /api/devices/<name>/rename       Rename a device, body: {"friendly_name": "new_name"}
+ * GET    /api/groups                      List all groups
+ * GET    /api/state/<name>                Get the cached state of a device or group
+ * POST   /api/state/<name>/set            Set state, body is the same as for <name>/set on MQTT
+ * POST   /api/state/<name>/get            Read state, body is the same as for <name>/get on MQTT
+ * GET    /api/permit_join                 Get permit join
+ * POST   /api/permit_join                 Set permit join, body: {"value": true}, optionally with a
+ *                                         "time" in seconds and a "device" (router) to join through
+ * WS     /api/ws                          Stream of state changes
+ *
+ * When http.token is set, every request (including the WebSocket upgrade) needs the header
+ * `Authorization: Bearer <token>` or the query parameter `?token=<token>`.
+ */
+class HttpApi {
+    // The bridgeConfig and devicePublish handlers are the controller's extensions, so that HTTP behaves
+    // exactly the same as MQTT and shares their state (e.g. the permit join timers).
+    constructor(zigbee, mqtt, state, publishEntityState, {bridgeConfig, devicePublish}) {
+        this.zigbee = zigbee;
+        this.mqtt = mqtt;
+        this.state = state;
+        this.publishEntityState = publishEntityState;
+        this.bridgeConfig = bridgeConfig;
+        this.devicePublish = devicePublish;
+
+        this.onRequest = this.onRequest.bind(this);
+        this.onStateChange = this.onStateChange.bind(this);
+
+        this.baseTopic = settings.get().mqtt.base_topic;
+        this.server = null;
+        this.wss = null;
+
+        this.routes = [
+            {method: 'GET', path: /^\/api\/devices$/, handler: this.getDevices},
+            {method: 'GET', path: /^\/api\/devices\/([^/]+)$/, handler: this.getDevice},
+            {method: 'DELETE', path: /^\/api\/devices\/([^/]+)$/, handler: this.removeDevice},
+            {method: 'POST', path: /^\/api\/devices\/([^/]+)\/rename$/, handler: this.renameDevice},
+            {method: 'GET', path: /^\/api\/groups$/, handler: this.getGroups},
+            {method: 'GET', path: /^\/api\/state\/([^/]+)$/, handler: this.getState},
+            {method: 'POST', path: /^\/api\/state\/([^/]+)\/(set|get)$/, handler: this.publishState},
+            {method: 'GET', path: /^\/api\/permit_join$/, handler: this.getPermitJoin},
+            {method: 'POST', path: /^\/api\/permit_join$/, handler: this.setPermitJoin},
+        ];
+    }
+
+    onZigbeeStarted() {
+        const {host, port} = settings.get().http;
+
+        this.server = http.createServer(this.onRequest);
+        this.wss = new WebSocket.Server({
+            server: this.server,
+            path: '/api/ws',
+            verifyClient: (info) => this.isAuthorized(info.req),
+        });
+        this.state.registerOnStateChangeListener(this.onStateChange);
+
+        this.server.on('error', (error) => logger.error(`HTTP server error (${error})`));
+        this.server.listen(port, host, () => logger.info(`HTTP API listening on ${host}:${port}`));
+    }
+
+    stop() {
+        if (this.wss) {
+            this.wss.clients.forEach((client) => client.terminate());
+            this.wss.close();
+            this.wss = null;
+        }
+
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
+    }
+
+    onStateChange(ieeeAddr, from, to) {
+        if (!this.wss || !this.wss.clients.size) {
+            return;
+        }
+
+        const entity = settings.resolveEntity(ieeeAddr);
+        const message = JSON.stringify({ID: entity.ID, friendly_name: entity.friendlyName, state: to});
+        this.wss.clients.forEach((client) => {
+            if (client.readyState === WebSocket.OPEN) {
+                client.send(message);
+            }
+        });
+    }
+
+    isAuthorized(request) {
+        const token = settings.get().http.token;
+        if (!token) {
+            return true;
+        }
+
+        const header = request.headers && request.headers.authorization;
+        const match = header ? header.match(/^Bearer (.+)$/) : null;
+        const given = match ? match[1] : url.parse(request.url, true).query.token;
+        if (typeof given !== 'string') {
+            return false;
+        }
+
+        // Compare hashes, timingSafeEqual requires buffers of the same length.
+        const hash = (value) => crypto.createHash('sha256').update(value).digest();
+        return crypto.timingSafeEqual(hash(given), hash(`${token}`));
+    }
+
+    onRequest(request, response) {
+        if (!this.isAuthorized(request)) {
+            return this.send(response, 401, {error: 'Unauthorized'});
+        }
+
+        const parsed = url.parse(request.url, true);
+        const routes = this.routes.filter((r) => parsed.pathname.match(r.path));
+
+        if (!routes.length) {
+            return this.send(response, 404, {error: `'${parsed.pathname}' not found`});
+        }
+
+        const route = routes.find((r) => r.method === request.method);
+        if (!route) {
+            return this.send(response, 405, {error: `Method '${request.method}' not allowed`});
+        }
+
+        let params = null;
+        try {
+            params = parsed.pathname.match(route.path).slice(1).map((p) => decodeURIComponent(p));
+        } catch (e) {
+            return this.send(response, 400, {error: `Invalid path '${parsed.pathname}' (${e.message})`});
+        }
+
+        let body = '';
+        request.on('data', (chunk) => {
+            body += chunk;
+            if (body.length > maxBodySize) {
+                this.send(response, 413, {error: 'Request body too large'});
+                request.destroy();
+            }
+        });
+
+        request.on('end', () => {
+            if (response.headersSent) {
+                return;
+            }
+
+            let json = {};
+            if (body) {
+                try {
+                    json = JSON.parse(body);
+                } catch (e) {
+                    return this.send(response, 400, {error: 'Failed to parse body as JSON'});
+                }
+
+                if (!json || typeof json !== 'object' || Array.isArray(json)) {
+                    return this.send(response, 400, {error: 'Body has to be a JSON object'});
+                }
+            }
+
+            logger.debug(`HTTP API ${request.method} '${parsed.pathname}' with body '${body}'`);
+            try {
+                route.handler.call(this, {params, query: parsed.query, json}, (status, data) => {
+                    this.send(response, status, data);
+                });
+            } catch (error) {
+                logger.error(`HTTP API ${request.method} '${parsed.pathname}' failed (${error})`);
+                if (!response.headersSent) {
+                    this.send(response, 500, {error: error.message});
+                }
+            }
+        });
+    }
+
+    send(response, status, data) {
+        response.writeHead(status, {'Content-Type': 'application/json'});
+        response.end(JSON.stringify(data));
+    }
+
+    bridgeConfigCommand(command, message, callback) {
+        // Use the request topic so the handler treats this as a request and only returns the result.
+        const topic = `${this.baseTopic}/bridge/request/${command}`;
+        this.bridgeConfig.supportedOptions[command](topic, message, (error, data) => {
+            if (error) {
+                logger.error(error);
+                callback(400, {error: error.message ? error.message : error.toString()});
+            } else {
+                callback(200, data);
+            }
+        });
+    }
+
+    getDevices(request, callback) {
+        this.bridgeConfigCommand('devices', '', callback);
+    }
+
+    getDevice(request, callback) {
+        const entity = settings.resolveEntity(request.params[0]);
+        const device = entity.type === 'device' ? this.zigbee.getDevice(entity.ID) : null;
+
+        if (!device) {
+            return callback(404, {error: `Device '${request.params[0]}' not found`});
+        }
+
+        callback(200, {
+            ieeeAddr: device.ieeeAddr,
+            friendly_name: entity.friendlyName,
+            type: device.type,
+            modelId: device.modelId,
+            manufName: device.manufName,
+            powerSource: device.powerSource,
+            state: this.state.exists(device.ieeeAddr) ? this.state.get(device.ieeeAddr) : {},
+        });
+    }
+
+    removeDevice(request, callback) {
+        const command = request.query.ban === 'true' ? 'ban' : 'remove';
+        this.bridgeConfigCommand(command, request.params[0], callback);
+    }
+
+    renameDevice(request, callback) {
+        const message = JSON.stringify({old: request.params[0], new: request.json.friendly_name});
+        this.bridgeConfigCommand('rename', message, callback);
+    }
+
+    getGroups(request, callback) {
+        this.bridgeConfigCommand('groups', '', callback);
+    }
+
+    getState(request, callback) {
+        const entity = settings.resolveEntity(request.params[0]);
+
+        if (!this.state.exists(entity.ID)) {
+            return callback(404, {error: `No state known for '${request.params[0]}'`});
+        }
+
+        callback(200, this.state.get(entity.ID));
+    }
+
+    publishState(request, callback) {
+        const [name, type] = request.params;
+        const topic = `${this.baseTopic}/${name}/${type}`;
+
+        // The Zigbee publish happens asynchronously, changes are reported through /api/ws.
+        if (this.devicePublish.onMQTTMessage(topic, JSON.stringify(request.json))) {
+            callback(202, {});
+        } else {
+            callback(400, {error: `Failed to ${type} '${name}'`});
+        }
+    }
+
+    getPermitJoin(request, callback) {
+        callback(200, {value: this.zigbee.getPermitJoin()});
+    }
+
+    setPermitJoin(request, callback) {
+        const {value, ...options} = request.json;
+        const message = Object.keys(options).length ? JSON.stringify({value: value === true, ...options}) :
+            `${value === true}`;
+        this.bridgeConfigCommand('permit_join', message, callback);
+    }
+}
+
+module.exports = HttpApi;
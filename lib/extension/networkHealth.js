@@ -0,0 +1,295 @@
+const settings = require('../util/settings');
+const logger = require('../util/logger');
+const utils = require('../util/utils');
+const data = require('../util/data');
+const fs = require('fs');
+
+const topicRegex = new RegExp(`^${settings.get().mqtt.base_topic}/bridge/(request/health|health/scan)$`);
+
+// Number of LQI samples kept per link.
+const historySize = 48;
+
+// Minimal number of previous samples before a link is judged.
+const minimalSamples = 3;
+
+// A link is degraded when its LQI drops this much below the average of its history.
+const lqiDrop = 30;
+
+// A device is unstable when it changes its parent (or a router its next hop to a destination) this often in the
+// change window (in hours).
+const changeThreshold = 3;
+const changeWindow = 24;
+
+/**
+ * This extensions monitors the health of the network. Every advanced.network_health_interval minutes the
+ * network is scanned, the LQI of each link, the parent of each end device and the next hop of the active routes
+ * of each router are recorded. The linkquality of received messages is recorded per device.
+ *
+ * A warning is published to bridge/log (type 'network_health') when the LQI of a link drops, when an
+ * end device keeps changing its parent or when a router keeps changing its route to a destination.
+ * A summary is published to bridge/health after every scan.
+ *
+ * zigbee2mqtt/bridge/health/scan starts a scan immediately, zigbee2mqtt/bridge/request/health responds
+ * with the current summary (or with the summary after a scan when the payload is 'scan').
+ */
+class NetworkHealth {
+    constructor(zigbee, mqtt, state, publishEntityState) {
+        this.zigbee = zigbee;
+        this.mqtt = mqtt;
+        this.timer = null;
+        this.scanning = false;
+        this.linkquality = {};
+
+        this.historyFile = data.joinPathStorage('network_health.json');
+        this.history = this.readHistory();
+    }
+
+    readHistory() {
+        const empty = {last_scan: null, devices: {}};
+        const history = fs.existsSync(this.historyFile) ? JSON.parse(fs.readFileSync(this.historyFile, 'utf8')) : empty;
+
+        // Histories written before the routes were recorded.
+        Object.values(history.devices).forEach((h) => h.routes = h.routes || {});
+        return history;
+    }
+
+    writeHistory() {
+        fs.writeFileSync(this.historyFile, JSON.stringify(this.history), 'utf8');
+    }
+
+    onZigbeeStarted() {
+        const interval = settings.get().advanced.network_health_interval;
+        if (interval > 0) {
+            this.timer = setInterval(() => this.scan(), utils.secondsToMilliseconds(interval * 60));
+        }
+    }
+
+    onMQTTConnected() {
+        this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/health/scan`);
+        this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/request/health`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+    }
+
+    onZigbeeMessage(message, device, mappedDevice) {
+        if (device && message.hasOwnProperty('linkquality')) {
+            const samples = this.linkquality[device.ieeeAddr] || {sum: 0, count: 0, min: message.linkquality};
+            samples.sum += message.linkquality;
+            samples.count++;
+            samples.min = Math.min(samples.min, message.linkquality);
+            this.linkquality[device.ieeeAddr] = samples;
+        }
+    }
+
+    onMQTTMessage(topic, message) {
+        const match = topic.match(topicRegex);
+        if (!match) {
+            return false;
+        }
+
+        if (match[1] === 'health/scan') {
+            this.scan();
+            return true;
+        }
+
+        const request = utils.parseBridgeRequest(message);
+        if (request.message === 'scan') {
+            this.scan((error, summary) => this.mqtt.respond('health', request.transaction, error, summary));
+        } else {
+            this.mqtt.respond('health', request.transaction, null, this.getSummary());
+        }
+
+        return true;
+    }
+
+    scan(callback) {
+        if (this.scanning) {
+            const error = 'A network health scan is already running';
+            logger.warn(error);
+            return callback ? callback(error) : null;
+        }
+
+        this.scanning = true;
+        this.zigbee.networkScan((error, topology) => {
+            if (error) {
+                this.scanning = false;
+                return callback ? callback(`Network scan failed (${error})`) : null;
+            }
+
+            this.zigbee.routingScan((routes) => {
+                this.scanning = false;
+                this.update(topology, Date.now(), routes);
+
+                const summary = this.getSummary();
+                this.mqtt.publish('bridge/health', JSON.stringify(summary), {retain: true, qos: 0});
+                if (callback) {
+                    callback(null, summary);
+                }
+            });
+        });
+    }
+
+    getDeviceHistory(ieeeAddr) {
+        if (!this.history.devices[ieeeAddr]) {
+            this.history.devices[ieeeAddr] = {links: {}, parents: [], routes: {}, linkquality: [], warnings: []};
+        }
+
+        return this.history.devices[ieeeAddr];
+    }
+
+    addSample(list, sample) {
+        list.push(sample);
+        list.splice(0, Math.max(0, list.length - historySize));
+    }
+
+    // Records the scan results and the linkquality of the received messages since the previous scan.
+    update(topology, time, routes = []) {
+        const types = {};
+        this.zigbee.getDevices().forEach((d) => types[d.ieeeAddr] = d.type);
+
+        // Forget devices (and links to devices) which have been removed from the network.
+        Object.keys(this.history.devices).filter((ieeeAddr) => !types[ieeeAddr]).forEach((ieeeAddr) => {
+            delete this.history.devices[ieeeAddr];
+        });
+
+        Object.values(this.history.devices).forEach((h) => {
+            Object.keys(h.links).filter((parent) => !types[parent]).forEach((parent) => delete h.links[parent]);
+            Object.keys(h.routes).filter((d) => !types[d]).forEach((destination) => {
+                delete h.routes[destination];
+            });
+            h.warnings = [];
+        });
+
+        topology.filter((e) => e.ieeeAddr && e.parent).forEach((e) => {
+            const history = this.getDeviceHistory(e.ieeeAddr);
+            const link = history.links[e.parent] || [];
+            history.links[e.parent] = link;
+
+            if (link.length >= minimalSamples) {
+                const average = link.reduce((sum, s) => sum + s.lqi, 0) / link.length;
+                if (e.lqi <= average - lqiDrop) {
+                    this.warn(e.ieeeAddr, 'link_degraded',
+                        `Link quality between '${this.getName(e.ieeeAddr)}' and '${this.getName(e.parent)}' ` +
+                        `dropped to ${e.lqi} (average ${Math.round(average)})`
+                    );
+                }
+            }
+
+            this.addSample(link, {time, lqi: e.lqi});
+
+            // End devices have a single parent, routers are linked to multiple routers.
+            if (types[e.ieeeAddr] === 'EndDevice') {
+                const previous = history.parents[history.parents.length - 1];
+                if (!previous || previous.parent !== e.parent) {
+                    this.addSample(history.parents, {time, parent: e.parent});
+                }
+
+                const changes = this.countChanges(history.parents, time);
+                if (previous && previous.parent !== e.parent && changes >= changeThreshold) {
+                    this.warn(e.ieeeAddr, 'parent_unstable',
+                        `'${this.getName(e.ieeeAddr)}' changed its parent ${changes} times in the last ` +
+                        `${changeWindow} hours (now '${this.getName(e.parent)}')`
+                    );
+                }
+            }
+        });
+
+        // Routes to (or via) unknown devices are skipped, the next hop of a route is recorded when it changes.
+        routes.filter((r) => r.status === 'active' && types[r.ieeeAddr] && types[r.destination] && types[r.next_hop])
+            .forEach((r) => {
+                const history = this.getDeviceHistory(r.ieeeAddr);
+                const hops = history.routes[r.destination] || [];
+                history.routes[r.destination] = hops;
+
+                const previous = hops[hops.length - 1];
+                if (previous && previous.next_hop === r.next_hop) {
+                    return;
+                }
+
+                this.addSample(hops, {time, next_hop: r.next_hop});
+                const changes = this.countChanges(hops, time);
+                if (previous && changes >= changeThreshold) {
+                    this.warn(r.ieeeAddr, 'route_unstable',
+                        `'${this.getName(r.ieeeAddr)}' changed its route to '${this.getName(r.destination)}' ` +
+                        `${changes} times in the last ${changeWindow} hours (now via '${this.getName(r.next_hop)}')`
+                    );
+                }
+            });
+
+        Object.keys(this.linkquality).filter((ieeeAddr) => types[ieeeAddr]).forEach((ieeeAddr) => {
+            const samples = this.linkquality[ieeeAddr];
+            const average = Math.round(samples.sum / samples.count);
+            this.addSample(this.getDeviceHistory(ieeeAddr).linkquality, {time, average, min: samples.min});
+        });
+
+        this.linkquality = {};
+        this.history.last_scan = time;
+        this.writeHistory();
+    }
+
+    // Returns the number of changes in a list of samples (of which each is a change) within the change window.
+    countChanges(samples, time) {
+        const since = time - utils.secondsToMilliseconds(changeWindow * 3600);
+        return samples.filter((s) => s.time > since).length - 1;
+    }
+
+    warn(ieeeAddr, reason, message) {
+        logger.warn(message);
+        this.getDeviceHistory(ieeeAddr).warnings.push(reason);
+        this.mqtt.log('network_health', message, {friendly_name: this.getName(ieeeAddr), reason});
+    }
+
+    getName(ieeeAddr) {
+        const device = settings.getDevice(ieeeAddr);
+        if (device) {
+            return device.friendly_name;
+        }
+
+        const zigbeeDevice = this.zigbee.getDevice(ieeeAddr);
+        return zigbeeDevice && zigbeeDevice.type === 'Coordinator' ? 'Coordinator' : ieeeAddr;
+    }
+
+    getSummary() {
+        const devices = {};
+        Object.keys(this.history.devices).forEach((ieeeAddr) => {
+            const history = this.history.devices[ieeeAddr];
+            const links = {};
+            Object.keys(history.links).forEach((parent) => {
+                const samples = history.links[parent];
+                links[this.getName(parent)] = {
+                    lqi: samples[samples.length - 1].lqi,
+                    average: Math.round(samples.reduce((sum, s) => sum + s.lqi, 0) / samples.length),
+                    minimum: Math.min(...samples.map((s) => s.lqi)),
+                };
+            });
+
+            const routes = {};
+            let routeChanges = 0;
+            Object.keys(history.routes).forEach((destination) => {
+                const hops = history.routes[destination];
+                routes[this.getName(destination)] = this.getName(hops[hops.length - 1].next_hop);
+                routeChanges += hops.length - 1;
+            });
+
+            const parent = history.parents[history.parents.length - 1];
+            const linkquality = history.linkquality[history.linkquality.length - 1];
+            devices[this.getName(ieeeAddr)] = {
+                ieeeAddr,
+                links,
+                parent: parent ? this.getName(parent.parent) : null,
+                parent_changes: Math.max(0, history.parents.length - 1),
+                routes,
+                route_changes: routeChanges,
+                linkquality: linkquality ? linkquality.average : null,
+                warnings: history.warnings,
+            };
+        });
+
+        const lastScan = this.history.last_scan;
+        return {last_scan: lastScan ? new Date(lastScan).toISOString() : null, devices};
+    }
+}
+
+module.exports = NetworkHealth;
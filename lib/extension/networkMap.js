@@ -1,6 +1,15 @@
 const settings = require('../util/settings');
-const zigbeeShepherdConverters = require('zigbee-shepherd-converters');
+const deviceDefinitions = require('../util/deviceDefinitions');
+const utils = require('../util/utils');
 
+/**
+ * This extensions scans the network and publishes the network map in one of the supported formats.
+ *
+ * zigbee2mqtt/bridge/networkmap (payload: format), the map is published to bridge/networkmap/<format>.
+ * zigbee2mqtt/bridge/networkmap/routes does the same, but also scans the routing tables of the routers
+ * and adds the routes (next hops) to the map.
+ * zigbee2mqtt/bridge/request/networkmap (payload: format, or {"type": format, "routes": true}).
+ */
 class NetworkMap {
     constructor(zigbee, mqtt, state, publishEntityState) {
         this.zigbee = zigbee;
@@ -9,24 +18,67 @@ class NetworkMap {
 
         // Subscribe to topic.
         this.topic = `${settings.get().mqtt.base_topic}/bridge/networkmap`;
+        this.routesTopic = `${settings.get().mqtt.base_topic}/bridge/networkmap/routes`;
+        this.requestTopic = `${settings.get().mqtt.base_topic}/bridge/request/networkmap`;
 
         // Set supported formats
         this.supportedFormats = {
             'raw': this.raw,
             'graphviz': this.graphviz,
+            'plantuml': this.plantuml,
+            'mermaid': this.mermaid,
+            'json': this.json,
         };
     }
 
     onMQTTConnected() {
         this.mqtt.subscribe(this.topic);
+        this.mqtt.subscribe(this.routesTopic);
+        this.mqtt.subscribe(this.requestTopic);
     }
 
     onMQTTMessage(topic, message) {
+        if (topic === this.requestTopic) {
+            const request = utils.parseBridgeRequest(message);
+            let type = request.message;
+            let routes = false;
+
+            try {
+                const json = JSON.parse(request.message);
+                type = json.type;
+                routes = !!json.routes;
+            } catch (e) {
+                // Just the format is given.
+            }
+
+            if (!this.supportedFormats.hasOwnProperty(type)) {
+                const error = `Network map type '${type}' is not supported, use: ${Object.keys(this.supportedFormats)}`;
+                this.mqtt.respond('networkmap', request.transaction, error, {type});
+                return true;
+            }
+
+            this.scan(routes, (error, topology, routingTable) => {
+                if (error) {
+                    this.mqtt.respond('networkmap', request.transaction, `Network scan failed (${error})`, {type});
+                    return;
+                }
+
+                const converted = this.supportedFormats[type](this.zigbee, topology, routingTable);
+                this.mqtt.respond('networkmap', request.transaction, null, {type, routes, value: converted});
+            });
+
+            return true;
+        }
+
         message = message.toString();
 
-        if (topic === this.topic && this.supportedFormats.hasOwnProperty(message)) {
-            this.zigbee.networkScan((result)=> {
-                const converted = this.supportedFormats[message](this.zigbee, result);
+        if ((topic === this.topic || topic === this.routesTopic) && this.supportedFormats.hasOwnProperty(message)) {
+            this.scan(topic === this.routesTopic, (error, topology, routingTable) => {
+                if (error) {
+                    return;
+                }
+
+                const converted = this.supportedFormats[message](this.zigbee, topology, routingTable);
                 this.mqtt.publish(`bridge/networkmap/${message}`, converted, {});
             });
 
@@ -36,37 +88,32 @@ class NetworkMap {
         return false;
     }
 
+    scan(routes, callback) {
+        this.zigbee.networkScan((error, topology) => {
+            if (error) {
+                callback(error);
+            } else if (routes) {
+                this.zigbee.routingScan((routingTable) => callback(null, topology, routingTable));
+            } else {
+                callback(null, topology, null);
+            }
+        });
+    }
+
     raw(zigbee, topology) {
         return JSON.stringify(topology);
     }
 
-    graphviz(zigbee, topology) {
+    graphviz(zigbee, topology, routes) {
         let text = 'digraph G {\nnode[shape=record];\n';
         let devStyle = '';
 
         zigbee.getDevices().forEach((device) => {
-            const labels = [];
-            const friendlyDevice = settings.getDevice(device.ieeeAddr);
-            const friendlyName = friendlyDevice ? friendlyDevice.friendly_name : device.ieeeAddr;
-
-            // Add friendly name
-            labels.push(friendlyName);
-
-            // Add the device type
-            labels.push(device.type);
-
-            // Add the device model
-            const mappedModel = zigbeeShepherdConverters.findByZigbeeModel(device.modelId);
-            if (mappedModel) {
-                labels.push(`${mappedModel.vendor} ${mappedModel.description} (${mappedModel.model})`);
-            } else {
-                // This model is not supported by zigbee-shepherd-converters, add zigbee model information, if available
-                const zigbeeModel = [device.manufName, device.modelId].filter((a) => a).join(' ');
-                labels.push(zigbeeModel ? zigbeeModel : 'No model information available');
-            }
-
-            // Add the device status (online/offline)
-            labels.push(device.status);
+            const node = getNode(device);
+            const labels = [
+                escapeGraphvizRecord(node.friendly_name), device.type, escapeGraphvizRecord(node.description),
+                device.status,
+            ];
 
             // Shape the record according to device type
             if (device.type == 'Coordinator') {
@@ -91,10 +138,157 @@ class NetworkMap {
             });
         });
 
+        // Add an edge between a router and the next hop for each of its active routes.
+        getRouteEdges(zigbee, routes).forEach((edge) => {
+            const destinations = edge.destinations.map((d) => escapeGraphviz(getFriendlyName(d)));
+            text += `  "${edge.ieeeAddr}" -> "${edge.next_hop}" [style="bold", color="blue", ` +
+                `label="${destinations.join('\\n')}"]\n`;
+        });
+
         text += '}';
 
         return text.replace(/\0/g, '');
     }
+
+    plantuml(zigbee, topology, routes) {
+        const text = ['@startuml'];
+
+        zigbee.getDevices().forEach((device) => {
+            const node = getNode(device);
+            text.push(`card ${device.ieeeAddr} [`);
+            const labels = [escapePlantuml(node.friendly_name), device.type, escapePlantuml(node.description)];
+            text.push([...labels, device.status].join('\n---\n'));
+            text.push(']');
+        });
+
+        topology.forEach((e) => {
+            const line = e.lqi == 0 ? '..>' : '-->';
+            text.push(`${e.ieeeAddr} ${line} ${e.parent} : ${e.lqi}`);
+        });
+
+        getRouteEdges(zigbee, routes).forEach((edge) => {
+            const destinations = edge.destinations.map((d) => escapePlantuml(getFriendlyName(d)));
+            text.push(`${edge.ieeeAddr} -[#blue,bold]-> ${edge.next_hop} : ${destinations.join('\\n')}`);
+        });
+
+        text.push('@enduml');
+        return text.join('\n').replace(/\0/g, '');
+    }
+
+    mermaid(zigbee, topology, routes) {
+        const text = ['graph TD'];
+
+        zigbee.getDevices().forEach((device) => {
+            const node = getNode(device);
+            const label = `"${[node.friendly_name, device.type, node.description].map(escapeMermaid).join('<br/>')}"`;
+
+            // Shape the node according to device type
+            if (device.type == 'Coordinator') {
+                text.push(`  ${device.ieeeAddr}{{${label}}}`);
+            } else if (device.type == 'Router') {
+                text.push(`  ${device.ieeeAddr}(${label})`);
+            } else {
+                text.push(`  ${device.ieeeAddr}([${label}])`);
+            }
+        });
+
+        topology.forEach((e) => {
+            const line = e.lqi == 0 ? '-.->' : '-->';
+            text.push(`  ${e.ieeeAddr} ${line}|${e.lqi}| ${e.parent}`);
+        });
+
+        getRouteEdges(zigbee, routes).forEach((edge) => {
+            const destinations = edge.destinations.map((d) => escapeMermaid(getFriendlyName(d)));
+            text.push(`  ${edge.ieeeAddr} ==>|"${destinations.join('<br/>')}"| ${edge.next_hop}`);
+        });
+
+        return text.join('\n').replace(/\0/g, '');
+    }
+
+    json(zigbee, topology, routes) {
+        const nodes = zigbee.getDevices().map((device) => getNode(device));
+
+        const links = topology.map((e) => ({
+            source: {ieeeAddr: e.ieeeAddr, friendly_name: getFriendlyName(e.ieeeAddr)},
+            target: {ieeeAddr: e.parent, friendly_name: getFriendlyName(e.parent)},
+            lqi: e.lqi,
+        }));
+
+        const map = {nodes, links};
+        if (routes) {
+            map.routes = routes.map((r) => ({
+                source: {ieeeAddr: r.ieeeAddr, friendly_name: getFriendlyName(r.ieeeAddr)},
+                destination: {ieeeAddr: r.destination, friendly_name: getFriendlyName(r.destination)},
+                next_hop: {ieeeAddr: r.next_hop, friendly_name: getFriendlyName(r.next_hop)},
+                status: r.status,
+            }));
+        }
+
+        return JSON.stringify(map);
+    }
+}
+
+function getFriendlyName(ieeeAddr) {
+    const friendlyDevice = settings.getDevice(ieeeAddr);
+    return friendlyDevice ? friendlyDevice.friendly_name : ieeeAddr;
+}
+
+// Replaces the characters which end or alter a quoted mermaid label by their entity codes.
+function escapeMermaid(text) {
+    return text.replace(/[#"<>[\]]/g, (c) => `#${c.charCodeAt(0)};`);
+}
+
+// Escapes the characters which end a quoted graphviz string.
+function escapeGraphviz(text) {
+    return text.replace(/["\\]/g, (c) => `\\${c}`);
+}
+
+// Escapes the characters which end a quoted graphviz string or alter the fields of a record label.
+function escapeGraphvizRecord(text) {
+    return text.replace(/["\\|{}<>]/g, (c) => `\\${c}`);
+}
+
+// Replaces the characters which end a plantuml card or description by their entity codes, and the line
+// breaks, which end a line of the description.
+function escapePlantuml(text) {
+    return text.replace(/[[\]~]/g, (c) => `&#${c.charCodeAt(0)};`).replace(/[\r\n]+/g, ' ');
+}
+
+// Returns the properties of a device which are shown in the network map.
+function getNode(device) {
+    const friendlyDevice = settings.getDevice(device.ieeeAddr);
+    const mappedModel = deviceDefinitions.findByZigbeeModel(device.modelId);
+    let description = null;
+
+    if (mappedModel) {
+        description = `${mappedModel.vendor} ${mappedModel.description} (${mappedModel.model})`;
+    } else {
+        // This model is not supported by zigbee-shepherd-converters, add zigbee model information, if available
+        const zigbeeModel = [device.manufName, device.modelId].filter((a) => a).join(' ');
+        description = zigbeeModel ? zigbeeModel : 'No model information available';
+    }
+
+    return {
+        ieeeAddr: device.ieeeAddr,
+        friendly_name: friendlyDevice ? friendlyDevice.friendly_name : device.ieeeAddr,
+        type: device.type,
+        model: mappedModel ? mappedModel.model : (device.modelId || null),
+        vendor: mappedModel ? mappedModel.vendor : (device.manufName || null),
+        description,
+        status: device.status,
+    };
+}
+
+// Groups the active routes of the routing scan per router and next hop, routes to unknown devices are skipped.
+function getRouteEdges(zigbee, routes) {
+    const edges = {};
+    (routes || []).filter((r) => r.status === 'active' && zigbee.getDevice(r.next_hop)).forEach((r) => {
+        const key = `${r.ieeeAddr}-${r.next_hop}`;
+        edges[key] = edges[key] || {ieeeAddr: r.ieeeAddr, next_hop: r.next_hop, destinations: []};
+        edges[key].destinations.push(r.destination);
+    });
+
+    return Object.values(edges);
 }
 
 module.exports = NetworkMap;
@@ -0,0 +1,103 @@
+const settings = require('../util/settings');
+const logger = require('../util/logger');
+const utils = require('../util/utils');
+
+const topicRegex = new RegExp(
+    `^${settings.get().mqtt.base_topic}/bridge/(request/)?device/(.+)/(routing_table|neighbor_table)$`
+);
+
+/**
+ * This extensions reads the routing table or neighbor table of a router (or the coordinator),
+ * which helps with finding mesh routing problems.
+ *
+ * zigbee2mqtt/bridge/device/[FRIENDLY_NAME]/routing_table
+ * zigbee2mqtt/bridge/device/[FRIENDLY_NAME]/neighbor_table
+ * The result is published to zigbee2mqtt/bridge/device/[FRIENDLY_NAME]/[TABLE]/result
+ * (or bridge/response/device/[FRIENDLY_NAME]/[TABLE] when requested through bridge/request).
+ */
+class NetworkTables {
+    constructor(zigbee, mqtt, state, publishEntityState) {
+        this.zigbee = zigbee;
+        this.mqtt = mqtt;
+    }
+
+    onMQTTConnected() {
+        ['routing_table', 'neighbor_table'].forEach((table) => {
+            this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/device/+/${table}`);
+            this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/request/device/+/${table}`);
+        });
+    }
+
+    getEntity(ieeeAddr) {
+        const device = settings.getDevice(ieeeAddr);
+        return {ieeeAddr, friendly_name: device ? device.friendly_name : ieeeAddr};
+    }
+
+    routingTable(ieeeAddr, callback) {
+        this.zigbee.routingTable(ieeeAddr, (error, table) => {
+            if (error) {
+                return callback(error);
+            }
+
+            callback(null, table.map((route) => ({
+                destination: this.getEntity(route.destination),
+                next_hop: this.getEntity(route.next_hop),
+                status: route.status,
+            })));
+        });
+    }
+
+    neighborTable(ieeeAddr, callback) {
+        this.zigbee.neighborTable(ieeeAddr, (error, table) => {
+            if (error) {
+                return callback(error);
+            }
+
+            callback(null, table.map((neighbor) => ({...this.getEntity(neighbor.ieeeAddr), ...neighbor})));
+        });
+    }
+
+    onMQTTMessage(topic, message) {
+        const match = topic.match(topicRegex);
+        if (!match) {
+            return false;
+        }
+
+        const request = match[1] ? utils.parseBridgeRequest(message) : null;
+        const name = match[2];
+        const table = match[3];
+        const ieeeAddr = settings.getIeeeAddrByFriendlyName(name) || name;
+        const device = this.zigbee.getDevice(ieeeAddr);
+
+        const respond = (error, data) => {
+            this.mqtt.reply(`device/${name}/${table}`, request, error, data, {
+                topic: `bridge/device/${name}/${table}/result`,
+            });
+        };
+
+        if (!device) {
+            respond(`Device '${name}' does not exist`);
+            return true;
+        }
+
+        // End devices don't route, they only know their parent.
+        if (device.type === 'EndDevice') {
+            respond(`Device '${name}' is not a router`);
+            return true;
+        }
+
+        const read = table === 'routing_table' ? this.routingTable : this.neighborTable;
+        read.call(this, ieeeAddr, (error, result) => {
+            if (error) {
+                respond(`Failed to read ${table.replace('_', ' ')} of '${name}' (${error})`);
+            } else {
+                logger.info(`Read ${table.replace('_', ' ')} of '${name}' (${result.length} entries)`);
+                respond(null, {friendly_name: this.getEntity(ieeeAddr).friendly_name, [table]: result});
+            }
+        });
+
+        return true;
+    }
+}
+
+module.exports = NetworkTables;
@@ -0,0 +1,402 @@
+const settings = require('../util/settings');
+const logger = require('../util/logger');
+const data = require('../util/data');
+const utils = require('../util/utils');
+const ota = require('../util/ota');
+const ExtensionResponder = require('./responder');
+
+const topicRegex = new RegExp(`^${settings.get().mqtt.base_topic}/bridge/(request/)?ota_update/(check|update)$`);
+
+const clusterID = 25; // genOta
+
+const commands = {
+    imageNotify: 0x00,
+    queryNextImageReq: 0x01,
+    queryNextImageRsp: 0x02,
+    imageBlockReq: 0x03,
+    imageBlockRsp: 0x05,
+    upgradeEndReq: 0x06,
+    upgradeEndRsp: 0x07,
+};
+
+const status = {
+    success: 0x00,
+    abort: 0x95,
+    noImageAvailable: 0x98,
+};
+
+// Cluster specific, server to client, disable default response.
+const serverFrameControl = 0x19;
+
+// Limit the block size, larger blocks don't fit in a single frame of the ZNP.
+const maxBlockSize = 50;
+
+// Seconds to wait for the device to query for an image after it has been notified.
+const queryTimeout = 60;
+
+// Seconds without block requests after which an update is considered failed.
+const updateTimeout = 5 * 60;
+
+/**
+ * This extensions updates the firmware of devices over-the-air (genOta cluster).
+ * The images are read from data/ota.
+ *
+ * It extends the responder, as the OTA requests of the devices have to be answered.
+ * zigbee-shepherd can't parse genOta commands, therefore they are handled as raw frames.
+ *
+ * zigbee2mqtt/bridge/ota_update/check [FRIENDLY_NAME]    checks if an update is available
+ * zigbee2mqtt/bridge/ota_update/update [FRIENDLY_NAME]   updates the device
+ */
+class OtaUpdate extends ExtensionResponder {
+    constructor(zigbee, mqtt, state, publishEntityState) {
+        super(zigbee, mqtt, state, publishEntityState);
+
+        this.onAfIncomingMsg = this.onAfIncomingMsg.bind(this);
+        this.directory = data.joinPath('ota');
+        this.images = [];
+        this.pending = {};
+        this.updates = {};
+        this.seqNum = 0;
+    }
+
+    setupOnZclFoundation(device) {
+        if (device && device.epList && !this.configured.includes(device.ieeeAddr)) {
+            device.epList.forEach((epID) => {
+                const ep = this.zigbee.getEndpoint(device.ieeeAddr, epID);
+                if (ep) {
+                    ep.onAfIncomingMsg = this.onAfIncomingMsg;
+                }
+            });
+        }
+
+        super.setupOnZclFoundation(device);
+    }
+
+    onMQTTConnected() {
+        this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/ota_update/+`);
+        this.mqtt.subscribe(`${settings.get().mqtt.base_topic}/bridge/request/ota_update/+`);
+    }
+
+    stop() {
+        Object.values(this.pending).forEach((p) => clearTimeout(p.timer));
+        Object.values(this.updates).forEach((u) => clearTimeout(u.timer));
+        this.pending = {};
+        this.updates = {};
+    }
+
+    loadImages() {
+        this.images = ota.readImages(this.directory);
+        logger.debug(`Loaded ${this.images.length} OTA image(s) from '${this.directory}'`);
+    }
+
+    getImage(manufacturerCode, imageType, fileVersion) {
+        const find = () => this.images.find((i) => i.header.manufacturerCode === manufacturerCode &&
+            i.header.imageType === imageType && i.header.fileVersion === fileVersion);
+
+        let image = find();
+        if (!image) {
+            this.loadImages();
+            image = find();
+        }
+
+        return image;
+    }
+
+    nextSeqNum() {
+        this.seqNum = (this.seqNum + 1) % 256;
+        return this.seqNum;
+    }
+
+    parseFrame(buffer) {
+        const frameControl = buffer.readUInt8(0);
+        const manufacturerSpecific = !!(frameControl & 0x04);
+        let offset = manufacturerSpecific ? 3 : 1;
+
+        const seqNum = buffer.readUInt8(offset++);
+        const cmdId = buffer.readUInt8(offset++);
+
+        return {frameControl, seqNum, cmdId, payload: buffer.slice(offset)};
+    }
+
+    // Request payloads start with: [fieldControl, manufacturerCode, imageType, fileVersion].
+    parseImageRequest(payload) {
+        return {
+            fieldControl: payload.readUInt8(0),
+            manufacturerCode: payload.readUInt16LE(1),
+            imageType: payload.readUInt16LE(3),
+            fileVersion: payload.readUInt32LE(5),
+        };
+    }
+
+    send(endpoint, seqNum, cmdId, payload, callback) {
+        const frame = Buffer.concat([Buffer.from([serverFrameControl, seqNum, cmdId]), payload]);
+        this.zigbee.sendRaw(endpoint.device.ieeeAddr, endpoint.epId, 'genOta', frame, (error) => {
+            if (error) {
+                logger.error(`Failed to send OTA command ${cmdId} to '${endpoint.device.ieeeAddr}' (${error})`);
+            }
+
+            if (callback) {
+                callback(error);
+            }
+        });
+    }
+
+    onAfIncomingMsg(message, endpoint) {
+        if (message.clusterid !== clusterID || !endpoint || !endpoint.device) {
+            return;
+        }
+
+        let frame = null;
+        try {
+            frame = this.parseFrame(message.data);
+
+            if (frame.cmdId === commands.queryNextImageReq) {
+                this.onQueryNextImage(endpoint, frame);
+            } else if (frame.cmdId === commands.imageBlockReq) {
+                this.onImageBlock(endpoint, frame);
+            } else if (frame.cmdId === commands.upgradeEndReq) {
+                this.onUpgradeEnd(endpoint, frame);
+            }
+        } catch (error) {
+            logger.error(`Failed to handle OTA request of '${endpoint.device.ieeeAddr}' (${error.message})`);
+        }
+    }
+
+    onQueryNextImage(endpoint, frame) {
+        const ieeeAddr = endpoint.device.ieeeAddr;
+        const request = this.parseImageRequest(frame.payload);
+        logger.debug(`OTA query next image of '${ieeeAddr}': ${JSON.stringify(request)}`);
+
+        this.loadImages();
+        const image = ota.findImage(this.images, request.manufacturerCode, request.imageType, request.fileVersion);
+        const pending = this.pending[ieeeAddr];
+
+        if (pending) {
+            clearTimeout(pending.timer);
+            delete this.pending[ieeeAddr];
+        }
+
+        this.publishEntityState(ieeeAddr, {update_available: !!image});
+
+        const result = {
+            friendly_name: this.getFriendlyName(ieeeAddr),
+            update_available: !!image,
+            current_version: request.fileVersion,
+            available_version: image ? image.header.fileVersion : null,
+        };
+
+        const update = image && (pending ? pending.type === 'update' : settings.get().advanced.ota_auto_update);
+        if (!update) {
+            if (image) {
+                logger.info(`OTA update available for '${ieeeAddr}' (${request.fileVersion} -> ` +
+                    `${image.header.fileVersion}, '${image.file}')`);
+            }
+
+            this.send(endpoint, frame.seqNum, commands.queryNextImageRsp, Buffer.from([status.noImageAvailable]));
+
+            if (pending && pending.type === 'check') {
+                pending.callback(null, result);
+            } else if (pending) {
+                pending.callback(`No update available for '${result.friendly_name}'`);
+            }
+
+            return;
+        }
+
+        logger.info(`Starting OTA update of '${ieeeAddr}' to version ${image.header.fileVersion} ('${image.file}')`);
+        this.updates[ieeeAddr] = {
+            callback: pending ? pending.callback : null,
+            from: request.fileVersion,
+            to: image.header.fileVersion,
+            size: image.header.totalImageSize,
+            startedAt: Date.now(),
+            startOffset: null,
+            progress: null,
+            timer: null,
+        };
+        this.resetUpdateTimer(ieeeAddr);
+
+        const payload = Buffer.alloc(13);
+        payload.writeUInt8(status.success, 0);
+        payload.writeUInt16LE(image.header.manufacturerCode, 1);
+        payload.writeUInt16LE(image.header.imageType, 3);
+        payload.writeUInt32LE(image.header.fileVersion, 5);
+        payload.writeUInt32LE(image.header.totalImageSize, 9);
+        this.send(endpoint, frame.seqNum, commands.queryNextImageRsp, payload);
+    }
+
+    onImageBlock(endpoint, frame) {
+        const ieeeAddr = endpoint.device.ieeeAddr;
+        const request = this.parseImageRequest(frame.payload);
+        const fileOffset = frame.payload.readUInt32LE(9);
+        const maxDataSize = frame.payload.readUInt8(13);
+
+        const image = this.getImage(request.manufacturerCode, request.imageType, request.fileVersion);
+        if (!image) {
+            logger.error(`OTA image block requested by '${ieeeAddr}' for unknown image ${JSON.stringify(request)}`);
+            this.send(endpoint, frame.seqNum, commands.imageBlockRsp, Buffer.from([status.abort]));
+            return;
+        }
+
+        const block = image.data.slice(fileOffset, fileOffset + Math.min(maxDataSize, maxBlockSize));
+        const header = Buffer.alloc(14);
+        header.writeUInt8(status.success, 0);
+        header.writeUInt16LE(image.header.manufacturerCode, 1);
+        header.writeUInt16LE(image.header.imageType, 3);
+        header.writeUInt32LE(image.header.fileVersion, 5);
+        header.writeUInt32LE(fileOffset, 9);
+        header.writeUInt8(block.length, 13);
+        this.send(endpoint, frame.seqNum, commands.imageBlockRsp, Buffer.concat([header, block]));
+
+        this.updateProgress(ieeeAddr, fileOffset + block.length);
+    }
+
+    onUpgradeEnd(endpoint, frame) {
+        const ieeeAddr = endpoint.device.ieeeAddr;
+        const upgradeStatus = frame.payload.readUInt8(0);
+        const request = this.parseImageRequest(Buffer.concat([Buffer.from([0]), frame.payload.slice(1)]));
+
+        if (upgradeStatus !== status.success) {
+            this.finishUpdate(ieeeAddr, `OTA update of '${this.getFriendlyName(ieeeAddr)}' failed on the ` +
+                `device with status ${upgradeStatus}`);
+            return;
+        }
+
+        // Tell the device to apply the image now (current time and upgrade time 0).
+        const payload = Buffer.alloc(16);
+        payload.writeUInt16LE(request.manufacturerCode, 0);
+        payload.writeUInt16LE(request.imageType, 2);
+        payload.writeUInt32LE(request.fileVersion, 4);
+        this.send(endpoint, frame.seqNum, commands.upgradeEndRsp, payload);
+
+        this.finishUpdate(ieeeAddr, null);
+    }
+
+    resetUpdateTimer(ieeeAddr) {
+        const update = this.updates[ieeeAddr];
+        clearTimeout(update.timer);
+        update.timer = setTimeout(() => {
+            this.finishUpdate(ieeeAddr, `OTA update of '${this.getFriendlyName(ieeeAddr)}' timed out`);
+        }, utils.secondsToMilliseconds(updateTimeout));
+    }
+
+    updateProgress(ieeeAddr, offset) {
+        const update = this.updates[ieeeAddr];
+        if (!update) {
+            return;
+        }
+
+        this.resetUpdateTimer(ieeeAddr);
+
+        // The device may resume an earlier update, so estimate the remaining time from the first block we sent.
+        if (update.startOffset === null) {
+            update.startOffset = offset;
+            update.startedAt = Date.now();
+        }
+
+        const progress = Math.floor((offset / update.size) * 100);
+        if (progress === update.progress) {
+            return;
+        }
+
+        update.progress = progress;
+        const elapsed = (Date.now() - update.startedAt) / 1000;
+        const transferred = offset - update.startOffset;
+        const remaining = transferred > 0 ? Math.round((elapsed / transferred) * (update.size - offset)) : null;
+
+        logger.info(`OTA update of '${ieeeAddr}' at ${progress}%` +
+            (remaining !== null ? `, ${remaining} seconds remaining` : ''));
+        this.publishEntityState(ieeeAddr, {update_state: 'updating', update_progress: progress,
+            update_remaining: remaining});
+    }
+
+    finishUpdate(ieeeAddr, error) {
+        const update = this.updates[ieeeAddr];
+        if (!update) {
+            return;
+        }
+
+        clearTimeout(update.timer);
+        delete this.updates[ieeeAddr];
+
+        if (error) {
+            logger.error(error);
+            this.publishEntityState(ieeeAddr, {update_state: 'failed', update_progress: null,
+                update_remaining: null});
+        } else {
+            logger.info(`OTA update of '${ieeeAddr}' finished, device is now on version ${update.to}`);
+            this.publishEntityState(ieeeAddr, {update_state: 'idle', update_available: false,
+                update_progress: null, update_remaining: null});
+        }
+
+        if (update.callback) {
+            update.callback(error, {friendly_name: this.getFriendlyName(ieeeAddr), from_version: update.from,
+                to_version: update.to});
+        }
+    }
+
+    getFriendlyName(ieeeAddr) {
+        const device = settings.getDevice(ieeeAddr);
+        return device ? device.friendly_name : ieeeAddr;
+    }
+
+    // The OTA client endpoint of a device has genOta as output cluster.
+    getOtaEndpoint(device) {
+        const endpoints = device.epList.map((epID) => this.zigbee.getEndpoint(device.ieeeAddr, epID));
+        const endpoint = endpoints.find((ep) => ep && ep.outClusterList && ep.outClusterList.includes(clusterID));
+        return endpoint || endpoints[0];
+    }
+
+    request(type, name, callback) {
+        const ieeeAddr = settings.getIeeeAddrByFriendlyName(name) || name;
+        const device = this.zigbee.getDevice(ieeeAddr);
+
+        if (!device || !device.epList || !device.epList.length) {
+            return callback(`Device '${name}' does not exist`);
+        }
+
+        if (this.pending[ieeeAddr] || this.updates[ieeeAddr]) {
+            return callback(`OTA ${this.updates[ieeeAddr] ? 'update' : 'request'} of '${name}' is already ongoing`);
+        }
+
+        const endpoint = this.getOtaEndpoint(device);
+        this.setupOnZclFoundation(device);
+
+        this.pending[ieeeAddr] = {
+            type,
+            callback,
+            timer: setTimeout(() => {
+                delete this.pending[ieeeAddr];
+                callback(`Device '${name}' didn't respond to OTA request`);
+            }, utils.secondsToMilliseconds(queryTimeout)),
+        };
+
+        // Ask the device to query for the next image, the answer is handled in onQueryNextImage.
+        // Payload type 0 (query jitter only) and query jitter 100, so the device always responds.
+        logger.info(`Notifying '${name}' about a new OTA image (${type})`);
+        this.send(endpoint, this.nextSeqNum(), commands.imageNotify, Buffer.from([0x00, 100]), (error) => {
+            if (error && this.pending[ieeeAddr]) {
+                clearTimeout(this.pending[ieeeAddr].timer);
+                delete this.pending[ieeeAddr];
+                callback(`Failed to notify '${name}' (${error})`);
+            }
+        });
+    }
+
+    onMQTTMessage(topic, message) {
+        const match = topic.match(topicRegex);
+        if (!match) {
+            return false;
+        }
+
+        const type = match[2];
+        const request = match[1] ? utils.parseBridgeRequest(message) : null;
+        this.request(type, request ? request.message : message.toString(), (error, data) => {
+            this.mqtt.reply(`ota_update/${type}`, request, error, data, {log: `ota_update_${type}`});
+        });
+
+        return true;
+    }
+}
+
+module.exports = OtaUpdate;
@@ -0,0 +1,58 @@
+const settings = require('../util/settings');
+const utils = require('../util/utils');
+
+/**
+ * This extensions publishes the status of the Zigbee command queue to bridge/queue.
+ * - On request (bridge/request/queue, the status is returned on bridge/response/queue)
+ * - Every `queue_status_interval` seconds (when enabled)
+ * - When a command timed out
+ */
+class QueueStatus {
+    constructor(zigbee, mqtt, state, publishEntityState) {
+        this.zigbee = zigbee;
+        this.mqtt = mqtt;
+        this.timer = null;
+        this.interval = settings.get().advanced.queue_status_interval;
+        this.requestTopic = `${settings.get().mqtt.base_topic}/bridge/request/queue`;
+    }
+
+    onZigbeeStarted() {
+        this.zigbee.queue.onJobTimeout = () => this.publish();
+    }
+
+    onMQTTConnected() {
+        this.mqtt.subscribe(this.requestTopic);
+
+        this.clearTimer();
+        if (this.interval) {
+            this.timer = setInterval(() => this.publish(), utils.secondsToMilliseconds(this.interval));
+        }
+    }
+
+    clearTimer() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    stop() {
+        this.clearTimer();
+    }
+
+    publish() {
+        this.mqtt.publish('bridge/queue', JSON.stringify(this.zigbee.queue.getStatus()), {retain: false, qos: 0});
+    }
+
+    onMQTTMessage(topic, message) {
+        if (topic === this.requestTopic) {
+            const request = utils.parseBridgeRequest(message);
+            this.mqtt.respond('queue', request.transaction, null, this.zigbee.queue.getStatus());
+            return true;
+        }
+
+        return false;
+    }
+}
+
+module.exports = QueueStatus;
@@ -0,0 +1,207 @@
+const settings = require('../util/settings');
+const deviceDefinitions = require('../util/deviceDefinitions');
+const logger = require('../util/logger');
+const utils = require('../util/utils');
+const data = require('../util/data');
+const fs = require('fs');
+
+const postfixes = utils.getPostfixes();
+const topicRegex = new RegExp(`^${settings.get().mqtt.base_topic}/(.+?)(?:/(${postfixes.join('|')}))?/set$`);
+const properties = ['state', 'brightness', 'color_temp', 'color'];
+
+const commands = {
+    scene_store: 'store',
+    scene_recall: 'recall',
+    scene_remove: 'remove',
+    scene_remove_all: 'removeAll',
+};
+
+/**
+ * This extensions handles scenes for devices and groups.
+ * Scenes are stored on the devices themselves, the friendly names are kept in the settings.
+ * The state of an entity is cached when storing a scene, so that it can be published on recall
+ * (devices don't report the state after recalling a scene).
+ *
+ * zigbee2mqtt/[FRIENDLY_NAME]/set {"scene_store": "evening"}
+ * zigbee2mqtt/[FRIENDLY_NAME]/set {"scene_recall": "evening"}
+ * zigbee2mqtt/[FRIENDLY_NAME]/set {"scene_remove": "evening"}
+ * zigbee2mqtt/[FRIENDLY_NAME]/set {"scene_remove_all": ""}
+ * zigbee2mqtt/[FRIENDLY_NAME]/[ENDPOINT]/set {"scene_recall": "evening"}, e.g. for the left button of a switch
+ */
+class Scenes {
+    constructor(zigbee, mqtt, state, publishEntityState) {
+        this.zigbee = zigbee;
+        this.mqtt = mqtt;
+        this.state = state;
+        this.publishEntityState = publishEntityState;
+
+        this.scenesCacheFile = data.joinPathStorage('scenes_cache.json');
+        this.scenesCache = this.readScenesCache();
+    }
+
+    readScenesCache() {
+        return fs.existsSync(this.scenesCacheFile) ? JSON.parse(fs.readFileSync(this.scenesCacheFile, 'utf8')) : {};
+    }
+
+    writeScenesCache() {
+        fs.writeFileSync(this.scenesCacheFile, JSON.stringify(this.scenesCache), 'utf8');
+    }
+
+    getSceneID(value, store) {
+        value = value.toString();
+
+        let ID = settings.getSceneIDByFriendlyName(value);
+        if (!ID && value.match(/^\d+$/)) {
+            ID = value;
+        } else if (!ID && store && settings.addScene(value)) {
+            logger.info(`Added scene '${value}'`);
+            ID = settings.getSceneIDByFriendlyName(value);
+        }
+
+        return ID ? Number(ID) : null;
+    }
+
+    // When a scene is stored on a group, all members store it, so remember their state too.
+    getSceneEntities(entity) {
+        const entities = [entity.ID];
+        if (entity.type === 'group') {
+            const group = settings.getGroup(entity.ID);
+            entities.push(...(group && group.devices ? group.devices : []));
+        }
+
+        return entities;
+    }
+
+    getSnapshot(ID) {
+        const state = this.state.get(ID);
+        if (!state) {
+            return null;
+        }
+
+        const snapshot = {};
+        properties.filter((p) => state.hasOwnProperty(p)).forEach((p) => snapshot[p] = state[p]);
+        return Object.keys(snapshot).length ? snapshot : null;
+    }
+
+    handleStored(entity, sceneID) {
+        this.getSceneEntities(entity).forEach((ID) => {
+            const snapshot = this.getSnapshot(ID);
+            if (snapshot) {
+                if (!this.scenesCache[sceneID]) {
+                    this.scenesCache[sceneID] = {};
+                }
+
+                this.scenesCache[sceneID][ID] = snapshot;
+            }
+        });
+
+        this.writeScenesCache();
+    }
+
+    handleRecalled(entity, sceneID) {
+        const cached = this.scenesCache[sceneID] || {};
+
+        // Publish the members first, the Groups extension updates the group state based on them.
+        const entities = this.getSceneEntities(entity).reverse();
+        entities.filter((ID) => cached[ID]).forEach((ID) => this.publishEntityState(ID, {...cached[ID]}));
+    }
+
+    handleRemoved(entity, sceneID) {
+        const sceneIDs = sceneID === null ? Object.keys(this.scenesCache) : [sceneID];
+        const entities = this.getSceneEntities(entity);
+
+        sceneIDs.filter((ID) => this.scenesCache[ID]).forEach((ID) => {
+            entities.forEach((entityID) => delete this.scenesCache[ID][entityID]);
+            if (!Object.keys(this.scenesCache[ID]).length) {
+                delete this.scenesCache[ID];
+            }
+        });
+
+        this.writeScenesCache();
+    }
+
+    onMQTTMessage(topic, message) {
+        const match = topic.match(topicRegex);
+        if (!match) {
+            return false;
+        }
+
+        let json = null;
+        try {
+            json = JSON.parse(message);
+        } catch (e) {
+            return false;
+        }
+
+        if (!json || typeof json !== 'object') {
+            return false;
+        }
+
+        const keys = Object.keys(json).filter((key) => commands.hasOwnProperty(key));
+        if (!keys.length) {
+            return false;
+        }
+
+        const entity = settings.resolveEntity(match[1]);
+        let endpoint = null;
+        if (entity.type === 'device') {
+            const device = this.zigbee.getDevice(entity.ID);
+            if (!device) {
+                logger.error(`Failed to find device with ieeeAddr: '${entity.ID}'`);
+                this.mqtt.log('entity_not_found', entity.ID);
+                return true;
+            }
+
+            const model = deviceDefinitions.findByZigbeeModel(device.modelId);
+            endpoint = model ? deviceDefinitions.getEndpoint(model, device, match[2] || '') : null;
+        }
+
+        keys.forEach((key) => {
+            const cmd = commands[key];
+            const groupID = entity.type === 'group' ? Number(entity.ID) : 0;
+            let sceneID = null;
+            let zclData = {groupid: groupID};
+
+            if (cmd !== 'removeAll') {
+                if (!['number', 'string'].includes(typeof json[key])) {
+                    logger.error(`Invalid scene '${JSON.stringify(json[key])}', use the name or ID of the scene`);
+                    return;
+                }
+
+                sceneID = this.getSceneID(json[key], cmd === 'store');
+                if (sceneID === null) {
+                    logger.error(`Scene '${json[key]}' doesn't exist`);
+                    return;
+                }
+
+                zclData = {groupid: groupID, sceneid: sceneID};
+            }
+
+            this.zigbee.publish(
+                entity.ID, entity.type, 'genScenes', cmd, 'functional', zclData, null, endpoint,
+                (error, rsp) => {
+                    if (error) {
+                        logger.error(`Failed to ${cmd} scene '${json[key]}' of '${entity.friendlyName}' (${error})`);
+                        this.mqtt.log('zigbee_publish_error', error.toString(), {entity, message: message.toString()});
+                        return;
+                    }
+
+                    logger.info(`Successfully executed scene ${cmd} '${json[key]}' on '${entity.friendlyName}'`);
+
+                    if (cmd === 'store') {
+                        this.handleStored(entity, sceneID);
+                    } else if (cmd === 'recall') {
+                        this.handleRecalled(entity, sceneID);
+                    } else {
+                        this.handleRemoved(entity, sceneID);
+                    }
+                },
+                'high'
+            );
+        });
+
+        return true;
+    }
+}
+
+module.exports = Scenes;
@@ -0,0 +1,218 @@
+const settings = require('../util/settings');
+const utils = require('../util/utils');
+const zclId = require('zcl-id');
+
+const topicRegex = new RegExp(`^${settings.get().mqtt.base_topic}/bridge/(request/)?zcl/([^/]+)(?:/(\\d+))?$`);
+
+/**
+ * This extensions allows to send any ZCL command to a device, also when it isn't (fully) supported.
+ *
+ * zigbee2mqtt/bridge/zcl/[FRIENDLY_NAME][/ENDPOINT] with as payload e.g.:
+ * {"cluster": "genBasic", "command": "read", "attributes": ["modelId", 5]}
+ * {"cluster": 513, "command": "write", "attributes": {"occupiedHeatingSetpoint": 2000}}
+ * {"cluster": "hvacThermostat", "command": "write", "manufacturer_code": 4639,
+ *  "attributes": {"0x4003": {"value": 2000, "type": "int16"}}}
+ * {"cluster": "genOnOff", "command": "toggle", "payload": {}}
+ *
+ * Clusters, attributes and commands can be given by name or ID.
+ * The result is published to bridge/log (type 'zcl'), or bridge/response/zcl/[FRIENDLY_NAME] when
+ * requested through bridge/request. A 'transaction' in the payload is returned in the response.
+ */
+class ZclCommand {
+    constructor(zigbee, mqtt, state, publishEntityState) {
+        this.zigbee = zigbee;
+        this.mqtt = mqtt;
+    }
+
+    onMQTTConnected() {
+        const baseTopic = settings.get().mqtt.base_topic;
+        ['zcl/+', 'zcl/+/+', 'request/zcl/+', 'request/zcl/+/+'].forEach((topic) => {
+            this.mqtt.subscribe(`${baseTopic}/bridge/${topic}`);
+        });
+    }
+
+    getCluster(cluster) {
+        const item = zclId.cluster(cluster);
+        if (item) {
+            return {ID: item.value, name: item.key};
+        }
+
+        // Manufacturer specific clusters are not known by zcl-id, these can only be given by ID.
+        const ID = Number(cluster);
+        return Number.isInteger(ID) ? {ID, name: ID.toString()} : null;
+    }
+
+    getAttribute(cluster, attribute) {
+        const item = zclId.attr(cluster.ID, attribute);
+        if (item) {
+            return {ID: item.value, name: item.key};
+        }
+
+        const ID = Number(attribute);
+        return Number.isInteger(ID) ? {ID, name: ID.toString()} : null;
+    }
+
+    getAttributeName(cluster, ID) {
+        const item = zclId.attr(cluster.ID, ID);
+        return item ? item.key : ID.toString();
+    }
+
+    // Returns the ZCL data for a read, throws on an unknown attribute.
+    readData(cluster, attributes) {
+        if (!Array.isArray(attributes) || !attributes.length) {
+            throw new Error(`'attributes' should be a list of attributes to read`);
+        }
+
+        return attributes.map((a) => {
+            const attribute = this.getAttribute(cluster, a);
+            if (!attribute) {
+                throw new Error(`Unknown attribute '${a}' of cluster '${cluster.name}'`);
+            }
+
+            return {attrId: attribute.ID};
+        });
+    }
+
+    // Returns the ZCL data for a write, throws on an unknown attribute or type.
+    writeData(cluster, attributes) {
+        if (!attributes || typeof attributes !== 'object' || !Object.keys(attributes).length) {
+            throw new Error(`'attributes' should be an object with the attributes to write`);
+        }
+
+        return Object.keys(attributes).map((key) => {
+            const attribute = this.getAttribute(cluster, key);
+            if (!attribute) {
+                throw new Error(`Unknown attribute '${key}' of cluster '${cluster.name}'`);
+            }
+
+            // The type can be given explicitly, which is required for attributes unknown by zcl-id.
+            let value = attributes[key];
+            let type = zclId.attrType(cluster.ID, attribute.ID);
+            if (value && typeof value === 'object' && value.hasOwnProperty('value')) {
+                type = value.type ? zclId.dataType(value.type) : type;
+                value = value.value;
+            }
+
+            if (!type) {
+                throw new Error(`Unknown type of attribute '${key}', specify it as {"value": ..., "type": ...}`);
+            }
+
+            return {attrId: attribute.ID, dataType: type.value, attrData: value};
+        });
+    }
+
+    // Converts the response of the device, attribute IDs are replaced by their names.
+    convertResponse(cluster, command, rsp) {
+        if (command === 'read' && Array.isArray(rsp)) {
+            const result = {};
+            rsp.forEach((r) => {
+                result[this.getAttributeName(cluster, r.attrId)] = r.status === 0 ? r.attrData : {status: r.status};
+            });
+            return result;
+        } else if (command === 'write' && Array.isArray(rsp)) {
+            // When all writes succeed the device only returns a single record with status 0.
+            const failed = rsp.filter((r) => r.status !== 0);
+            const result = {status: failed.length ? 'failed' : 'ok'};
+            failed.forEach((r) => result[this.getAttributeName(cluster, r.attrId)] = {status: r.status});
+            return result;
+        }
+
+        return rsp === undefined ? null : rsp;
+    }
+
+    execute(ieeeAddr, endpoint, json, callback) {
+        let cluster = null;
+        let command = json.command;
+        let cmdType = 'foundation';
+        let zclData = null;
+        const cfg = {manufSpec: 0, disDefaultRsp: 0};
+
+        if (json.hasOwnProperty('manufacturer_code')) {
+            cfg.manufSpec = 1;
+            cfg.manufCode = Number(json.manufacturer_code);
+        }
+
+        // zcl-id throws on invalid types (e.g. a boolean), these are reported as error too.
+        try {
+            cluster = json.cluster !== undefined ? this.getCluster(json.cluster) : null;
+            if (!cluster) {
+                throw new Error(`Unknown cluster '${json.cluster}'`);
+            }
+
+            if (command === 'read') {
+                zclData = this.readData(cluster, json.attributes);
+            } else if (command === 'write') {
+                zclData = this.writeData(cluster, json.attributes);
+            } else {
+                const item = command !== undefined ? zclId.functional(cluster.ID, command) : null;
+                if (!item) {
+                    throw new Error(`Unknown command '${command}' of cluster '${cluster.name}'`);
+                }
+
+                command = item.key;
+                cmdType = 'functional';
+                zclData = json.payload || {};
+            }
+        } catch (error) {
+            return callback(error.message);
+        }
+
+        this.zigbee.publish(ieeeAddr, 'device', cluster.ID, command, cmdType, zclData, cfg, endpoint,
+            (error, rsp) => {
+                if (error) {
+                    callback(`Failed to execute '${command}' on '${cluster.name}' (${error})`);
+                } else {
+                    callback(null, {
+                        cluster: cluster.name,
+                        command,
+                        response: this.convertResponse(cluster, command, rsp),
+                    });
+                }
+            }
+        );
+    }
+
+    onMQTTMessage(topic, message) {
+        const match = topic.match(topicRegex);
+        if (!match) {
+            return false;
+        }
+
+        const isRequest = !!match[1];
+        const name = match[2];
+        const endpoint = match[3] ? Number(match[3]) : null;
+        const request = utils.parseBridgeRequest(message);
+
+        const respond = (error, data={}) => {
+            data = {device: name, endpoint, ...data};
+            if (!isRequest && request.transaction !== undefined) {
+                data.transaction = request.transaction;
+            }
+
+            this.mqtt.reply(`zcl/${name}`, isRequest ? request : null, error, data, {log: 'zcl'});
+        };
+
+        let json = null;
+        try {
+            json = JSON.parse(request.message);
+        } catch (e) {
+            json = null;
+        }
+
+        if (!json || typeof json !== 'object') {
+            respond(`Failed to parse '${request.message}' as JSON object`);
+            return true;
+        }
+
+        const ieeeAddr = settings.getIeeeAddrByFriendlyName(name) || name;
+        if (!this.zigbee.getDevice(ieeeAddr)) {
+            respond(`Device '${name}' does not exist`);
+            return true;
+        }
+
+        this.execute(ieeeAddr, endpoint, json, respond);
+        return true;
+    }
+}
+
+module.exports = ZclCommand;
@@ -76,6 +76,10 @@ class MQTT {
         this.client.subscribe(topic);
     }
 
+    unsubscribe(topic) {
+        this.client.unsubscribe(topic);
+    }
+
     onMessage(topic, message) {
         if (this.messageHandler) {
             this.messageHandler(topic, message);
@@ -104,6 +108,39 @@ class MQTT {
 
         this.publish('bridge/log', JSON.stringify(payload), {retain: false});
     }
+
+    respond(command, transaction, error, data={}) {
+        const payload = {data, status: error ? 'error' : 'ok'};
+
+        if (error) {
+            payload.error = error.message ? error.message : error.toString();
+        }
+
+        if (transaction !== undefined) {
+            payload.transaction = transaction;
+        }
+
+        this.publish(`bridge/response/${command}`, JSON.stringify(payload), {retain: false, qos: 0});
+    }
+
+    // Answers a message with the result of its command, errors are logged. A request (as parsed by
+    // utils.parseBridgeRequest) is answered on bridge/response/<command>, a message on a legacy topic
+    // (request is null) on bridge/log with type '<log>' ('<log>_failed' on failure) or on the result topic.
+    reply(command, request, error, data, {log=null, topic=null}={}) {
+        if (error) {
+            logger.error(error);
+        }
+
+        if (request) {
+            this.respond(command, request.transaction, error, data);
+        } else if (error && log) {
+            this.log(`${log}_failed`, error.message ? error.message : error.toString(), data || null);
+        } else if (!error && log) {
+            this.log(log, data);
+        } else if (!error && topic) {
+            this.publish(topic, JSON.stringify(data), {retain: false});
+        }
+    }
 }
 
 module.exports = MQTT;
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const mkdirRecursive = require('mkdir-recursive');
+const data = require('./data');
+
+// Files (relative to the data directory) which are added to a backup archive, when they exist.
+// NOTE: configuration.yaml contains secrets (e.g. the network key and the MQTT password), so an archive
+// has to be stored as safely as the configuration itself.
+const files = [
+    'configuration.yaml',
+    'database.db',
+    'state.json',
+    'coordinator_backup.json',
+    '.storage/groups_cache.json',
+    '.storage/scenes_cache.json',
+    '.storage/bindings_cache.json',
+];
+
+// An archive placed at this path is restored on the next start.
+const restoreArchive = 'zigbee2mqtt_restore.json.gz';
+
+// The coordinator backup of a restored archive, the NV items of it are written to the coordinator on start.
+const coordinatorRestore = 'coordinator_restore.json';
+
+function timestamp() {
+    return new Date().toISOString().replace(/[:.]/g, '-');
+}
+
+// Creates a gzipped JSON archive with the (base64 encoded) files in data/backup, returns its path.
+function create() {
+    const archive = {version: 1, created: new Date().toISOString(), files: {}};
+    files.filter((file) => fs.existsSync(data.joinPath(file))).forEach((file) => {
+        archive.files[file] = fs.readFileSync(data.joinPath(file)).toString('base64');
+    });
+
+    const directory = data.joinPath('backup');
+    mkdirRecursive.mkdirSync(directory);
+
+    const file = path.join(directory, `zigbee2mqtt_backup_${timestamp()}.json.gz`);
+    fs.writeFileSync(file, zlib.gzipSync(JSON.stringify(archive)));
+    return {file, files: Object.keys(archive.files)};
+}
+
+function read(file) {
+    const archive = JSON.parse(zlib.gunzipSync(fs.readFileSync(file)).toString());
+    if (!archive || !archive.files || typeof archive.files !== 'object' ||
+        !Object.values(archive.files).every((content) => typeof content === 'string')) {
+        throw new Error(`'${file}' is not a zigbee2mqtt backup`);
+    }
+
+    return archive;
+}
+
+// Restores the archive placed at data/zigbee2mqtt_restore.json.gz, this has to be done before
+// the settings are loaded. The coordinator backup is restored as data/coordinator_restore.json,
+// the archive is renamed afterwards so it is only restored once.
+// Returns {files} with the restored files, {error, file} when the archive is invalid (it is moved to file),
+// or null when there is nothing to restore.
+function restore() {
+    const file = data.joinPath(restoreArchive);
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+
+    let archive = null;
+    try {
+        archive = read(file);
+    } catch (error) {
+        const failed = `${file}.failed_${timestamp()}`;
+        fs.renameSync(file, failed);
+        return {error, file: failed};
+    }
+
+    const restored = Object.keys(archive.files).filter((name) => files.includes(name));
+    restored.forEach((name) => {
+        const target = data.joinPath(name === 'coordinator_backup.json' ? coordinatorRestore : name);
+        mkdirRecursive.mkdirSync(path.dirname(target));
+        fs.writeFileSync(target, Buffer.from(archive.files[name], 'base64'));
+    });
+
+    fs.renameSync(file, `${file}.restored_${timestamp()}`);
+    return {files: restored};
+}
+
+// Returns the NV items of a coordinator backup, these have an id, (optional) offset, len and value.
+function getNvItems(coordinatorBackup) {
+    const items = Object.values(coordinatorBackup.data || coordinatorBackup).filter((item) => {
+        return item && typeof item === 'object' && Number.isInteger(item.id) && Array.isArray(item.value);
+    });
+
+    return items.map((item) => ({
+        id: item.id,
+        offset: item.offset || 0,
+        len: item.hasOwnProperty('len') ? item.len : item.value.length,
+        value: item.value,
+    }));
+}
+
+module.exports = {
+    create,
+    restore,
+    getNvItems,
+    coordinatorRestorePath: () => data.joinPath(coordinatorRestore),
+};
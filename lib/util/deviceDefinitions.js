@@ -0,0 +1,224 @@
+const fs = require('fs');
+const path = require('path');
+const zigbeeShepherdConverters = require('zigbee-shepherd-converters');
+const data = require('./data');
+const settings = require('./settings');
+const logger = require('./logger');
+const utilFs = require('./fs');
+
+const required = ['zigbeeModel', 'model', 'vendor', 'description', 'fromZigbee', 'toZigbee'];
+
+let byZigbeeModel = null;
+
+// Used for groups without (supported) members, e.g. when the members are not paired yet.
+const defaultGroupConverters = [
+    zigbeeShepherdConverters.toZigbeeConverters.light_onoff_brightness,
+    zigbeeShepherdConverters.toZigbeeConverters.light_colortemp,
+    zigbeeShepherdConverters.toZigbeeConverters.light_color,
+    zigbeeShepherdConverters.toZigbeeConverters.ignore_transition,
+];
+
+// Converters which switch a device on and off through the genOnOff cluster.
+const onOffConverters = [
+    zigbeeShepherdConverters.toZigbeeConverters.on_off,
+    zigbeeShepherdConverters.toZigbeeConverters.light_onoff_brightness,
+    zigbeeShepherdConverters.toZigbeeConverters.gledopto_light_onoff_brightness,
+];
+
+// YAML definitions refer to converters by name, e.g. `toZigbee: [light_onoff_brightness]`.
+function resolveConverters(names, converters, type) {
+    return names.map((name) => {
+        if (typeof name !== 'string') {
+            return name;
+        }
+
+        if (!converters.hasOwnProperty(name)) {
+            throw new Error(`Unknown ${type} converter '${name}'`);
+        }
+
+        return converters[name];
+    });
+}
+
+// YAML definitions can only bind clusters, e.g. `configure: {endpoint: 1, bind: [genOnOff]}`.
+function createConfigure(configure) {
+    const endpoint = configure.endpoint || 1;
+    const clusters = configure.bind || [];
+
+    return (ieeeAddr, shepherd, coordinator, callback) => {
+        const device = shepherd.find(ieeeAddr, endpoint);
+        if (!device) {
+            return callback(false, 'No device');
+        }
+
+        const bind = (index) => {
+            if (index === clusters.length) {
+                return callback(true);
+            }
+
+            device.bind(clusters[index], coordinator, (error) => {
+                if (error) {
+                    callback(false, error);
+                } else {
+                    bind(index + 1);
+                }
+            });
+        };
+
+        bind(0);
+    };
+}
+
+function normalize(definition) {
+    const missing = required.filter((key) => !definition.hasOwnProperty(key));
+    if (missing.length) {
+        throw new Error(`Missing ${missing.join(', ')}`);
+    }
+
+    definition = {supports: '', ...definition};
+    definition.zigbeeModel = [].concat(definition.zigbeeModel);
+    definition.fromZigbee = resolveConverters(
+        definition.fromZigbee, zigbeeShepherdConverters.fromZigbeeConverters, 'fromZigbee'
+    );
+    definition.toZigbee = resolveConverters(
+        definition.toZigbee, zigbeeShepherdConverters.toZigbeeConverters, 'toZigbee'
+    );
+
+    if (definition.ep && typeof definition.ep === 'object') {
+        const endpoints = definition.ep;
+        definition.ep = (device) => endpoints;
+    }
+
+    if (definition.configure && typeof definition.configure === 'object') {
+        definition.configure = createConfigure(definition.configure);
+    }
+
+    return definition;
+}
+
+function getFiles() {
+    const files = [];
+    const directory = data.joinPath('converters');
+
+    if (fs.existsSync(directory)) {
+        fs.readdirSync(directory).filter((f) => f.match(/\.(js|yaml|yml)$/)).sort().forEach((f) => {
+            files.push(path.join(directory, f));
+        });
+    }
+
+    (settings.get().external_converters || []).forEach((file) => {
+        files.push(path.isAbsolute(file) ? file : data.joinPath(file));
+    });
+
+    return files;
+}
+
+function readFile(file) {
+    if (file.endsWith('.js')) {
+        return require(file);
+    }
+
+    return utilFs.readYaml(file);
+}
+
+function load() {
+    byZigbeeModel = new Map();
+
+    getFiles().forEach((file) => {
+        let definitions = null;
+        try {
+            definitions = [].concat(readFile(file) || []);
+        } catch (error) {
+            logger.error(`Failed to load device definitions from '${file}' (${error.message})`);
+            return;
+        }
+
+        definitions.forEach((definition, index) => {
+            try {
+                definition = normalize(definition);
+            } catch (error) {
+                logger.error(`Invalid device definition #${index + 1} in '${file}' (${error.message})`);
+                return;
+            }
+
+            definition.zigbeeModel.forEach((zigbeeModel) => byZigbeeModel.set(zigbeeModel, definition));
+            logger.info(`Loaded device definition '${definition.model}' from '${file}'`);
+        });
+    });
+}
+
+// Returns the device definition of a zigbee model.
+// External definitions (data/converters and the `external_converters` setting)
+// take precedence over the ones of zigbee-shepherd-converters.
+function findByZigbeeModel(model) {
+    if (!byZigbeeModel) {
+        load();
+    }
+
+    if (model) {
+        const definition = byZigbeeModel.get(model) || byZigbeeModel.get(model.replace(/\0.*$/g, '').trim());
+        if (definition) {
+            return definition;
+        }
+    }
+
+    return zigbeeShepherdConverters.findByZigbeeModel(model);
+}
+
+// Returns the device definitions of the members of a group, members which are not paired
+// or not supported are ignored.
+function findByGroup(zigbee, groupID) {
+    const group = settings.getGroup(groupID);
+    return (group ? group.devices : [])
+        .map((ieeeAddr) => zigbee.getDevice(ieeeAddr))
+        .filter((device) => device)
+        .map((device) => module.exports.findByZigbeeModel(device.modelId))
+        .filter((definition) => definition);
+}
+
+// Returns the endpoint of a device for a topic postfix (e.g. 'left'), null when the default endpoint should be used.
+function getEndpoint(definition, device, postfix) {
+    if (!definition.hasOwnProperty('ep')) {
+        return null;
+    }
+
+    const eps = definition.ep(device);
+    if (eps.hasOwnProperty(postfix)) {
+        return eps[postfix];
+    }
+
+    return eps.hasOwnProperty('default') ? eps['default'] : null;
+}
+
+// Returns the toZigbee converters a group supports, these are the ones all its members support.
+// Members with different on/off converters (e.g. a plug and a bulb) can still be switched on and off together.
+function getGroupConverters(definitions) {
+    if (!definitions.length) {
+        return defaultGroupConverters;
+    }
+
+    const converters = definitions[0].toZigbee.filter((c) => definitions.every((d) => d.toZigbee.includes(c)));
+    const switchable = definitions.every((d) => d.toZigbee.some((c) => onOffConverters.includes(c)));
+    if (switchable && !converters.some((c) => c.key.includes('state'))) {
+        converters.push(zigbeeShepherdConverters.toZigbeeConverters.on_off);
+    }
+
+    return converters;
+}
+
+module.exports = {
+    findByZigbeeModel,
+    findByGroup,
+    getEndpoint,
+    getGroupConverters,
+    getExternal: () => {
+        if (!byZigbeeModel) {
+            load();
+        }
+
+        return [...new Set(byZigbeeModel.values())];
+    },
+
+    // For test only.
+    _reload: () => load(),
+};
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+
+// Install codes are 6, 8, 12 or 16 bytes followed by a CRC of 2 bytes.
+const validLengths = [8, 10, 14, 18];
+
+// CRC-16/X-25 over the install code, stored little endian after the code.
+function crc16(buffer) {
+    let crc = 0xFFFF;
+    for (const byte of buffer) {
+        crc ^= byte;
+        for (let i = 0; i < 8; i++) {
+            crc = crc & 1 ? (crc >>> 1) ^ 0x8408 : crc >>> 1;
+        }
+    }
+
+    return (~crc) & 0xFFFF;
+}
+
+// Matyas-Meyer-Oseas hash with AES-128 (Zigbee specification, annex B.6).
+function mmoHash(data) {
+    const bits = data.length * 8;
+
+    // Append a 1 bit, pad with zeros so the length is 14 bytes modulo 16, append the length in bits.
+    const padding = (16 - ((data.length + 3) % 16)) % 16;
+    const message = Buffer.concat([data, Buffer.from([0x80]), Buffer.alloc(padding), Buffer.from([bits >> 8, bits])]);
+
+    let hash = Buffer.alloc(16);
+    for (let i = 0; i < message.length; i += 16) {
+        const block = message.slice(i, i + 16);
+        const cipher = crypto.createCipheriv('aes-128-ecb', hash, null);
+        cipher.setAutoPadding(false);
+        const encrypted = Buffer.concat([cipher.update(block), cipher.final()]);
+        hash = Buffer.from(encrypted.map((byte, index) => byte ^ block[index]));
+    }
+
+    return hash;
+}
+
+// Parses an install code given as hex string (spaces and dashes are ignored), throws when it is invalid.
+function parse(installCode) {
+    const hex = `${installCode}`.replace(/[\s-]/g, '');
+    if (!hex.match(/^([0-9a-f]{2})+$/i) || !validLengths.includes(hex.length / 2)) {
+        throw new Error(`'${installCode}' is not a valid install code`);
+    }
+
+    const buffer = Buffer.from(hex, 'hex');
+    const code = buffer.slice(0, buffer.length - 2);
+    if (crc16(code) !== buffer.readUInt16LE(buffer.length - 2)) {
+        throw new Error(`Install code '${installCode}' has an invalid CRC`);
+    }
+
+    return buffer;
+}
+
+// Returns the link key derived from an install code, the coordinator uses it to send the network key
+// to the device when it joins.
+function deriveLinkKey(installCode) {
+    return mmoHash(parse(installCode));
+}
+
+module.exports = {
+    parse,
+    deriveLinkKey,
+};
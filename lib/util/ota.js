@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// OTA file identifier (0x0BEEF11E) in little endian.
+const fileIdentifier = Buffer.from([0x1E, 0xF1, 0xEE, 0x0B]);
+const minimalHeaderLength = 56;
+
+// Parses an OTA upgrade file (Zigbee OTA cluster specification, chapter 11.4).
+// Some vendors prefix the image with their own data, therefore the image starts at the file identifier.
+// Returns the header and the image data (the header and all sub-elements), which is sent to the device.
+function parseImage(buffer) {
+    const start = buffer.indexOf(fileIdentifier);
+    if (start === -1) {
+        throw new Error('Not an OTA file, file identifier not found');
+    }
+
+    const data = buffer.slice(start);
+    if (data.length < minimalHeaderLength) {
+        throw new Error('OTA file is too short');
+    }
+
+    const header = {
+        headerVersion: data.readUInt16LE(4),
+        headerLength: data.readUInt16LE(6),
+        fieldControl: data.readUInt16LE(8),
+        manufacturerCode: data.readUInt16LE(10),
+        imageType: data.readUInt16LE(12),
+        fileVersion: data.readUInt32LE(14),
+        zigbeeStackVersion: data.readUInt16LE(18),
+        headerString: data.toString('utf8', 20, 52).replace(/\0/g, '').trim(),
+        totalImageSize: data.readUInt32LE(52),
+    };
+
+    if (header.totalImageSize > data.length) {
+        throw new Error(`OTA file is truncated (${data.length} of ${header.totalImageSize} bytes)`);
+    }
+
+    return {header, data: data.slice(0, header.totalImageSize)};
+}
+
+// Reads all OTA files in a directory, files which can't be parsed are skipped.
+function readImages(directory) {
+    if (!fs.existsSync(directory)) {
+        return [];
+    }
+
+    const images = [];
+    fs.readdirSync(directory).forEach((file) => {
+        const filePath = path.join(directory, file);
+        if (!fs.statSync(filePath).isFile()) {
+            return;
+        }
+
+        try {
+            images.push({file, ...parseImage(fs.readFileSync(filePath))});
+        } catch (error) {
+            logger.warn(`Skipping OTA file '${file}' (${error.message})`);
+        }
+    });
+
+    return images;
+}
+
+// Returns the newest image for a device, or undefined when there is no image newer than the current version.
+function findImage(images, manufacturerCode, imageType, currentVersion) {
+    return images
+        .filter((i) => i.header.manufacturerCode === manufacturerCode && i.header.imageType === imageType)
+        .filter((i) => i.header.fileVersion > currentVersion)
+        .sort((a, b) => b.header.fileVersion - a.header.fileVersion)[0];
+}
+
+module.exports = {
+    parseImage,
+    readImages,
+    findImage,
+};
@@ -7,17 +7,38 @@ const onChangeHandlers = [];
 
 const defaults = {
     ban: [],
+    // In allowlist mode only the devices on the allowlist are allowed to join, also when the allowlist is empty.
+    // Allowing a device through bridge/config/allow enables allowlist mode.
+    allowlist_mode: false,
+    allowlist: [],
     permit_join: false,
     mqtt: {
         include_device_information: false,
     },
     groups: {},
+    scenes: {},
     device_options: {},
+    // Paths of external extensions, relative to the data directory.
+    // Extensions in data/extension are always loaded.
+    external_extensions: [],
+    external_converters: [],
+    disabled_extensions: [],
     experimental: {
         livolo: false,
         // json or attribute
         output: 'json',
     },
+    /**
+     * Local HTTP (REST) and WebSocket API, disabled by default.
+     * - host: only reachable from this machine by default, use 0.0.0.0 to listen on all interfaces
+     * - token: when set, requests need an `Authorization: Bearer <token>` header or a `token` query parameter
+     */
+    http: {
+        enabled: false,
+        host: '127.0.0.1',
+        port: 8081,
+        token: null,
+    },
     advanced: {
         log_directory: path.join(data.getPath(), 'log', '%TIMESTAMP%'),
         log_level: process.env.DEBUG ? 'debug' : 'info',
@@ -32,6 +53,24 @@ const defaults = {
         availability_timeout: 0,
         availability_blacklist: [],
 
+        // Devices which are not pinged (e.g. battery powered devices) are marked offline when nothing
+        // is received from them within this timeout in seconds (25 hours by default).
+        // Passive availability is disabled by default, it doesn't require the availability_timeout.
+        availability_passive: false,
+        availability_passive_timeout: 90000,
+
+        // Availability timeout in seconds per model, e.g. {E11-G13: 300}, overrides the timeouts above.
+        availability_model_timeouts: {},
+
+        // Number of failed pings in a row before a device is marked offline.
+        availability_failed_pings: 1,
+
+        // Availability payload: 'string' (online/offline) or 'json' (also contains last_seen and reason).
+        availability_output: 'string',
+
+        // Network health monitor interval in minutes, disabled by default.
+        network_health_interval: 0,
+
         /**
          * Home Assistant requires ALL attributes to be present in ALL MQTT messages send by the device.
          * https://community.home-assistant.io/t/missing-value-with-mqtt-only-last-data-set-is-shown/47070/9
@@ -63,7 +102,8 @@ const defaults = {
         network_key: [1, 3, 5, 7, 9, 11, 13, 15, 0, 2, 4, 6, 8, 10, 12, 13],
 
         /**
-         * Enables reporting feature
+         * Enables reporting for all mains powered routers.
+         * Reporting can also be configured per device with the `reporting` device option.
          */
         report: false,
 
@@ -71,6 +111,23 @@ const defaults = {
          * Home Assistant discovery topic
          */
         homeassistant_discovery_topic: 'homeassistant',
+
+        /**
+         * Zigbee command queue
+         * - queue_timeout: seconds after which a command that didn't complete is failed
+         * - queue_retry: errors (matched against the error message) which are retried and how often
+         * - queue_status_interval: seconds between publishes of the queue status to bridge/queue (0 = disabled)
+         */
+        queue_timeout: 30,
+        queue_retry: [{error: 'rsp error: 17', retries: 3}],
+        queue_status_interval: 0,
+
+        /**
+         * Over-the-air updates, images are read from data/ota
+         * - ota_auto_update: also update devices which query for a new image by themselves
+         *   (otherwise only devices for which bridge/ota_update/update was called are updated)
+         */
+        ota_auto_update: false,
     },
 };
 
@@ -88,10 +145,12 @@ function getSettings() {
     return _settings;
 }
 
-function writeRead() {
+// Handlers are called with the change, e.g. {type: 'group_removed', ID: '1', friendly_name: 'my_group'},
+// or without arguments for changes which are not described.
+function writeRead(change) {
     write();
     _settings = read();
-    onChangeHandlers.forEach((handler) => handler());
+    onChangeHandlers.forEach((handler) => handler(change));
 }
 
 function write() {
@@ -127,6 +186,11 @@ function read() {
         s.groups = fs.readYamlIfExists(file);
     }
 
+    // Joining devices are compared in lowercase.
+    if (Array.isArray(s.allowlist)) {
+        s.allowlist = s.allowlist.map((ieeeAddr) => `${ieeeAddr}`.toLowerCase());
+    }
+
     return s;
 }
 
@@ -165,6 +229,9 @@ const getGroup = (ID) => {
     return group;
 };
 
+const getScenes = () => getSettings().scenes || {};
+
+const getScene = (ID) => getScenes()[ID];
 
 function addDevice(ieeeAddr) {
     const settings = getSettings();
@@ -187,12 +254,40 @@ function banDevice(ieeeAddr) {
     writeRead();
 }
 
+function allowDevice(ieeeAddr) {
+    const settings = getSettings();
+    if (!settings.allowlist) {
+        settings.allowlist = [];
+    }
+
+    if (!settings.allowlist.includes(ieeeAddr) || !settings.allowlist_mode) {
+        settings.allowlist_mode = true;
+        if (!settings.allowlist.includes(ieeeAddr)) {
+            settings.allowlist.push(ieeeAddr);
+        }
+
+        writeRead();
+    }
+}
+
+function disallowDevice(ieeeAddr) {
+    const settings = getSettings();
+    if (!settings.allowlist || !settings.allowlist.includes(ieeeAddr)) {
+        return false;
+    }
+
+    settings.allowlist.splice(settings.allowlist.indexOf(ieeeAddr), 1);
+    writeRead();
+    return true;
+}
+
 function removeDevice(ieeeAddr) {
     const settings = getSettings();
     if (!settings.devices || !settings.devices[ieeeAddr]) return;
 
+    const friendlyName = settings.devices[ieeeAddr].friendly_name;
     delete settings.devices[ieeeAddr];
-    writeRead();
+    writeRead({type: 'device_removed', ieeeAddr, friendly_name: friendlyName});
 }
 
 function addGroup(groupName) {
@@ -207,7 +302,7 @@ function addGroup(groupName) {
     }
 
     settings.groups[ID] = {friendly_name: groupName};
-    writeRead();
+    writeRead({type: 'group_added', ID, friendly_name: groupName});
 
     return true;
 }
@@ -221,7 +316,7 @@ function addDeviceToGroup(ID, ieeeAddr) {
 
     if (!group.devices.includes(ieeeAddr)) {
         group.devices.push(ieeeAddr);
-        writeRead();
+        writeRead({type: 'group_members_changed', ID, friendly_name: group.friendly_name});
         return true;
     } else {
         return false;
@@ -234,7 +329,7 @@ function removeDeviceFromGroup(ID, ieeeAddr) {
 
     if (group.devices && group.devices.includes(ieeeAddr)) {
         group.devices = group.devices.filter((d) => d != ieeeAddr);
-        writeRead();
+        writeRead({type: 'group_members_changed', ID, friendly_name: group.friendly_name});
         return true;
     } else {
         return false;
@@ -251,6 +346,47 @@ function removeGroup(name) {
 
     if (ID) {
         delete settings.groups[ID];
+        writeRead({type: 'group_removed', ID, friendly_name: name});
+        return true;
+    } else {
+        return false;
+    }
+}
+
+function addScene(sceneName) {
+    const settings = getSettings();
+    if (!settings.scenes) {
+        settings.scenes = {};
+    }
+
+    if (getSceneIDByFriendlyName(sceneName)) {
+        return false;
+    }
+
+    let ID = '1';
+    while (settings.scenes.hasOwnProperty(ID)) {
+        ID = (Number.parseInt(ID) + 1).toString();
+    }
+
+    // Zigbee scene IDs are 8 bit.
+    if (Number(ID) > 255) {
+        return false;
+    }
+
+    settings.scenes[ID] = {friendly_name: sceneName};
+    writeRead();
+
+    return true;
+}
+
+function removeScene(name) {
+    const settings = getSettings();
+    if (!settings.scenes) return false;
+
+    const ID = getSceneIDByFriendlyName(name);
+
+    if (ID) {
+        delete settings.scenes[ID];
         writeRead();
         return true;
     } else {
@@ -272,6 +408,13 @@ function getGroupIDByFriendlyName(friendlyName) {
     return entry && entry[0];
 }
 
+function getSceneIDByFriendlyName(friendlyName) {
+    const entry = Object.entries(getScenes()).find(([ID, scene]) =>
+        scene.friendly_name === friendlyName
+    );
+    return entry && entry[0];
+}
+
 function changeDeviceOptions(ieeeAddr, newOptions) {
     const settings = getSettings();
     const currentOptions = settings.devices[ieeeAddr];
@@ -289,16 +432,22 @@ function changeDeviceOptions(ieeeAddr, newOptions) {
     writeRead();
 }
 
+// Renames a device or a group.
 function changeFriendlyName(old, new_) {
     const settings = getSettings();
     const ieeeAddr = getIeeeAddrByFriendlyName(old);
-
-    if (!ieeeAddr) {
+    const groupID = getGroupIDByFriendlyName(old);
+
+    if (ieeeAddr) {
+        settings.devices[ieeeAddr].friendly_name = new_;
+        writeRead({type: 'device_renamed', ieeeAddr, from: old, to: new_});
+    } else if (groupID) {
+        settings.groups[groupID].friendly_name = new_;
+        writeRead({type: 'group_renamed', ID: groupID, from: old, to: new_});
+    } else {
         return false;
     }
 
-    settings.devices[ieeeAddr].friendly_name = new_;
-    writeRead();
     return true;
 }
 
@@ -340,16 +489,23 @@ module.exports = {
     getGroup,
     getGroups,
     getDevices,
+    getScene,
+    getScenes,
     banDevice: (ieeeAddr) => banDevice(ieeeAddr),
+    allowDevice: (ieeeAddr) => allowDevice(ieeeAddr),
+    disallowDevice: (ieeeAddr) => disallowDevice(ieeeAddr),
     addDevice: (ieeeAddr) => addDevice(ieeeAddr),
     removeDevice: (ieeeAddr) => removeDevice(ieeeAddr),
     addGroup: (name) => addGroup(name),
     removeGroup: (name) => removeGroup(name),
     addDeviceToGroup: (ID, ieeeAddr) => addDeviceToGroup(ID, ieeeAddr),
     removeDeviceFromGroup: (ID, ieeeAddr) => removeDeviceFromGroup(ID, ieeeAddr),
+    addScene: (name) => addScene(name),
+    removeScene: (name) => removeScene(name),
 
     getIeeeAddrByFriendlyName: (friendlyName) => getIeeeAddrByFriendlyName(friendlyName),
     getGroupIDByFriendlyName: (friendlyName) => getGroupIDByFriendlyName(friendlyName),
+    getSceneIDByFriendlyName: (friendlyName) => getSceneIDByFriendlyName(friendlyName),
     changeFriendlyName: (old, new_) => changeFriendlyName(old, new_),
     changeDeviceOptions: (ieeeAddr, options) => changeDeviceOptions(ieeeAddr, options),
     resolveEntity,
@@ -1,5 +1,7 @@
-const zigbeeShepherdConverters = require('zigbee-shepherd-converters');
+const deviceDefinitions = require('./deviceDefinitions');
 const logger = require('../util/logger');
+const settings = require('./settings');
+const zclId = require('zcl-id');
 
 // Xiaomi uses 4151 and 4447 (lumi.plug) as manufacturer ID.
 const xiaomiManufacturerID = [4151, 4447];
@@ -40,7 +42,7 @@ function getEndpointByEntityID(zigbee, entityID, epName) {
         return;
     }
 
-    const mappedDevice = zigbeeShepherdConverters.findByZigbeeModel(device.modelId);
+    const mappedDevice = deviceDefinitions.findByZigbeeModel(device.modelId);
     if (!mappedDevice) {
         logger.error(`Device with model ID ${device.modelId} is not supported`);
         return;
@@ -68,6 +70,59 @@ function getEndpointByEntityID(zigbee, entityID, epName) {
     return endpoint;
 }
 
+// A message on bridge/request/<command> is either a plain value or a JSON object which
+// can carry a 'transaction' ID. The transaction ID is returned on bridge/response/<command>,
+// the remainder ('value' if that is the only key) is passed on as the original message.
+function parseBridgeRequest(message) {
+    message = message.toString();
+
+    let json = null;
+    try {
+        json = JSON.parse(message);
+    } catch (e) {
+        return {message, transaction: undefined};
+    }
+
+    if (!json || typeof json !== 'object' || Array.isArray(json)) {
+        return {message, transaction: undefined};
+    }
+
+    const {transaction, ...rest} = json;
+    if (Object.keys(rest).length === 1 && rest.hasOwnProperty('value')) {
+        message = typeof rest.value === 'string' ? rest.value : JSON.stringify(rest.value);
+    } else {
+        message = JSON.stringify(rest);
+    }
+
+    return {message, transaction};
+}
+
+// Resolves the targets of bindings (as read by zigbee.readBindings) to friendly names and the clusters to names.
+function resolveBindings(bindings) {
+    return bindings.map((binding) => {
+        const cluster = zclId.cluster(binding.cluster);
+        const target = {...binding.target};
+        if (target.type === 'group') {
+            const group = settings.getGroup(target.ID);
+            target.friendly_name = group ? group.friendly_name : `${target.ID}`;
+        } else {
+            const device = settings.getDevice(target.ieeeAddr);
+            target.friendly_name = device ? device.friendly_name : target.ieeeAddr;
+        }
+
+        return {source_endpoint: binding.source_endpoint, cluster: cluster ? cluster.key : binding.cluster, target};
+    });
+}
+
+// Executes the functions one after another, each function gets a callback to call when done.
+function series(funcs, callback) {
+    if (!funcs.length) {
+        return callback();
+    }
+
+    funcs[0](() => series(funcs.slice(1), callback));
+}
+
 function getZigbee2mqttVersion(callback) {
     const git = require('git-last-commit');
     const packageJSON = require('../../package.json');
@@ -105,4 +160,7 @@ module.exports = {
     getPostfixes: () => postfixes,
     getEndpointByEntityID,
     getZigbee2mqttVersion,
+    parseBridgeRequest,
+    resolveBindings,
+    series,
 };
@@ -1,13 +1,36 @@
+const logger = require('./logger');
+
 const maxSimultaneouslyRunning = 5;
 const delay = 250;
-const error17Retries = 3;
+const maxStuckJobs = 10;
+
+// Jobs with a lower number are executed first.
+const priorities = {
+    high: 0,
+    normal: 1,
+    low: 2,
+};
+
+const defaults = {
+    // Seconds after which a job which didn't complete is failed.
+    timeout: 30,
+
+    // Errors which are retried, 'error' is matched against the error message.
+    // Error 17 means that the buffer of the ZNP was full.
+    retry: [{error: 'rsp error: 17', retries: 3}],
+};
 
 class ZigbeeQueue {
-    constructor() {
+    constructor(options={}) {
         this.queue = [];
         this.active = [];
+        this.stuck = [];
         this.timer = null;
         this.running = false;
+        this.options = {...defaults, ...options};
+
+        // Can be set to get notified about jobs that timed out.
+        this.onJobTimeout = null;
     }
 
     start() {
@@ -15,8 +38,50 @@ class ZigbeeQueue {
         this.resetTimer();
     }
 
-    push(entityID, func) {
-        this.queue.push({entityID, func, attempts: 0});
+    /**
+     * Add a job to the queue, jobs of the same entity are never executed simultaneously.
+     * @param {string} entityID ID of the entity this job is for
+     * @param {Function} func Executes the job, gets a callback which has to be called when the job is done
+     * @param {Object} options Optional:
+     *     priority     'high', 'normal' (default) or 'low'
+     *     timeout      seconds after which the job is failed, overrides the queue timeout
+     *     key          jobs with the same key are identical, an identical job that is still waiting
+     *                  as the last job of this entity is reused instead of queueing another one
+     *     callback     called with the result of func once the job is done (after retries)
+     *     description  describes the job in the queue status
+     */
+    push(entityID, func, options={}) {
+        const priority = priorities.hasOwnProperty(options.priority) ? options.priority : 'normal';
+        const callback = options.callback;
+
+        if (options.key) {
+            const last = this.queue.filter((j) => j.entityID === entityID).pop();
+            if (last && last.key === options.key && !this.active.includes(last)) {
+                logger.debug(`Skipping duplicate job '${last.description}' for '${entityID}'`);
+
+                if (callback) {
+                    last.callbacks.push(callback);
+                }
+
+                if (priorities[priority] < priorities[last.priority]) {
+                    last.priority = priority;
+                }
+
+                return;
+            }
+        }
+
+        this.queue.push({
+            entityID,
+            func,
+            priority,
+            attempts: 0,
+            key: options.key,
+            description: options.description || '',
+            timeout: options.timeout || this.options.timeout,
+            callbacks: callback ? [callback] : [],
+            queuedAt: Date.now(),
+        });
     }
 
     stopTimer() {
@@ -36,21 +101,67 @@ class ZigbeeQueue {
 
     stop() {
         this.stopTimer();
+        this.active.forEach((job) => clearTimeout(job.timeoutTimer));
         this.running = false;
     }
 
-    handleJobComplete(job, error) {
-        if (error && error.message === 'rsp error: 17' && job.attempts < error17Retries) {
-            // Error 17 means that the buffer of the ZNP was full,
-            // retry this for a maximum of 3 times.
+    getRetries(error) {
+        const message = error.message ? error.message : error.toString();
+        const policy = this.options.retry.find((r) => message.includes(r.error));
+        return policy ? policy.retries : 0;
+    }
+
+    handleJobComplete(job, error, result) {
+        this.active.splice(this.active.indexOf(job), 1);
+
+        if (error && job.attempts < this.getRetries(error)) {
+            // Leave the job in the queue so it is executed again.
             job.attempts++;
-            this.active.splice(this.active.indexOf(job), 1);
+            logger.debug(`Retrying job '${job.description}' for '${job.entityID}' (attempt #${job.attempts + 1})`);
         } else {
-            this.active.splice(this.active.indexOf(job), 1);
             this.queue.splice(this.queue.indexOf(job), 1);
+            job.callbacks.forEach((callback) => callback(error, ...result));
         }
     }
 
+    handleJobTimeout(job) {
+        logger.warn(`Job '${job.description}' for '${job.entityID}' timed out after ${job.timeout} seconds`);
+
+        this.stuck.push({
+            entityID: job.entityID,
+            description: job.description,
+            attempts: job.attempts + 1,
+            time: new Date().toISOString(),
+        });
+        this.stuck = this.stuck.slice(-maxStuckJobs);
+
+        if (this.onJobTimeout) {
+            this.onJobTimeout(job);
+        }
+    }
+
+    execute(job) {
+        let done = false;
+
+        const complete = (error, ...result) => {
+            // A callback which arrives after the timeout is ignored.
+            if (!done) {
+                done = true;
+                clearTimeout(job.timeoutTimer);
+                this.handleJobComplete(job, error, result);
+            }
+        };
+
+        job.startedAt = Date.now();
+        job.timeoutTimer = setTimeout(() => {
+            this.handleJobTimeout(job);
+            complete(new Error(`timeout after ${job.timeout} seconds`));
+        }, job.timeout * 1000);
+
+        this.active.push(job);
+        job.func(complete);
+    }
+
     executeNext() {
         if (!this.running) {
             return;
@@ -59,8 +170,7 @@ class ZigbeeQueue {
         const next = this.getNext();
 
         if (next) {
-            this.active.push(next);
-            next.func((error) => this.handleJobComplete(next, error));
+            this.execute(next);
         }
     }
 
@@ -69,15 +179,37 @@ class ZigbeeQueue {
             return null;
         }
 
+        // Pick the first job with the highest priority of which the entity has no active job.
+        let next = null;
         for (let i = 0; i < this.queue.length; i++) {
             const job = this.queue[i];
             const activeDeviceJob = this.active.find((j) => j.entityID === job.entityID);
-            if (!activeDeviceJob) {
-                return job;
+            if (!activeDeviceJob && (!next || priorities[job.priority] < priorities[next.priority])) {
+                next = job;
             }
         }
 
-        return null;
+        return next;
+    }
+
+    getStatus() {
+        const now = Date.now();
+        const pending = this.queue.filter((j) => !this.active.includes(j));
+        const byPriority = {};
+        Object.keys(priorities).forEach((p) => byPriority[p] = pending.filter((j) => j.priority === p).length);
+
+        return {
+            pending: pending.length,
+            active: this.active.length,
+            priorities: byPriority,
+            oldest_pending: pending.length ? Math.round((now - Math.min(...pending.map((j) => j.queuedAt))) / 1000) : 0,
+            active_jobs: this.active.map((j) => ({
+                entityID: j.entityID,
+                description: j.description,
+                running: Math.round((now - j.startedAt) / 1000),
+            })),
+            stuck: this.stuck,
+        };
     }
 }
 
@@ -7,6 +7,9 @@ const ZigbeeQueue = require('./util/zigbeeQueue');
 const cieApp = require('./zapp/cie');
 const objectAssignDeep = require('object-assign-deep');
 const zclId = require('zcl-id');
+const backup = require('./util/backup');
+const installCode = require('./util/installCode');
+const fs = require('fs');
 
 const advancedSettings = settings.get().advanced;
 
@@ -34,6 +37,20 @@ const defaultCfg = {
     disDefaultRsp: 0,
 };
 
+// Mgmt_NWK_Update_notify, the response to an energy scan.
+const mgmtNwkUpdateNotify = 0x8038;
+const energyScanTimeout = 30;
+
+// Status of a routing table entry.
+const routeStatus = ['active', 'discovery_underway', 'discovery_failed', 'inactive', 'validation_underway'];
+
+// Device type and relationship of a neighbor table entry.
+const neighborType = ['Coordinator', 'Router', 'EndDevice'];
+const neighborRelationship = ['parent', 'child', 'sibling', 'none', 'previous_child'];
+
+// Destination address mode of a binding table entry which targets a group.
+const bindGroupAddrMode = 1;
+
 // Don't print network key.
 const shepherdSettingsLog = objectAssignDeep.noMutate(shepherdSettings);
 shepherdSettingsLog.net.precfgkey = 'HIDDEN';
@@ -46,8 +63,14 @@ class Zigbee {
         this.onError = this.onError.bind(this);
         this.messageHandler = null;
         this.permitJoinTimer = null;
+        this.permitJoinDevice = null;
+        this.bindingsCacheFile = null;
+        this.bindingsCache = null;
 
-        this.queue = new ZigbeeQueue();
+        this.queue = new ZigbeeQueue({
+            timeout: advancedSettings.queue_timeout,
+            retry: advancedSettings.queue_retry,
+        });
     }
 
     start(messageHandler, callback) {
@@ -99,7 +122,73 @@ class Zigbee {
             }
         });
 
-        this.shepherd.backupCoordinator(() => {});
+        const restorePath = backup.coordinatorRestorePath();
+        if (fs.existsSync(restorePath)) {
+            this.restoreCoordinator(restorePath, () => this.backupCoordinator(() => {}));
+        } else {
+            this.backupCoordinator(() => {});
+        }
+    }
+
+    backupCoordinator(callback) {
+        this.shepherd.backupCoordinator(callback);
+    }
+
+    /*
+     * Writes the NV items (e.g. network key, PAN ID, extended PAN ID and channel) of a coordinator backup
+     * to the coordinator, which allows to replace the coordinator without repairing all devices.
+     * The coordinator is reset afterwards to start with the restored network.
+     */
+    restoreCoordinator(file, callback) {
+        let items = null;
+        try {
+            items = backup.getNvItems(JSON.parse(fs.readFileSync(file)));
+        } catch (error) {
+            logger.error(`Failed to read coordinator backup '${file}' (${error.message})`);
+            return callback(error);
+        }
+
+        const done = (error) => {
+            if (error) {
+                logger.error(`Failed to restore coordinator backup (${error})`);
+            } else {
+                logger.info(`Restored ${items.length} NV items of the coordinator backup`);
+                fs.renameSync(file, `${file}.restored`);
+            }
+
+            callback(error);
+        };
+
+        if (!items.length) {
+            return done(new Error('Coordinator backup contains no NV items'));
+        }
+
+        logger.info(`Restoring coordinator backup '${file}'`);
+        const controller = this.shepherd.controller;
+        const write = (index) => {
+            if (index === items.length) {
+                return this.softReset(done);
+            }
+
+            const item = items[index];
+            const init = {id: item.id, len: item.len, initlen: item.len, initvalue: item.value};
+            controller.request('SYS', 'osalNvItemInit', init, (error) => {
+                // 'rsp error: 9' means the item did not exist yet and is created.
+                if (error && error.message !== 'rsp error: 9') {
+                    return done(error);
+                }
+
+                controller.request('SYS', 'osalNvWrite', item, (error) => {
+                    if (error) {
+                        done(error);
+                    } else {
+                        write(index + 1);
+                    }
+                });
+            });
+        };
+
+        write(0);
     }
 
     _acceptDevIncoming(devInfo, callback) {
@@ -107,9 +196,13 @@ class Zigbee {
             `Accept device incoming with ieeeAddr '${devInfo.ieeeAddr}' permit join is '${this.getPermitJoin()}'`
         );
 
+        const {allowlist, allowlist_mode: allowlistMode} = settings.get();
         if (settings.get().ban.includes(devInfo.ieeeAddr)) {
             logger.info(`Banned device tried to connect (${devInfo.ieeeAddr})`);
             callback(null, false);
+        } else if (allowlistMode && !allowlist.includes(`${devInfo.ieeeAddr}`.toLowerCase())) {
+            logger.warn(`Device which is not on the allowlist tried to connect (${devInfo.ieeeAddr})`);
+            callback(null, false);
         } else {
             logger.debug(`Allowing device '${devInfo.ieeeAddr}' to join`);
             callback(null, true);
@@ -119,6 +212,10 @@ class Zigbee {
     logStartupInfo() {
         logger.info('zigbee-shepherd started');
         logger.info(`Coordinator firmware version: '${this.getFirmwareVersion()}'`);
+
+        if (settings.get().allowlist.length && !settings.get().allowlist_mode) {
+            logger.warn('The allowlist is ignored because allowlist_mode is disabled, any device can join');
+        }
         logger.debug(`zigbee-shepherd info: ${JSON.stringify(this.shepherd.info())}`);
     }
 
@@ -138,7 +235,7 @@ class Zigbee {
         this.queue.stop();
 
         // Backup coordinator
-        this.shepherd.backupCoordinator(() => {
+        this.backupCoordinator(() => {
             this.shepherd.stop((error) => {
                 logger.info('zigbee-shepherd stopped');
                 callback(error);
@@ -181,15 +278,57 @@ class Zigbee {
             logger.info('Zigbee: disabling joining new devices.');
         }
 
-        // In zigbee 3.0 a network automatically closes after 254 seconds.
-        // As a workaround, we enable joining again.
+        this.permitJoinDevice = null;
+        this.reenablePermitJoin(permit ? (cb) => this.shepherd.permitJoin(255, cb) : null);
+
+        this.shepherd.permitJoin(permit ? 255 : 0, (error) => {
+            if (error) {
+                logger.info(error);
+            }
+
+            if (callback) {
+                callback();
+            }
+        });
+    }
+
+    // Allows new devices to join only through one router, joining is disabled on all other routers.
+    permitJoinVia(ieeeAddr, callback) {
+        const device = this.getDevice(ieeeAddr);
+        const permitJoin = (cb) => {
+            const payload = {addrmode: 0x02, dstaddr: device.nwkAddr, duration: 255, tcsignificance: 0};
+            this.shepherd.controller.request('ZDO', 'mgmtPermitJoinReq', payload, cb);
+        };
+
+        logger.info(`Zigbee: allowing new devices to join via '${ieeeAddr}'.`);
+        this.reenablePermitJoin(null);
+        this.shepherd.permitJoin(0, (error) => {
+            if (error) {
+                return callback(error);
+            }
+
+            permitJoin((error) => {
+                if (!error) {
+                    this.permitJoinDevice = ieeeAddr;
+                    this.reenablePermitJoin(permitJoin);
+                }
+
+                callback(error);
+            });
+        });
+    }
+
+    // In zigbee 3.0 a network automatically closes after 254 seconds.
+    // As a workaround, we enable joining again.
+    reenablePermitJoin(permitJoin) {
         if (this.permitJoinTimer) {
             clearInterval(this.permitJoinTimer);
+            this.permitJoinTimer = null;
         }
 
-        if (permit) {
+        if (permitJoin) {
             this.permitJoinTimer = setInterval(() => {
-                this.shepherd.permitJoin(255, (error) => {
+                permitJoin((error) => {
                     if (error) {
                         logger.error('Failed to reenable joining');
                     } else {
@@ -198,20 +337,117 @@ class Zigbee {
                 });
             }, utils.secondsToMilliseconds(200));
         }
+    }
 
-        this.shepherd.permitJoin(permit ? 255 : 0, (error) => {
+    /*
+     * Scans the energy (0 - 255) of all channels with a ZDO mgmtNwkUpdateReq to the coordinator.
+     * The higher the energy, the busier the channel is.
+     * Calls the callback with the energy per channel and the transmission (failure) count of the coordinator.
+     */
+    energyScan(callback) {
+        const controller = this.shepherd.controller;
+        let timer = null;
+
+        const done = (error, result) => {
+            clearTimeout(timer);
+            controller.removeListener('ZDO:msgCbIncoming', onMessage);
+            callback(error, result);
+        };
+
+        const onMessage = (msg) => {
+            if (msg.clusterid !== mgmtNwkUpdateNotify || msg.srcaddr !== 0) {
+                return;
+            }
+
+            const buffer = Buffer.from(msg.msgdata);
+            if (buffer[0] !== 0) {
+                return done(new Error(`Energy scan failed with status ${buffer[0]}`));
+            }
+
+            const scannedChannels = buffer.readUInt32LE(1);
+            const energyValues = [...buffer.slice(10, 10 + buffer[9])];
+            const channels = {};
+            for (let channel = 11; channel <= 26; channel++) {
+                if (scannedChannels & (1 << channel)) {
+                    channels[channel] = energyValues.shift();
+                }
+            }
+
+            done(null, {
+                channels,
+                total_transmissions: buffer.readUInt16LE(5),
+                transmission_failures: buffer.readUInt16LE(7),
+            });
+        };
+
+        // The notify is only forwarded by the coordinator when registered for.
+        controller.request('ZDO', 'msgCbRegister', {clusterid: mgmtNwkUpdateNotify}, (error) => {
             if (error) {
-                logger.info(error);
+                return callback(error);
             }
 
-            if (callback) {
-                callback();
+            controller.on('ZDO:msgCbIncoming', onMessage);
+            timer = setTimeout(() => done(new Error('Energy scan timed out')),
+                utils.secondsToMilliseconds(energyScanTimeout));
+
+            logger.info('Starting energy scan of all channels');
+            const payload = {
+                dstaddr: 0, dstaddrmode: 2, channelmask: 0x07FFF800, scanduration: 5, scancount: 1, nwkmanageraddr: 0,
+            };
+
+            controller.request('ZDO', 'mgmtNwkUpdateReq', payload, (error) => {
+                if (error) {
+                    done(error);
+                }
+            });
+        });
+    }
+
+    /*
+     * Broadcasts a channel change to all routers and the coordinator, end devices will follow their parent.
+     * The channel is also written to the coordinator NV, so it is used after a restart.
+     */
+    changeChannel(channel, callback) {
+        const controller = this.shepherd.controller;
+        const channelMask = 1 << channel;
+        const payload = {
+            dstaddr: 0xFFFD, dstaddrmode: 15, channelmask: channelMask, scanduration: 0xFE, scancount: 0,
+            nwkmanageraddr: 0,
+        };
+
+        logger.info(`Changing channel to ${channel}`);
+        controller.request('ZDO', 'mgmtNwkUpdateReq', payload, (error) => {
+            if (error) {
+                return callback(error);
             }
+
+            const value = [0, 1, 2, 3].map((i) => (channelMask >> (8 * i)) & 0xFF);
+            shepherdSettings.net.channelList = [channel];
+            controller.request('SAPI', 'writeConfiguration', {configid: 0x84, len: 4, value}, callback);
         });
     }
 
+    // Registers the link key derived from the install code of a device, which it needs to join.
+    addInstallCode(ieeeAddr, code, callback) {
+        let linkkey = null;
+        try {
+            linkkey = installCode.deriveLinkKey(code);
+        } catch (error) {
+            return callback(error);
+        }
+
+        logger.info(`Adding install code of '${ieeeAddr}'`);
+        const payload = {shortaddr: 0xFFFE, ieeeaddr: ieeeAddr, linkkey};
+        this.shepherd.controller.request('ZDO', 'setLinkKey', payload, (error) => callback(error));
+    }
+
     getPermitJoin() {
-        return this.shepherd.controller._permitJoinTime === 255;
+        return this.shepherd.controller._permitJoinTime === 255 || !!this.permitJoinDevice;
+    }
+
+    // Returns the router through which joining is allowed, null when joining is allowed through all routers.
+    getPermitJoinDevice() {
+        return this.permitJoinDevice;
     }
 
     getAllClients() {
@@ -275,10 +511,178 @@ class Zigbee {
         logger.info('Starting network scan...');
         this.shepherd.lqiScan().then((result) => {
             logger.info('Network scan completed');
-            callback(result);
+            callback(null, result);
+        }, (error) => {
+            logger.error(`Network scan failed (${error})`);
+            callback(error);
+        });
+    }
+
+    /*
+     * A ZDO management response only contains a part of the table, the request is repeated with the next start
+     * index until all entries (as reported by the device) have been received.
+     */
+    _requestTable(cmd, device, total, list, callback) {
+        const entries = [];
+
+        const next = () => {
+            const payload = {dstaddr: device.nwkAddr, startindex: entries.length};
+            this.shepherd.controller.request('ZDO', cmd, payload, (error, rsp) => {
+                if (error) {
+                    return callback(error);
+                }
+
+                entries.push(...rsp[list]);
+                if (rsp[list].length > 0 && entries.length < rsp[total]) {
+                    next();
+                } else {
+                    callback(null, entries);
+                }
+            });
+        };
+
+        next();
+    }
+
+    /*
+     * Reads the routing table of a router (or the coordinator) with a ZDO mgmtRtgReq.
+     * Network addresses are resolved to the ieeeAddr of the device when it is known.
+     */
+    routingTable(ieeeAddr, callback) {
+        const device = this.getDevice(ieeeAddr);
+        if (!device) {
+            return callback(new Error(`Device '${ieeeAddr}' does not exist`));
+        }
+
+        this._requestTable('mgmtRtgReq', device, 'routingtableentries', 'routingtablelist', (error, list) => {
+            if (error) {
+                return callback(error);
+            }
+
+            callback(null, list.map((entry) => ({
+                destination: this.resolveNwkAddr(entry.destNwkAddr),
+                next_hop: this.resolveNwkAddr(entry.nextHopNwkAddr),
+                status: routeStatus[entry.routeStatus] || 'unknown',
+            })));
+        });
+    }
+
+    // Reads the routing table of the coordinator and all routers, routers which don't respond are skipped.
+    routingScan(callback) {
+        const routers = this.getDevices().filter((d) => d.type === 'Coordinator' || d.type === 'Router');
+        const routes = [];
+
+        const next = (index) => {
+            if (index === routers.length) {
+                logger.info('Routing scan completed');
+                return callback(routes);
+            }
+
+            const ieeeAddr = routers[index].ieeeAddr;
+            this.routingTable(ieeeAddr, (error, table) => {
+                if (error) {
+                    logger.warn(`Failed to read routing table of '${ieeeAddr}' (${error})`);
+                } else {
+                    table.forEach((route) => routes.push({ieeeAddr, ...route}));
+                }
+
+                next(index + 1);
+            });
+        };
+
+        logger.info('Starting routing scan...');
+        next(0);
+    }
+
+    // Reads the neighbor table of a router (or the coordinator) with a ZDO mgmtLqiReq.
+    neighborTable(ieeeAddr, callback) {
+        const device = this.getDevice(ieeeAddr);
+        if (!device) {
+            return callback(new Error(`Device '${ieeeAddr}' does not exist`));
+        }
+
+        this._requestTable('mgmtLqiReq', device, 'neighbortableentries', 'neighborlqilist', (error, list) => {
+            if (error) {
+                return callback(error);
+            }
+
+            callback(null, list.map((entry) => ({
+                ieeeAddr: entry.extAddr,
+                nwkAddr: entry.nwkAddr,
+                type: neighborType[entry.deviceType] || 'Unknown',
+                relationship: neighborRelationship[entry.relationship] || 'unknown',
+                rx_on_when_idle: entry.rxOnWhenIdle === 1,
+                depth: entry.depth,
+                lqi: entry.lqi,
+            })));
         });
     }
 
+    /*
+     * Reads the binding table of a device with a ZDO mgmtBindReq.
+     * The result is cached, so it can be shown without querying the device again (see getBindings).
+     */
+    readBindings(ieeeAddr, callback) {
+        const device = this.getDevice(ieeeAddr);
+        if (!device) {
+            return callback(new Error(`Device '${ieeeAddr}' does not exist`));
+        }
+
+        this._requestTable('mgmtBindReq', device, 'bindingtableentries', 'bindingtablelist', (error, list) => {
+            if (error) {
+                return callback(error);
+            }
+
+            const bindings = list.map((entry) => {
+                const binding = {source_endpoint: entry.srcEp, cluster: entry.clusterId};
+                if (entry.dstAddrMode === bindGroupAddrMode) {
+                    // A group is addressed by the first 2 (little endian) bytes of the destination address.
+                    binding.target = {type: 'group', ID: parseInt(entry.dstAddr.slice(-4), 16)};
+                } else {
+                    binding.target = {type: 'device', ieeeAddr: entry.dstAddr, endpoint: entry.dstEp};
+                }
+
+                return binding;
+            });
+
+            this.getBindingsCache()[ieeeAddr] = bindings;
+            this.writeBindingsCache();
+            callback(null, bindings);
+        });
+    }
+
+    // Returns the bindings of a device from the last time they were read, null when they are unknown.
+    getBindings(ieeeAddr) {
+        return this.getBindingsCache()[ieeeAddr] || null;
+    }
+
+    getBindingsCache() {
+        if (!this.bindingsCache) {
+            this.bindingsCacheFile = data.joinPathStorage('bindings_cache.json');
+            this.bindingsCache = fs.existsSync(this.bindingsCacheFile) ?
+                JSON.parse(fs.readFileSync(this.bindingsCacheFile, 'utf8')) : {};
+        }
+
+        return this.bindingsCache;
+    }
+
+    writeBindingsCache() {
+        fs.writeFileSync(this.bindingsCacheFile, JSON.stringify(this.bindingsCache), 'utf8');
+    }
+
+    // The cached bindings are outdated after a bind or unbind, they have to be read again.
+    clearBindings(ieeeAddr) {
+        if (this.getBindingsCache().hasOwnProperty(ieeeAddr)) {
+            delete this.bindingsCache[ieeeAddr];
+            this.writeBindingsCache();
+        }
+    }
+
+    resolveNwkAddr(nwkAddr) {
+        const device = this.getDevices().find((d) => d.nwkAddr === nwkAddr);
+        return device ? device.ieeeAddr : `0x${nwkAddr.toString(16).padStart(4, '0')}`;
+    }
+
     getEndpoint(ieeeAddr, ep) {
         // If no ep is given, the first endpoint will be returned
         // Find device in zigbee-shepherd
@@ -293,7 +697,9 @@ class Zigbee {
         return endpoint;
     }
 
-    publish(entityID, entityType, cid, cmd, cmdType, zclData, cfg=defaultCfg, ep, callback) {
+    // Commands of users (e.g. through <friendly_name>/set) are published with priority 'high' so they are
+    // executed before background traffic like pings and reads.
+    publish(entityID, entityType, cid, cmd, cmdType, zclData, cfg=defaultCfg, ep, callback, priority='normal') {
         let entity = null;
         if (entityType === 'device') {
             entity = this.getEndpoint(entityID, ep);
@@ -302,12 +708,23 @@ class Zigbee {
         }
 
         if (!entity) {
-            logger.error(
-                `Cannot publish message to ${entityType} because '${entityID}' is not known by zigbee-shepherd`
-            );
+            const endpoint = entityType === 'device' && ep ? ` (endpoint ${ep})` : '';
+            const message = `Cannot publish message to ${entityType} because '${entityID}'${endpoint} is not known ` +
+                'by zigbee-shepherd';
+            logger.error(message);
+            if (callback) {
+                callback(new Error(message));
+            }
+
             return;
         }
 
+        // Identical reads and writes of attributes which are still waiting in the queue are only executed once.
+        // Other commands are not idempotent (e.g. toggle or a brightness step), so they are always executed.
+        const idempotent = cmdType === 'foundation' && ['read', 'write'].includes(cmd);
+        const key = idempotent ?
+            [entityType, ep, cid, cmd, cmdType, JSON.stringify(zclData), JSON.stringify(cfg)].join('-') : null;
+
         this.queue.push(entityID, (queueCallback) => {
             logger.info(
                 `Zigbee publish to ${entityType} '${entityID}', ${cid} - ${cmd} - ` +
@@ -322,11 +739,7 @@ class Zigbee {
                         `failed with error ${error}`);
                 }
 
-                if (callback) {
-                    callback(error, rsp);
-                }
-
-                queueCallback(error);
+                queueCallback(error, rsp);
             };
 
             if (cmdType === 'functional' && entity.functional) {
@@ -335,8 +748,25 @@ class Zigbee {
                 entity.foundation(cid, cmd, zclData, cfg, callback_);
             } else {
                 logger.error(`Unknown zigbee publish cmdType ${cmdType}`);
+                queueCallback(new Error(`Unknown zigbee publish cmdType ${cmdType}`));
             }
-        });
+        }, {key, priority, callback, description: `${cid} - ${cmd}`});
+    }
+
+    /*
+     * Send a raw (already serialized) ZCL frame, used for clusters zigbee-shepherd can't serialize.
+     */
+    sendRaw(ieeeAddr, ep, cid, payload, callback) {
+        const endpoint = this.getEndpoint(ieeeAddr, ep);
+        if (!endpoint) {
+            callback(new Error(`Cannot send to '${ieeeAddr}' because it is not known by zigbee-shepherd`));
+            return;
+        }
+
+        this.queue.push(ieeeAddr, (queueCallback) => {
+            logger.debug(`Zigbee send raw to '${ieeeAddr}', ${cid} - ${payload.toString('hex')} - ${ep}`);
+            this.shepherd.af.send(endpoint, endpoint, cid, payload, (error) => queueCallback(error));
+        }, {priority: 'high', callback, description: `${cid} - raw`});
     }
 
     ping(ieeeAddr, errorLogLevel='error', cb, mechanism='default') {
@@ -357,22 +787,16 @@ class Zigbee {
             if (device) {
                 logger.debug(`Ping ${ieeeAddr} (default)`);
                 this.queue.push(ieeeAddr, (queueCallback) => {
-                    this.shepherd.controller.checkOnline(device, (error) => {
-                        callback(error);
-                        queueCallback(error);
-                    });
-                });
+                    this.shepherd.controller.checkOnline(device, queueCallback);
+                }, {priority: 'low', callback, description: 'ping'});
             }
         } else if (mechanism === 'basic') {
             const endpoint = this.getEndpoint(ieeeAddr, null);
             if (endpoint) {
                 logger.debug(`Ping ${ieeeAddr} (basic)`);
                 this.queue.push(ieeeAddr, (queueCallback) => {
-                    endpoint.foundation('genBasic', 'read', [{attrId: 0}], (error) => {
-                        callback(error);
-                        queueCallback(error);
-                    });
-                });
+                    endpoint.foundation('genBasic', 'read', [{attrId: 0}], (error) => queueCallback(error));
+                }, {priority: 'low', callback, description: 'ping'});
             }
         }
     }
@@ -381,38 +805,42 @@ class Zigbee {
         const log = ` ${ep.device.ieeeAddr} - ${cluster}`;
         target = !target ? this.getCoordinator() : target;
 
+        const done = (error) => {
+            if (error) {
+                logger.error(`Failed to bind ${log} - (${error})`);
+            } else {
+                logger.debug(`Successfully bound ${log}`);
+                this.clearBindings(ep.device.ieeeAddr);
+            }
+
+            callback(error);
+        };
+
         this.queue.push(ep.device.ieeeAddr, (queueCallback) => {
             logger.debug(`Binding ${log}`);
-            ep.bind(cluster, target, (error) => {
-                if (error) {
-                    logger.error(`Failed to bind ${log} - (${error})`);
-                } else {
-                    logger.debug(`Successfully bound ${log}`);
-                }
-
-                callback(error);
-                queueCallback(error);
-            });
-        });
+            ep.bind(cluster, target, (error) => queueCallback(error));
+        }, {callback: done, description: `bind ${cluster}`});
     }
 
     unbind(ep, cluster, target, callback) {
         const log = ` ${ep.device.ieeeAddr} - ${cluster}`;
         target = !target ? this.getCoordinator() : target;
 
+        const done = (error) => {
+            if (error) {
+                logger.error(`Failed to unbind ${log} - (${error})`);
+            } else {
+                logger.debug(`Successfully unbound ${log}`);
+                this.clearBindings(ep.device.ieeeAddr);
+            }
+
+            callback(error);
+        };
+
         this.queue.push(ep.device.ieeeAddr, (queueCallback) => {
             logger.debug(`Unbinding ${log}`);
-            ep.unbind(cluster, target, (error) => {
-                if (error) {
-                    logger.error(`Failed to unbind ${log} - (${error})`);
-                } else {
-                    logger.debug(`Successfully unbound ${log}`);
-                }
-
-                callback(error);
-                queueCallback(error);
-            });
-        });
+            ep.unbind(cluster, target, (error) => queueCallback(error));
+        }, {callback: done, description: `unbind ${cluster}`});
     }
 
     /*
@@ -423,8 +851,9 @@ class Zigbee {
      *     min     the minimal time between reports in seconds,
      *     max     the maximum time between reports in seconds,
      *     change  the minimum amount of change before sending a report
+     * The optional callback is called with an error when binding or configuring failed.
      */
-    report(ep, cluster, attributes) {
+    report(ep, cluster, attributes, callback) {
         const cfgArr = attributes.map((attribute) => {
             const attrId = zclId.attr(cluster, attribute.attr).value;
             const dataType = zclId.attrType(cluster, attribute.attr).value;
@@ -442,31 +871,41 @@ class Zigbee {
 
         const configReport = () => {
             this.queue.push(ep.device.ieeeAddr, (queueCallback) => {
-                ep.foundation(cluster, 'configReport', cfgArr, defaultCfg, (error) => {
+                ep.foundation(cluster, 'configReport', cfgArr, defaultCfg, (error) => queueCallback(error));
+            }, {
+                priority: 'low',
+                description: `configReport ${cluster}`,
+                callback: (error) => {
                     if (error) {
                         logger.error(`Failed to setup reporting ${log} - (${error})`);
                     } else {
                         logger.debug(`Successfully setup reporting ${log}`);
                     }
 
-                    queueCallback(error);
-                });
+                    if (callback) {
+                        callback(error);
+                    }
+                },
             });
         };
 
         this.queue.push(ep.device.ieeeAddr, (queueCallback) => {
             logger.debug(`Setup reporting ${log}`);
-
-            ep.bind(cluster, this.getCoordinator(), (error) => {
+            ep.bind(cluster, this.getCoordinator(), (error) => queueCallback(error));
+        }, {
+            priority: 'low',
+            description: `bind ${cluster} for reporting`,
+            callback: (error) => {
                 if (error) {
                     logger.error(`Failed to bind for reporting ${log} - (${error})`);
+                    if (callback) {
+                        callback(error);
+                    }
                 } else {
                     // Only if binding succeeds, setting-up reporting makes sense.
                     configReport();
                 }
-
-                queueCallback(error);
-            });
+            },
         });
     }
 }
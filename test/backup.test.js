@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const rimraf = require('rimraf');
+const data = require('../lib/util/data');
+const backup = require('../lib/util/backup');
+const Backup = require('../lib/extension/backup');
+const MQTT = require('../lib/mqtt');
+const utils = require('./utils');
+
+const zigbee = {
+    backupCoordinator: jest.fn((callback) => callback(null)),
+};
+
+const mqtt = {
+    reply: MQTT.prototype.reply,
+    respond: jest.fn(),
+    log: jest.fn(),
+};
+
+const state = {
+    save: jest.fn(),
+};
+
+let directory;
+
+describe('Backup', () => {
+    beforeEach(() => {
+        utils.stubLogger(jest);
+        mqtt.respond.mockClear();
+        mqtt.log.mockClear();
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'zigbee2mqtt-backup-'));
+        process.env.ZIGBEE2MQTT_DATA = directory;
+        data._reload();
+        fs.writeFileSync(path.join(directory, 'configuration.yaml'), 'homeassistant: false\n');
+        fs.writeFileSync(path.join(directory, 'database.db'), '{"id":1}\n');
+        fs.writeFileSync(path.join(directory, 'coordinator_backup.json'), '{"data":{}}');
+    });
+
+    afterEach(() => {
+        delete process.env.ZIGBEE2MQTT_DATA;
+        data._reload();
+        rimraf.sync(directory);
+        jest.restoreAllMocks();
+    });
+
+    it('Should create a backup and restore it', () => {
+        const result = backup.create();
+        expect(result.files).toStrictEqual(['configuration.yaml', 'database.db', 'coordinator_backup.json']);
+
+        fs.unlinkSync(path.join(directory, 'database.db'));
+        fs.renameSync(result.file, path.join(directory, 'zigbee2mqtt_restore.json.gz'));
+        expect(backup.restore()).toStrictEqual({files: result.files});
+        expect(fs.readFileSync(path.join(directory, 'database.db')).toString()).toBe('{"id":1}\n');
+        expect(fs.readFileSync(backup.coordinatorRestorePath()).toString()).toBe('{"data":{}}');
+
+        // The archive is only restored once.
+        expect(backup.restore()).toBeNull();
+    });
+
+    it('Should move an invalid archive aside instead of restoring it', () => {
+        const file = path.join(directory, 'zigbee2mqtt_restore.json.gz');
+        fs.writeFileSync(file, 'truncated');
+
+        const result = backup.restore();
+        expect(result.error.message).toBe('incorrect header check');
+        expect(result.file).toMatch(/zigbee2mqtt_restore\.json\.gz\.failed_/);
+        expect(fs.existsSync(file)).toBe(false);
+        expect(fs.existsSync(result.file)).toBe(true);
+
+        fs.writeFileSync(file, zlib.gzipSync(JSON.stringify({files: {'database.db': {}}})));
+        expect(backup.restore().error.message).toMatch(/is not a zigbee2mqtt backup$/);
+        expect(fs.readFileSync(path.join(directory, 'database.db')).toString()).toBe('{"id":1}\n');
+    });
+
+    it('Should get the NV items of a coordinator backup', () => {
+        const coordinatorBackup = {data: {
+            ZCD_NV_PANID: {id: 131, offset: 0, len: 2, value: [26, 98]},
+            ZCD_NV_CHANLIST: {id: 132, value: [0, 8, 0, 0]},
+            meta: {product: 0},
+        }};
+
+        expect(backup.getNvItems(coordinatorBackup)).toStrictEqual([
+            {id: 131, offset: 0, len: 2, value: [26, 98]},
+            {id: 132, offset: 0, len: 4, value: [0, 8, 0, 0]},
+        ]);
+    });
+
+    it('Should create a backup on bridge/request/backup', () => {
+        const extension = new Backup(zigbee, mqtt, state, null);
+        extension.onMQTTMessage('zigbee2mqtt/bridge/request/backup', JSON.stringify({transaction: 5}));
+        expect(state.save).toHaveBeenCalled();
+        expect(zigbee.backupCoordinator).toHaveBeenCalled();
+        expect(mqtt.respond).toHaveBeenCalledWith('backup', 5, null, {
+            file: expect.stringMatching(/backup\/zigbee2mqtt_backup_.*\.json\.gz$/),
+            files: ['configuration.yaml', 'database.db', 'coordinator_backup.json'],
+        });
+    });
+});
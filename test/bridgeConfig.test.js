@@ -8,6 +8,7 @@ const configurationFile = data.joinPath('configuration.yaml');
 const mqtt = {
     subscribe: (topic) => {},
     log: (type, message) => {},
+    respond: (command, transaction, error, data) => {},
 };
 
 describe('BridgeConfig', () => {
@@ -116,6 +117,15 @@ describe('BridgeConfig', () => {
         expect(read(configurationFile)).toStrictEqual(expected);
     });
 
+    it('Rename group', async () => {
+        write(configurationFile, {groups: {'1': {friendly_name: 'test123'}}});
+        jest.spyOn(mqtt, 'log');
+        bridgeConfig.onMQTTMessage('zigbee2mqtt/bridge/config/rename', JSON.stringify({old: 'test123', new: 'living'}));
+        expect(read(configurationFile)).toStrictEqual({groups: {'1': {friendly_name: 'living'}}});
+        expect(mqtt.log).toHaveBeenCalledWith('group_renamed', {from: 'test123', to: 'living'});
+        mqtt.log.mockRestore();
+    });
+
     it('Get groups', async () => {
         jest.spyOn(mqtt, 'log').mockImplementation((type, message) => {
             expect(type).toBe('groups');
@@ -137,4 +147,182 @@ describe('BridgeConfig', () => {
 
         bridgeConfig.onMQTTMessage('zigbee2mqtt/bridge/config/groups', 'whatever');
     });
+
+    it('Request with transaction should respond', async () => {
+        const respond = jest.spyOn(mqtt, 'respond');
+        write(configurationFile, {});
+        bridgeConfig.onMQTTMessage(
+            'zigbee2mqtt/bridge/request/add_group', JSON.stringify({value: 'test123', transaction: 'abc'})
+        );
+
+        expect(read(configurationFile)).toStrictEqual({groups: {'1': {friendly_name: 'test123'}}});
+        expect(respond).toHaveBeenCalledTimes(1);
+        expect(respond).toHaveBeenCalledWith('add_group', 'abc', null, {friendly_name: 'test123', ID: '1'});
+        respond.mockRestore();
+    });
+
+    it('Failed request should respond with error', async () => {
+        const respond = jest.spyOn(mqtt, 'respond');
+        write(configurationFile, {});
+        bridgeConfig.onMQTTMessage('zigbee2mqtt/bridge/request/elapsed', JSON.stringify({value: 'no', transaction: 1}));
+
+        expect(respond).toHaveBeenCalledTimes(1);
+        expect(respond.mock.calls[0][0]).toBe('elapsed');
+        expect(respond.mock.calls[0][1]).toBe(1);
+        expect(respond.mock.calls[0][2]).toBe('no is not an allowed value, possible: true,false');
+        respond.mockRestore();
+    });
+
+    it('Legacy topic should not respond', async () => {
+        const respond = jest.spyOn(mqtt, 'respond');
+        write(configurationFile, {});
+        bridgeConfig.onMQTTMessage('zigbee2mqtt/bridge/config/add_group', 'test123');
+        expect(respond).toHaveBeenCalledTimes(0);
+        respond.mockRestore();
+    });
+
+    it('Change channel', async () => {
+        const zigbee = {changeChannel: jest.fn((channel, callback) => callback(null))};
+        const log = jest.fn();
+        bridgeConfig = new BridgeConfig(zigbee, {...mqtt, log}, null, null);
+        write(configurationFile, {advanced: {channel: 11}});
+        bridgeConfig.onMQTTMessage('zigbee2mqtt/bridge/config/channel', '25');
+
+        expect(zigbee.changeChannel).toHaveBeenCalledWith(25, expect.any(Function));
+        expect(read(configurationFile)).toStrictEqual({advanced: {channel: 25}});
+        expect(log).toHaveBeenCalledWith('channel_changed', 25);
+    });
+
+    it('Change to invalid channel should fail', async () => {
+        const zigbee = {changeChannel: jest.fn()};
+        const respond = jest.spyOn(mqtt, 'respond');
+        bridgeConfig = new BridgeConfig(zigbee, mqtt, null, null);
+        write(configurationFile, {advanced: {channel: 11}});
+        bridgeConfig.onMQTTMessage('zigbee2mqtt/bridge/request/channel', JSON.stringify({value: 27}));
+
+        expect(zigbee.changeChannel).toHaveBeenCalledTimes(0);
+        expect(respond.mock.calls[0][2]).toBe(`'27' is an invalid channel, use a channel between 11 - 26`);
+        expect(read(configurationFile)).toStrictEqual({advanced: {channel: 11}});
+        respond.mockRestore();
+    });
+
+    describe('Permit join', () => {
+        let zigbee;
+        let publish;
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            zigbee = {
+                permitJoin: jest.fn((permit, callback) => callback()),
+                permitJoinVia: jest.fn((ieeeAddr, callback) => callback(null)),
+                getPermitJoin: jest.fn(() => true),
+                getPermitJoinDevice: jest.fn(() => null),
+                getDevice: jest.fn((ieeeAddr) => ieeeAddr === '0x12' ? {type: 'Router'} : {type: 'EndDevice'}),
+            };
+            bridgeConfig = new BridgeConfig(zigbee, mqtt, null, null);
+            publish = jest.spyOn(bridgeConfig, 'publish').mockImplementation(() => {});
+            write(configurationFile, {devices: {'0x12': {friendly_name: 'hallway_router'}}});
+        });
+
+        afterEach(() => {
+            bridgeConfig.stop();
+            jest.useRealTimers();
+        });
+
+        it('Should disable joining after the time', async () => {
+            const respond = jest.spyOn(mqtt, 'respond');
+            bridgeConfig.onMQTTMessage(
+                'zigbee2mqtt/bridge/request/permit_join', JSON.stringify({value: true, time: 120, transaction: 1})
+            );
+
+            expect(zigbee.permitJoin).toHaveBeenCalledWith(true, expect.any(Function));
+            expect(respond).toHaveBeenCalledWith('permit_join', 1, null, {value: true, time: 120});
+            expect(bridgeConfig.getPermitJoinTimeout()).toBe(120);
+
+            jest.advanceTimersByTime(10 * 1000);
+            expect(publish).toHaveBeenCalledTimes(2);
+
+            jest.advanceTimersByTime(110 * 1000);
+            expect(zigbee.permitJoin).toHaveBeenLastCalledWith(false, expect.any(Function));
+            expect(bridgeConfig.getPermitJoinTimeout()).toBeNull();
+            respond.mockRestore();
+        });
+
+        it('Should permit join through a router', async () => {
+            bridgeConfig.onMQTTMessage(
+                'zigbee2mqtt/bridge/config/permit_join', JSON.stringify({value: true, device: 'hallway_router'})
+            );
+
+            expect(zigbee.permitJoinVia).toHaveBeenCalledWith('0x12', expect.any(Function));
+            expect(zigbee.permitJoin).toHaveBeenCalledTimes(0);
+            expect(bridgeConfig.getPermitJoinTimeout()).toBeNull();
+        });
+
+        it('Should not permit join through an end device', async () => {
+            jest.spyOn(settings, 'getIeeeAddrByFriendlyName').mockReturnValueOnce('0x13');
+            const respond = jest.spyOn(mqtt, 'respond');
+            bridgeConfig.onMQTTMessage(
+                'zigbee2mqtt/bridge/request/permit_join', JSON.stringify({value: true, device: 'sensor'})
+            );
+
+            expect(zigbee.permitJoinVia).toHaveBeenCalledTimes(0);
+            expect(respond.mock.calls[0][2]).toBe(`Device 'sensor' does not exist or is not a router`);
+            respond.mockRestore();
+        });
+    });
+
+    it('Allow device with install code', async () => {
+        const zigbee = {addInstallCode: jest.fn((ieeeAddr, code, callback) => callback(null))};
+        bridgeConfig = new BridgeConfig(zigbee, mqtt, null, null);
+        write(configurationFile, {});
+        const message = {ieeeAddr: '0x00124B0012345678', install_code: '83FED3407A939723A5C639B26916D505C3B5'};
+        bridgeConfig.onMQTTMessage('zigbee2mqtt/bridge/config/allow', JSON.stringify(message));
+
+        expect(zigbee.addInstallCode).toHaveBeenCalledWith(
+            '0x00124b0012345678', '83FED3407A939723A5C639B26916D505C3B5', expect.any(Function)
+        );
+        expect(read(configurationFile)).toStrictEqual({allowlist_mode: true, allowlist: ['0x00124b0012345678']});
+    });
+
+    it('Allow device with invalid ieeeAddr should fail', async () => {
+        const respond = jest.spyOn(mqtt, 'respond');
+        write(configurationFile, {});
+        bridgeConfig.onMQTTMessage('zigbee2mqtt/bridge/request/allow', JSON.stringify({value: 'hallway'}));
+
+        expect(respond.mock.calls[0][2]).toBe(`'hallway' is not a valid ieeeAddr`);
+        expect(read(configurationFile)).toStrictEqual({});
+        respond.mockRestore();
+    });
+
+    it('Should subscribe to the devices/get topics', async () => {
+        const subscribe = jest.fn();
+        write(configurationFile, {mqtt: {base_topic: 'zigbee2mqtt'}});
+        bridgeConfig = new BridgeConfig(null, {...mqtt, subscribe}, null, null);
+        jest.spyOn(bridgeConfig, 'publish').mockReturnValue(undefined);
+        bridgeConfig.onMQTTConnected();
+        expect(subscribe.mock.calls.map((c) => c[0])).toEqual([
+            'zigbee2mqtt/bridge/config/+',
+            'zigbee2mqtt/bridge/request/+',
+            'zigbee2mqtt/bridge/config/devices/get',
+            'zigbee2mqtt/bridge/request/devices/get',
+        ]);
+    });
+
+    it('Get devices with their bindings', async () => {
+        const bindings = [{source_endpoint: 1, cluster: 6, target: {type: 'group', ID: 1}}];
+        const zigbee = {
+            getDevices: () => [{ieeeAddr: '0x01', type: 'Coordinator'}, {ieeeAddr: '0x02', type: 'EndDevice'}],
+            getBindings: jest.fn((ieeeAddr) => ieeeAddr === '0x02' ? bindings : null),
+        };
+        const respond = jest.fn();
+        bridgeConfig = new BridgeConfig(zigbee, {...mqtt, respond}, null, null);
+        write(configurationFile, {groups: {'1': {friendly_name: 'living_room'}}});
+        bridgeConfig.onMQTTMessage('zigbee2mqtt/bridge/request/devices', '');
+
+        const devices = respond.mock.calls[0][3];
+        expect(devices[0].bindings).toBeUndefined();
+        expect(devices[1].bindings).toStrictEqual([
+            {source_endpoint: 1, cluster: 'genOnOff', target: {type: 'group', ID: 1, friendly_name: 'living_room'}},
+        ]);
+    });
 });
@@ -1,7 +1,11 @@
 const Controller = require('../lib/controller');
+const DeviceAvailability = require('../lib/extension/deviceAvailability');
 const settings = require('../lib/util/settings');
 const mqtt = require('../lib/mqtt');
 const utils = require('./utils');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 describe('Controller', () => {
     let controller;
@@ -148,4 +152,113 @@ describe('Controller', () => {
             expect(JSON.parse(mqttPublish.mock.calls[2][1])).toStrictEqual({temperature: 3});
         });
     });
+
+    describe('Loading extensions', () => {
+        it('Should load the availability extension for passive availability only', () => {
+            expect(controller.extensions.find((e) => e instanceof DeviceAvailability)).toBeUndefined();
+
+            const current = settings.get();
+            const advanced = {...current.advanced, availability_timeout: 0, availability_passive: true};
+            jest.spyOn(settings, 'get').mockReturnValue({...current, advanced});
+            controller = new Controller();
+            expect(controller.extensions.find((e) => e instanceof DeviceAvailability)).toBeDefined();
+        });
+    });
+
+    describe('External extensions', () => {
+        const file = path.join(os.tmpdir(), 'zigbee2mqttTestExtension.js');
+        const content = `
+            class TestExtension {
+                constructor(zigbee, mqtt, state, publishEntityState) {
+                    this.mqtt = mqtt;
+                }
+
+                onMQTTMessage(topic, message) {
+                    return topic === 'zigbee2mqtt/test_extension';
+                }
+
+                stop() {}
+            }
+
+            module.exports = TestExtension;
+        `;
+
+        beforeEach(() => {
+            fs.writeFileSync(file, content);
+            const current = settings.get();
+            jest.spyOn(settings, 'get').mockReturnValue({...current, external_extensions: [file]});
+            jest.spyOn(settings, 'set').mockReturnValue(undefined);
+            controller = new Controller();
+        });
+
+        afterEach(() => {
+            fs.unlinkSync(file);
+        });
+
+        it('Should load an external extension', () => {
+            expect(Object.keys(controller.externalExtensions)).toStrictEqual(['zigbee2mqttTestExtension']);
+            const extension = controller.externalExtensions['zigbee2mqttTestExtension'].extension;
+            expect(controller.extensions).toContain(extension);
+            expect(extension.onMQTTMessage('zigbee2mqtt/test_extension', '')).toBe(true);
+        });
+
+        it('Should list external extensions', () => {
+            const respond = jest.spyOn(controller.mqtt, 'respond').mockReturnValue(undefined);
+            controller.onMQTTMessage('zigbee2mqtt/bridge/request/extension/list', JSON.stringify({transaction: 1}));
+            expect(respond).toHaveBeenCalledWith('extension/list', 1, null, [
+                {name: 'zigbee2mqttTestExtension', file, enabled: true},
+            ]);
+        });
+
+        it('Should disable and enable an external extension', () => {
+            const extension = controller.externalExtensions['zigbee2mqttTestExtension'].extension;
+            jest.spyOn(controller.mqtt, 'log').mockReturnValue(undefined);
+            controller.onMQTTMessage('zigbee2mqtt/bridge/extension/disable', 'zigbee2mqttTestExtension');
+            expect(controller.extensions).not.toContain(extension);
+            expect(settings.set).toHaveBeenCalledWith(['disabled_extensions'], ['zigbee2mqttTestExtension']);
+
+            controller.onMQTTMessage('zigbee2mqtt/bridge/extension/enable', 'zigbee2mqttTestExtension');
+            const enabled = controller.externalExtensions['zigbee2mqttTestExtension'].extension;
+            expect(enabled).not.toBe(extension);
+            expect(controller.extensions).toContain(enabled);
+        });
+
+        it('Should reload an external extension', () => {
+            const extension = controller.externalExtensions['zigbee2mqttTestExtension'].extension;
+            jest.spyOn(controller.mqtt, 'log').mockReturnValue(undefined);
+            controller.onMQTTMessage('zigbee2mqtt/bridge/extension/reload', 'zigbee2mqttTestExtension');
+            const reloaded = controller.externalExtensions['zigbee2mqttTestExtension'].extension;
+            expect(reloaded).not.toBe(extension);
+            expect(controller.extensions).not.toContain(extension);
+            expect(controller.extensions).toContain(reloaded);
+        });
+
+        it('Should not load an external extension which fails to catch up', () => {
+            fs.writeFileSync(file, `
+                class TestExtension {
+                    onMQTTConnected() {
+                        throw new Error('not ready');
+                    }
+
+                    stop() {
+                        TestExtension.stopped = true;
+                    }
+                }
+
+                module.exports = TestExtension;
+            `);
+            jest.resetModules();
+            const extension = controller.externalExtensions['zigbee2mqttTestExtension'].extension;
+            controller.mqttConnected = true;
+            jest.spyOn(controller.mqtt, 'log').mockReturnValue(undefined);
+            const respond = jest.spyOn(controller.mqtt, 'respond').mockReturnValue(undefined);
+
+            controller.onMQTTMessage('zigbee2mqtt/bridge/request/extension/reload', 'zigbee2mqttTestExtension');
+            expect(respond).toHaveBeenCalledWith('extension/reload', undefined,
+                `Failed to reload external extension 'zigbee2mqttTestExtension'`, undefined);
+            expect(controller.externalExtensions['zigbee2mqttTestExtension'].extension).toBeNull();
+            expect(controller.extensions).not.toContain(extension);
+            expect(require(file).stopped).toBe(true);
+        });
+    });
 });
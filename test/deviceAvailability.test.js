@@ -1,6 +1,14 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf');
+const data = require('../lib/util/data');
+const settings = require('../lib/util/settings');
 const Availability = require('../lib/extension/deviceAvailability');
 const utils = require('./utils');
 
+const hour = 3600 * 1000;
+
 describe('Availability', () => {
     let availability;
 
@@ -43,4 +51,177 @@ describe('Availability', () => {
             expect(availability.isPingable(device)).toBe(true);
         });
     });
+
+    describe('Passive availability', () => {
+        const sensor = {ieeeAddr: '0x01', type: 'EndDevice', powerSource: 'Battery'};
+        const remote = {ieeeAddr: '0x02', type: 'EndDevice', powerSource: 'Battery'};
+        const bulb = {ieeeAddr: '0x03', type: 'Router', powerSource: 'Mains (single phase)'};
+        const zigbee = {
+            getDevices: () => [{ieeeAddr: '0x00', type: 'Coordinator'}, sensor, remote, bulb],
+            getDevice: (ieeeAddr) => [sensor, remote, bulb].find((d) => d.ieeeAddr === ieeeAddr),
+            getAllClients: () => [sensor, remote, bulb],
+            ping: jest.fn(),
+        };
+        const mqtt = {publish: jest.fn()};
+        let directory;
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            jest.spyOn(Date, 'now').mockReturnValue(0);
+            const advanced = {...settings.get().advanced, availability_timeout: 0, availability_passive: true};
+            jest.spyOn(settings, 'get').mockReturnValue({...settings.get(), advanced});
+            jest.spyOn(settings, 'getDevice').mockImplementation((ieeeAddr) => {
+                return ieeeAddr === '0x02' ? {friendly_name: 'remote', availability_timeout: 3600} : null;
+            });
+            mqtt.publish.mockClear();
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'zigbee2mqtt-availability-'));
+            process.env.ZIGBEE2MQTT_DATA = directory;
+            data._reload();
+            availability = new Availability(zigbee, mqtt, null, () => {});
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+            delete process.env.ZIGBEE2MQTT_DATA;
+            data._reload();
+            rimraf.sync(directory);
+        });
+
+        it('Should mark battery devices offline when nothing is received within the timeout', () => {
+            availability.onMQTTConnected();
+            expect(mqtt.publish).toHaveBeenCalledWith('0x01/availability', 'online', {retain: true, qos: 0});
+            expect(mqtt.publish).toHaveBeenCalledWith('remote/availability', 'online', {retain: true, qos: 0});
+            mqtt.publish.mockClear();
+
+            // The per device timeout of 'remote' is 1 hour, the default passive timeout is 25 hours.
+            jest.advanceTimersByTime(hour);
+            expect(mqtt.publish).toHaveBeenCalledTimes(1);
+            expect(mqtt.publish).toHaveBeenCalledWith('remote/availability', 'offline', {retain: true, qos: 0});
+
+            availability.onZigbeeMessage({type: 'attReport'}, remote, null);
+            expect(mqtt.publish).toHaveBeenLastCalledWith('remote/availability', 'online', {retain: true, qos: 0});
+
+            availability.onZigbeeMessage({type: 'attReport'}, sensor, null);
+            jest.advanceTimersByTime(24 * hour);
+            expect(mqtt.publish).not.toHaveBeenCalledWith('0x01/availability', 'offline', {retain: true, qos: 0});
+            jest.advanceTimersByTime(hour);
+            expect(mqtt.publish).toHaveBeenCalledWith('0x01/availability', 'offline', {retain: true, qos: 0});
+            availability.stop();
+        });
+
+        it('Should restore the availability after a restart', () => {
+            availability.onMQTTConnected();
+            availability.onZigbeeMessage({type: 'attReport'}, sensor, null);
+            availability.stop();
+            expect(mqtt.publish).toHaveBeenLastCalledWith('remote/availability', 'offline', {retain: true, qos: 0});
+            mqtt.publish.mockClear();
+
+            // 'remote' was last seen 2 hours ago, 'sensor' 2 hours ago as well but it has a timeout of 25 hours.
+            Date.now.mockReturnValue(2 * hour);
+            const restarted = new Availability(zigbee, mqtt, null, () => {});
+            restarted.onMQTTConnected();
+            expect(mqtt.publish).toHaveBeenCalledWith('0x01/availability', 'online', {retain: true, qos: 0});
+            expect(mqtt.publish).toHaveBeenCalledWith('remote/availability', 'offline', {retain: true, qos: 0});
+
+            mqtt.publish.mockClear();
+            jest.advanceTimersByTime(23 * hour);
+            expect(mqtt.publish).toHaveBeenCalledWith('0x01/availability', 'offline', {retain: true, qos: 0});
+            restarted.stop();
+        });
+
+        it('Should not ping devices when only passive availability is enabled', () => {
+            availability.onMQTTConnected();
+            availability.onZigbeeMessage({type: 'attReport'}, bulb, null);
+            jest.advanceTimersByTime(30 * hour);
+            expect(zigbee.ping).not.toHaveBeenCalled();
+            expect(mqtt.publish.mock.calls.filter((c) => c[0] === '0x03/availability')).toHaveLength(0);
+
+            availability.stop();
+            expect(mqtt.publish.mock.calls.filter((c) => c[0] === '0x03/availability')).toHaveLength(0);
+        });
+    });
+
+    describe('Ping availability', () => {
+        const plug = {ieeeAddr: '0x03', type: 'Router', powerSource: 'Mains (single phase)', modelId: 'lumi.plug'};
+        const zigbee = {
+            getDevices: () => [plug],
+            getDevice: () => plug,
+            getAllClients: () => [plug],
+            ping: jest.fn(),
+            publish: jest.fn(),
+        };
+        const mqtt = {publish: jest.fn()};
+        const payload = (state, lastSeen, reason) => JSON.stringify({state, last_seen: lastSeen, reason});
+        let directory;
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            jest.spyOn(Date, 'now').mockReturnValue(hour);
+            const advanced = {
+                ...settings.get().advanced, availability_timeout: 60, availability_failed_pings: 3,
+                availability_output: 'json', availability_model_timeouts: {ZNCZ02LM: 300},
+            };
+            jest.spyOn(settings, 'get').mockReturnValue({...settings.get(), advanced});
+            jest.spyOn(settings, 'getDevice').mockReturnValue({friendly_name: 'plug'});
+            mqtt.publish.mockClear();
+            zigbee.ping.mockReset();
+            zigbee.publish.mockClear();
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'zigbee2mqtt-availability-'));
+            process.env.ZIGBEE2MQTT_DATA = directory;
+            data._reload();
+            availability = new Availability(zigbee, mqtt, null, () => {});
+        });
+
+        afterEach(() => {
+            availability.stop();
+            jest.useRealTimers();
+            delete process.env.ZIGBEE2MQTT_DATA;
+            data._reload();
+            rimraf.sync(directory);
+        });
+
+        it('Should mark a device offline after the configured number of failed pings', () => {
+            availability.onMQTTConnected();
+            expect(mqtt.publish).toHaveBeenCalledWith(
+                'plug/availability', payload('online', null, 'startup'), {retain: true, qos: 0}
+            );
+            mqtt.publish.mockClear();
+
+            // The model timeout of 300 seconds is used instead of the availability_timeout.
+            zigbee.ping.mockImplementation((ieeeAddr, errorLogLevel, callback) => callback(new Error('timeout')));
+            jest.advanceTimersByTime(60 * 1000);
+            expect(zigbee.ping).not.toHaveBeenCalled();
+            jest.advanceTimersByTime(2 * 300 * 1000);
+            expect(zigbee.ping).toHaveBeenCalledTimes(2);
+            expect(mqtt.publish).not.toHaveBeenCalled();
+
+            jest.advanceTimersByTime(300 * 1000);
+            expect(mqtt.publish).toHaveBeenCalledWith(
+                'plug/availability', payload('offline', null, 'ping_failed'), {retain: true, qos: 0}
+            );
+
+            availability.onZigbeeMessage({type: 'attReport'}, plug, null);
+            expect(mqtt.publish).toHaveBeenLastCalledWith(
+                'plug/availability', payload('online', '1970-01-01T01:00:00.000Z', 'message'), {retain: true, qos: 0}
+            );
+
+            // The state is read when the device is online again.
+            expect(zigbee.publish.mock.calls[0][3]).toBe('read');
+        });
+
+        it('Should reset the failed pings when a ping succeeds', () => {
+            availability.onMQTTConnected();
+            zigbee.ping
+                .mockImplementationOnce((ieeeAddr, errorLogLevel, callback) => callback(new Error('timeout')))
+                .mockImplementationOnce((ieeeAddr, errorLogLevel, callback) => callback(new Error('timeout')))
+                .mockImplementationOnce((ieeeAddr, errorLogLevel, callback) => callback(null))
+                .mockImplementation((ieeeAddr, errorLogLevel, callback) => callback(new Error('timeout')));
+
+            jest.advanceTimersByTime(5 * 300 * 1000);
+            expect(zigbee.ping).toHaveBeenCalledTimes(5);
+            expect(mqtt.publish).toHaveBeenLastCalledWith(
+                'plug/availability', payload('online', '1970-01-01T01:00:00.000Z', 'ping'), {retain: true, qos: 0}
+            );
+        });
+    });
 });
@@ -1,8 +1,16 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf');
+const data = require('../lib/util/data');
+const Zigbee = require('../lib/zigbee');
 const DeviceBind = require('../lib/extension/deviceBind');
+const MQTT = require('../lib/mqtt');
 const utils = require('./utils');
 const settings = require('../lib/util/settings');
 
 const mqtt = {
+    reply: MQTT.prototype.reply,
     subscribe: () => {},
     log: () => {},
 };
@@ -174,4 +182,87 @@ describe('DeviceBind', () => {
             );
         });
     });
+
+    describe('Read bindings', () => {
+        const remote = {ieeeAddr: '0x0017880104e45517', nwkAddr: 0x1234, type: 'EndDevice'};
+        const respond = jest.fn();
+        const publish = jest.fn();
+        let realZigbee;
+        let controller;
+        let directory;
+
+        beforeEach(() => {
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'zigbee2mqtt-bind-'));
+            process.env.ZIGBEE2MQTT_DATA = directory;
+            data._reload();
+            respond.mockClear();
+            publish.mockClear();
+            // The device responds with a single binding per request.
+            const table = [
+                {srcEp: 1, clusterId: 6, dstAddrMode: 3, dstAddr: '0x00124b0012345678', dstEp: 11},
+                {srcEp: 1, clusterId: 8, dstAddrMode: 1, dstAddr: '0x0000000000000003'},
+            ];
+            controller = {request: jest.fn((subsys, cmd, payload, callback) => callback(null, {
+                bindingtableentries: table.length, startindex: payload.startindex,
+                bindingtablelist: table.slice(payload.startindex, payload.startindex + 1),
+            }))};
+            realZigbee = new Zigbee();
+            realZigbee.shepherd = {controller};
+            jest.spyOn(realZigbee, 'getDevice').mockImplementation((ieeeAddr) => {
+                return ieeeAddr === remote.ieeeAddr ? remote : null;
+            });
+            jest.spyOn(settings, 'getIeeeAddrByFriendlyName').mockImplementation((name) => {
+                return name === 'remote' ? remote.ieeeAddr : null;
+            });
+            jest.spyOn(settings, 'getDevice').mockImplementation((ieeeAddr) => {
+                return ieeeAddr === '0x00124b0012345678' ? {friendly_name: 'bulb'} : null;
+            });
+            jest.spyOn(settings, 'getGroup').mockReturnValue(null);
+            deviceBind = new DeviceBind(realZigbee, {...mqtt, respond, publish}, null, null);
+        });
+
+        afterEach(() => {
+            delete process.env.ZIGBEE2MQTT_DATA;
+            data._reload();
+            rimraf.sync(directory);
+            jest.restoreAllMocks();
+        });
+
+        it('Should read and resolve the binding table', () => {
+            deviceBind.onMQTTMessage('zigbee2mqtt/bridge/request/device/remote/bindings', '{"transaction":8}');
+            expect(controller.request).toHaveBeenCalledWith(
+                'ZDO', 'mgmtBindReq', {dstaddr: 0x1234, startindex: 0}, expect.any(Function)
+            );
+            expect(controller.request).toHaveBeenCalledWith(
+                'ZDO', 'mgmtBindReq', {dstaddr: 0x1234, startindex: 1}, expect.any(Function)
+            );
+            expect(controller.request).toHaveBeenCalledTimes(2);
+            expect(respond).toHaveBeenCalledWith('device/remote/bindings', 8, null, {
+                friendly_name: 'remote',
+                bindings: [
+                    {
+                        source_endpoint: 1, cluster: 'genOnOff',
+                        target: {type: 'device', ieeeAddr: '0x00124b0012345678', endpoint: 11, friendly_name: 'bulb'},
+                    },
+                    {source_endpoint: 1, cluster: 'genLevelCtrl', target: {type: 'group', ID: 3, friendly_name: '3'}},
+                ],
+            });
+
+            // The bindings are cached until the device is bound or unbound.
+            expect(realZigbee.getBindings(remote.ieeeAddr)).toHaveLength(2);
+            expect(new Zigbee().getBindings(remote.ieeeAddr)).toHaveLength(2);
+            realZigbee.clearBindings(remote.ieeeAddr);
+            expect(realZigbee.getBindings(remote.ieeeAddr)).toBeNull();
+        });
+
+        it('Should publish the bindings on the legacy topic', () => {
+            deviceBind.onMQTTMessage('zigbee2mqtt/bridge/device/remote/bindings', '');
+            expect(publish.mock.calls[0][0]).toBe('bridge/device/remote/bindings/result');
+
+            deviceBind.onMQTTMessage('zigbee2mqtt/bridge/request/device/unknown/bindings', '');
+            expect(respond).toHaveBeenCalledWith(
+                'device/unknown/bindings', undefined, `Device 'unknown' does not exist`, undefined
+            );
+        });
+    });
 });
@@ -0,0 +1,114 @@
+const deviceDefinitions = require('../lib/util/deviceDefinitions');
+const settings = require('../lib/util/settings');
+const logger = require('../lib/util/logger');
+const zigbeeShepherdConverters = require('zigbee-shepherd-converters');
+const utils = require('./utils');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const jsFile = path.join(os.tmpdir(), 'zigbee2mqttTestDefinition.js');
+const yamlFile = path.join(os.tmpdir(), 'zigbee2mqttTestDefinition.yaml');
+
+const jsContent = `
+    const tz = require('${require.resolve('zigbee-shepherd-converters')}').toZigbeeConverters;
+    module.exports = {
+        zigbeeModel: ['TRADFRI bulb E27 CWS opal 600lm'],
+        model: 'CUSTOM-BULB',
+        vendor: 'Custom',
+        description: 'Overrides a bundled device',
+        fromZigbee: [],
+        toZigbee: [tz.light_onoff_brightness],
+        configure: (ieeeAddr, shepherd, coordinator, callback) => callback(true),
+    };
+`;
+
+const yamlContent = `
+- zigbeeModel: [custom.switch]
+  model: CUSTOM-SWITCH
+  vendor: Custom
+  description: Two gang switch
+  fromZigbee: [generic_state_multi_ep]
+  toZigbee: [on_off]
+  ep: {left: 1, right: 2}
+  configure: {endpoint: 2, bind: [genOnOff]}
+  homeassistant: [switch]
+- zigbeeModel: [custom.invalid]
+  model: CUSTOM-INVALID
+  vendor: Custom
+  description: Uses an unknown converter
+  fromZigbee: [unknown_converter]
+  toZigbee: []
+`;
+
+describe('Device definitions', () => {
+    beforeEach(() => {
+        utils.stubLogger(jest);
+        fs.writeFileSync(jsFile, jsContent);
+        fs.writeFileSync(yamlFile, yamlContent);
+        const current = settings.get();
+        jest.spyOn(settings, 'get').mockReturnValue({...current, external_converters: [jsFile, yamlFile]});
+        deviceDefinitions._reload();
+    });
+
+    afterEach(() => {
+        fs.unlinkSync(jsFile);
+        fs.unlinkSync(yamlFile);
+        jest.restoreAllMocks();
+        deviceDefinitions._reload();
+    });
+
+    it('Should prefer external definitions over the bundled ones', () => {
+        const definition = deviceDefinitions.findByZigbeeModel('TRADFRI bulb E27 CWS opal 600lm');
+        expect(definition.model).toBe('CUSTOM-BULB');
+        expect(definition.supports).toBe('');
+        expect(definition.toZigbee).toStrictEqual([zigbeeShepherdConverters.toZigbeeConverters.light_onoff_brightness]);
+    });
+
+    it('Should fall back to the bundled definitions', () => {
+        expect(deviceDefinitions.findByZigbeeModel('lumi.sensor_magnet').model).toBe('MCCGQ01LM');
+        expect(deviceDefinitions.findByZigbeeModel(undefined)).toBeNull();
+    });
+
+    it('Should load YAML definitions and resolve the converters by name', () => {
+        const definition = deviceDefinitions.findByZigbeeModel('custom.switch\u0000\u0000');
+        expect(definition.model).toBe('CUSTOM-SWITCH');
+        expect(definition.fromZigbee).toStrictEqual(
+            [zigbeeShepherdConverters.fromZigbeeConverters.generic_state_multi_ep]
+        );
+        expect(definition.toZigbee).toStrictEqual([zigbeeShepherdConverters.toZigbeeConverters.on_off]);
+        expect(definition.ep({})).toStrictEqual({left: 1, right: 2});
+        expect(definition.homeassistant).toStrictEqual(['switch']);
+    });
+
+    it('Should bind the clusters of a YAML configure', () => {
+        const bind = jest.fn((cluster, coordinator, callback) => callback(null));
+        const shepherd = {find: jest.fn(() => ({bind}))};
+        const callback = jest.fn();
+
+        deviceDefinitions.findByZigbeeModel('custom.switch').configure('0x12', shepherd, 'coordinator', callback);
+        expect(shepherd.find).toHaveBeenCalledWith('0x12', 2);
+        expect(bind).toHaveBeenCalledWith('genOnOff', 'coordinator', expect.any(Function));
+        expect(callback).toHaveBeenCalledWith(true);
+    });
+
+    it('Should skip invalid definitions', () => {
+        expect(deviceDefinitions.findByZigbeeModel('custom.invalid')).toBeUndefined();
+        expect(deviceDefinitions.getExternal().map((d) => d.model)).toStrictEqual(['CUSTOM-BULB', 'CUSTOM-SWITCH']);
+    });
+
+    it('Should switch groups with different on/off converters', () => {
+        const tz = zigbeeShepherdConverters.toZigbeeConverters;
+        const plug = zigbeeShepherdConverters.findByZigbeeModel('lumi.plug');
+        const bulb = zigbeeShepherdConverters.findByZigbeeModel('TRADFRI bulb E27 CWS opal 600lm');
+        const vibration = zigbeeShepherdConverters.findByZigbeeModel('lumi.vibration.aq1');
+
+        expect(deviceDefinitions.getGroupConverters([bulb, bulb])).toStrictEqual(bulb.toZigbee);
+        expect(deviceDefinitions.getGroupConverters([plug, bulb])).toStrictEqual([tz.on_off]);
+        expect(logger.warn).not.toHaveBeenCalled();
+
+        // Groups without converters in common are reported by the groups extension, not on every publish.
+        expect(deviceDefinitions.getGroupConverters([plug, vibration])).toStrictEqual([]);
+        expect(logger.warn).not.toHaveBeenCalled();
+    });
+});
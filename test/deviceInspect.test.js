@@ -0,0 +1,95 @@
+const DeviceInspect = require('../lib/extension/deviceInspect');
+const MQTT = require('../lib/mqtt');
+const settings = require('../lib/util/settings');
+const utils = require('./utils');
+
+const device = {
+    ieeeAddr: '0x12', nwkAddr: 1234, type: 'EndDevice', manufId: 4151, manufName: 'LUMI',
+    modelId: 'unknown.model', powerSource: 'Battery', epList: [1],
+};
+
+const endpoint = {
+    getSimpleDesc: () => ({profId: 260, epId: 1, devId: 24321, inClusterList: [0, 64704], outClusterList: [25]}),
+};
+
+const zigbee = {
+    getDevice: jest.fn(() => device),
+    getEndpoint: jest.fn(() => endpoint),
+    publish: jest.fn(),
+};
+
+const mqtt = {
+    reply: MQTT.prototype.reply,
+    respond: jest.fn(),
+    publish: jest.fn(),
+};
+
+const respond = (rsp) => (ID, type, cid, cmd, cmdType, zclData, cfg, ep, callback) => callback(null, rsp);
+
+let deviceInspect;
+
+describe('Device inspect', () => {
+    beforeEach(() => {
+        utils.stubLogger(jest);
+        zigbee.publish.mockReset();
+        mqtt.respond.mockClear();
+        mqtt.publish.mockClear();
+        deviceInspect = new DeviceInspect(zigbee, mqtt, null, null);
+        jest.spyOn(settings, 'getIeeeAddrByFriendlyName').mockReturnValue('0x12');
+        jest.spyOn(settings, 'getDevice').mockReturnValue({friendly_name: 'sensor'});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('Should inspect all endpoints and clusters of a device', () => {
+        zigbee.publish
+            .mockImplementationOnce(respond({discComplete: 0, attrInfos: [{attrId: 0}, {attrId: 4}]}))
+            .mockImplementationOnce(respond({discComplete: 1, attrInfos: [{attrId: 5}]}))
+            .mockImplementationOnce(respond([
+                {attrId: 0, status: 0, attrData: 1},
+                {attrId: 4, status: 0, attrData: 'LUMI'},
+                {attrId: 5, status: 134},
+            ]))
+            .mockImplementationOnce((ID, type, cid, cmd, cmdType, zclData, cfg, ep, callback) => {
+                callback(new Error('timeout'));
+            });
+
+        expect(deviceInspect.onMQTTMessage('zigbee2mqtt/bridge/request/device/sensor/inspect', '')).toBe(true);
+        expect(zigbee.publish.mock.calls[1][5]).toStrictEqual({startAttrId: 5, maxAttrIds: 16});
+        expect(zigbee.publish.mock.calls[2][5]).toStrictEqual([{attrId: 0}, {attrId: 4}, {attrId: 5}]);
+        expect(zigbee.publish.mock.calls[3][2]).toBe(64704);
+
+        expect(mqtt.respond).toHaveBeenCalledTimes(1);
+        const [command, transaction, error, data] = mqtt.respond.mock.calls[0];
+        expect(command).toBe('device/sensor/inspect');
+        expect(transaction).toBeUndefined();
+        expect(error).toBeNull();
+        expect(data.friendly_name).toBe('sensor');
+        expect(data.supported).toBe(false);
+        expect(data.endpoints['1'].outClusters).toStrictEqual(['genOta']);
+        expect(data.endpoints['1'].inClusters.genBasic).toStrictEqual({
+            ID: 0, attributes: {zclVersion: 1, manufacturerName: 'LUMI', modelId: {status: 134}},
+        });
+        expect(data.endpoints['1'].inClusters['64704']).toStrictEqual({
+            ID: 64704, attributes: {}, error: 'Failed to discover attributes (Error: timeout)',
+        });
+    });
+
+    it('Should publish the result on the legacy topic', () => {
+        zigbee.publish.mockImplementation(respond({discComplete: 1, attrInfos: []}));
+        deviceInspect.onMQTTMessage('zigbee2mqtt/bridge/device/sensor/inspect', '');
+        expect(mqtt.publish).toHaveBeenCalledWith(
+            'bridge/device/sensor/inspect/result', expect.any(String), {retain: false}
+        );
+    });
+
+    it('Should fail for an unknown device', () => {
+        zigbee.getDevice.mockReturnValueOnce(undefined);
+        deviceInspect.onMQTTMessage('zigbee2mqtt/bridge/request/device/unknown/inspect', '{"transaction": 1}');
+        expect(mqtt.respond).toHaveBeenCalledWith(
+            'device/unknown/inspect', 1, 'Device \'unknown\' does not exist', undefined
+        );
+    });
+});
@@ -57,7 +57,8 @@ describe('DevicePublish', () => {
                 {level: 200, transtime: 0},
                 cfg.default,
                 null,
-                expect.any(Function));
+                expect.any(Function),
+                'high');
             expect(publishEntityState).toHaveBeenCalledTimes(1);
             expect(publishEntityState).toHaveBeenNthCalledWith(1,
                 '0x00000001',
@@ -82,7 +83,8 @@ describe('DevicePublish', () => {
                 {},
                 cfg.default,
                 null,
-                expect.any(Function));
+                expect.any(Function),
+                'high');
             expect(publishEntityState).toHaveBeenCalledTimes(1);
             expect(publishEntityState).toHaveBeenNthCalledWith(1,
                 '0x00000002',
@@ -106,7 +108,8 @@ describe('DevicePublish', () => {
                 {level: 235, transtime: 0},
                 cfg.default,
                 null,
-                expect.any(Function));
+                expect.any(Function),
+                'high');
             expect(publishEntityState).toHaveBeenCalledTimes(1);
             expect(publishEntityState).toHaveBeenNthCalledWith(1,
                 '0x00000003',
@@ -131,7 +134,8 @@ describe('DevicePublish', () => {
                 {level: 230, transtime: 0},
                 cfg.default,
                 null,
-                expect.any(Function));
+                expect.any(Function),
+                'high');
             expect(publishEntityState).toHaveBeenCalledTimes(1);
             expect(publishEntityState).toHaveBeenNthCalledWith(1,
                 '0x00000004',
@@ -156,7 +160,8 @@ describe('DevicePublish', () => {
                 {colortemp: 222, transtime: 0},
                 cfg.default,
                 null,
-                expect.any(Function));
+                expect.any(Function),
+                'high');
             expect(publishEntityState).toHaveBeenCalledTimes(1);
             expect(publishEntityState).toHaveBeenNthCalledWith(1,
                 '0x00000005',
@@ -180,7 +185,8 @@ describe('DevicePublish', () => {
                 {colortemp: 500, transtime: 0},
                 cfg.default,
                 null,
-                expect.any(Function));
+                expect.any(Function),
+                'high');
             expect(publishEntityState).toHaveBeenCalledTimes(1);
             expect(publishEntityState).toHaveBeenNthCalledWith(1,
                 '0x00000006',
@@ -205,7 +211,8 @@ describe('DevicePublish', () => {
                 {},
                 cfg.default,
                 2,
-                expect.any(Function));
+                expect.any(Function),
+                'high');
             expect(publishEntityState).toHaveBeenCalledTimes(1);
             expect(publishEntityState).toHaveBeenNthCalledWith(1,
                 '0x00000007',
@@ -230,7 +237,8 @@ describe('DevicePublish', () => {
                 {},
                 cfg.default,
                 3,
-                expect.any(Function));
+                expect.any(Function),
+                'high');
             expect(publishEntityState).toHaveBeenCalledTimes(1);
             expect(publishEntityState).toHaveBeenNthCalledWith(1,
                 '0x00000008',
@@ -255,7 +263,8 @@ describe('DevicePublish', () => {
                 {},
                 cfg.default,
                 11,
-                expect.any(Function));
+                expect.any(Function),
+                'high');
             expect(publishEntityState).toHaveBeenCalledTimes(1);
             expect(publishEntityState).toHaveBeenNthCalledWith(1,
                 '0x00000009',
@@ -279,7 +288,8 @@ describe('DevicePublish', () => {
                 {},
                 cfg.default,
                 12,
-                expect.any(Function));
+                expect.any(Function),
+                'high');
             expect(publishEntityState).toHaveBeenCalledTimes(1);
             expect(publishEntityState).toHaveBeenNthCalledWith(1,
                 '0x00000010',
@@ -304,7 +314,8 @@ describe('DevicePublish', () => {
                 {colorx: 6553500, colory: 3276750, transtime: 0},
                 cfg.default,
                 null,
-                expect.any(Function));
+                expect.any(Function),
+                'high');
             await wait(10);
             expect(zigbee.publish).toHaveBeenCalledTimes(1);
             expect(publishEntityState).toHaveBeenCalledTimes(1);
@@ -329,7 +340,8 @@ describe('DevicePublish', () => {
                 {},
                 cfg.default,
                 null,
-                expect.any(Function));
+                expect.any(Function),
+                'high');
             expect(zigbee.publish).toHaveBeenNthCalledWith(2,
                 '0x00000012',
                 'device',
@@ -339,7 +351,8 @@ describe('DevicePublish', () => {
                 {colorx: 6553500, colory: 3276750, transtime: 0},
                 cfg.default,
                 null,
-                expect.any(Function));
+                expect.any(Function),
+                'high');
             expect(publishEntityState).toHaveBeenCalledTimes(2);
             expect(publishEntityState).toHaveBeenNthCalledWith(1,
                 '0x00000012',
@@ -368,7 +381,8 @@ describe('DevicePublish', () => {
                 {level: 20, transtime: 0},
                 cfg.default,
                 null,
-                expect.any(Function));
+                expect.any(Function),
+                'high');
             expect(zigbee.publish).toHaveBeenNthCalledWith(2,
                 '0x00000013',
                 'device',
@@ -378,7 +392,8 @@ describe('DevicePublish', () => {
                 {colorx: 6553500, colory: 3276750, transtime: 0},
                 cfg.default,
                 null,
-                expect.any(Function));
+                expect.any(Function),
+                'high');
             await wait(10);
             expect(zigbee.publish).toHaveBeenCalledTimes(2);
             expect(publishEntityState).toHaveBeenCalledTimes(2);
@@ -407,7 +422,8 @@ describe('DevicePublish', () => {
                 {level: 20, transtime: 0},
                 cfg.default,
                 null,
-                expect.any(Function));
+                expect.any(Function),
+                'high');
             expect(zigbee.publish).toHaveBeenNthCalledWith(2,
                 '0x00000014',
                 'device',
@@ -417,7 +433,8 @@ describe('DevicePublish', () => {
                 {colorx: 6553500, colory: 3276750, transtime: 0},
                 cfg.default,
                 null,
-                expect.any(Function));
+                expect.any(Function),
+                'high');
             await wait(10);
             expect(zigbee.publish).toHaveBeenCalledTimes(2);
             expect(publishEntityState).toHaveBeenCalledTimes(2);
@@ -446,7 +463,8 @@ describe('DevicePublish', () => {
                 {},
                 cfg.default,
                 null,
-                expect.any(Function));
+                expect.any(Function),
+                'high');
             expect(zigbee.publish).toHaveBeenNthCalledWith(2,
                 '0x00000015',
                 'device',
@@ -456,7 +474,8 @@ describe('DevicePublish', () => {
                 {colorx: 6553500, colory: 3276750, transtime: 0},
                 cfg.default,
                 null,
-                expect.any(Function));
+                expect.any(Function),
+                'high');
             expect(publishEntityState).toHaveBeenCalledTimes(2);
             expect(publishEntityState).toHaveBeenNthCalledWith(1,
                 '0x00000015',
@@ -484,7 +503,8 @@ describe('DevicePublish', () => {
                 {colorx: 17085, colory: 44000, transtime: 0},
                 cfg.default,
                 null,
-                expect.any(Function));
+                expect.any(Function),
+                'high');
             await wait(10);
             expect(zigbee.publish).toHaveBeenCalledTimes(1);
             expect(publishEntityState).toHaveBeenCalledTimes(1);
@@ -508,7 +528,8 @@ describe('DevicePublish', () => {
                 {colorx: 17085, colory: 44000, transtime: 0},
                 cfg.default,
                 null,
-                expect.any(Function));
+                expect.any(Function),
+                'high');
             await wait(10);
             expect(zigbee.publish).toHaveBeenCalledTimes(1);
             expect(publishEntityState).toHaveBeenCalledTimes(1);
@@ -533,7 +554,8 @@ describe('DevicePublish', () => {
                 {level: 50, transtime: 0},
                 cfg.default,
                 null,
-                expect.any(Function));
+                expect.any(Function),
+                'high');
             expect(publishEntityState).toHaveBeenCalledTimes(1);
             expect(publishEntityState).toHaveBeenNthCalledWith(1,
                 '0x00000018',
@@ -558,7 +580,8 @@ describe('DevicePublish', () => {
                 {},
                 cfg.default,
                 null,
-                expect.any(Function));
+                expect.any(Function),
+                'high');
             expect(publishEntityState).toHaveBeenCalledTimes(1);
             expect(publishEntityState).toHaveBeenNthCalledWith(1,
                 1,
@@ -582,7 +605,8 @@ describe('DevicePublish', () => {
                 {level: 127, transtime: 0},
                 cfg.default,
                 null,
-                expect.any(Function));
+                expect.any(Function),
+                'high');
             expect(publishEntityState).toHaveBeenCalledTimes(1);
             expect(publishEntityState).toHaveBeenNthCalledWith(1,
                 1,
@@ -606,7 +630,8 @@ describe('DevicePublish', () => {
                 {level: 50, transtime: 0},
                 cfg.default,
                 null,
-                expect.any(Function));
+                expect.any(Function),
+                'high');
             expect(publishEntityState).toHaveBeenCalledTimes(1);
             expect(publishEntityState).toHaveBeenNthCalledWith(1,
                 1,
@@ -630,7 +655,8 @@ describe('DevicePublish', () => {
                 {},
                 cfg.default,
                 null,
-                expect.any(Function));
+                expect.any(Function),
+                'high');
             expect(publishEntityState).toHaveBeenCalledTimes(1);
             expect(publishEntityState).toHaveBeenNthCalledWith(1,
                 1,
@@ -654,7 +680,8 @@ describe('DevicePublish', () => {
                 {colorx: 24248, colory: 18350, transtime: 0},
                 cfg.default,
                 null,
-                expect.any(Function));
+                expect.any(Function),
+                'high');
             expect(publishEntityState).toHaveBeenCalledTimes(1);
             expect(publishEntityState).toHaveBeenNthCalledWith(1,
                 1,
@@ -678,7 +705,8 @@ describe('DevicePublish', () => {
                 {colortemp: 100, transtime: 0},
                 cfg.default,
                 null,
-                expect.any(Function));
+                expect.any(Function),
+                'high');
             expect(publishEntityState).toHaveBeenCalledTimes(1);
             expect(publishEntityState).toHaveBeenNthCalledWith(1,
                 1,
@@ -686,6 +714,24 @@ describe('DevicePublish', () => {
             await wait(10);
             expect(zigbee.publish).toHaveBeenCalledTimes(1);
         });
+
+        it('Should only publish messages to groups which all members support', () => {
+            jest.spyOn(settings, 'getGroupIDByFriendlyName').mockReturnValue('1');
+            jest.spyOn(settings, 'getGroup').mockReturnValue({friendly_name: 'group_1', devices: ['0x1', '0x2']});
+            zigbee.getDevice = (ieeeAddr) => ({modelId: ieeeAddr === '0x1' ? 'SV01-410-MP-1.0' : 'Gear'});
+            zigbee.publish.mockClear();
+            publishEntityState.mockClear();
+            devicePublish.onMQTTMessage('zigbee2mqtt/group_1/set', JSON.stringify({position: 50}));
+            expect(zigbee.publish).toHaveBeenCalledTimes(1);
+            expect(zigbee.publish.mock.calls[0][0]).toBe(1);
+            expect(zigbee.publish.mock.calls[0][1]).toBe('group');
+            expect(zigbee.publish.mock.calls[0][2]).toBe('genLevelCtrl');
+
+            // Covers don't support brightness.
+            zigbee.publish.mockClear();
+            devicePublish.onMQTTMessage('zigbee2mqtt/group_1/set', JSON.stringify({brightness: 50}));
+            expect(zigbee.publish).toHaveBeenCalledTimes(0);
+        });
     });
 
     describe('Parse topic', () => {
@@ -977,7 +1023,8 @@ describe('DevicePublish', () => {
             {},
             cfg.default,
             null,
-            expect.any(Function));
+            expect.any(Function),
+            'high');
         expect(publishEntityState).toHaveBeenCalledTimes(1);
         expect(publishEntityState).toHaveBeenNthCalledWith(1,
             '0x00000001',
@@ -999,7 +1046,8 @@ describe('DevicePublish', () => {
             {},
             cfg.default,
             null,
-            expect.any(Function));
+            expect.any(Function),
+            'high');
         expect(publishEntityState).toHaveBeenCalledTimes(1);
         expect(publishEntityState).toHaveBeenNthCalledWith(1,
             '0x00000001',
@@ -1012,25 +1060,29 @@ describe('DevicePublish', () => {
         devicePublish.onMQTTMessage('zigbee2mqtt/0x00000001/set', JSON.stringify({state: 'OPEN'}));
         expect(zigbee.publish).toHaveBeenNthCalledWith(1,
             '0x00000001', 'device', 'genAnalogOutput', 'write',
-            'foundation', [{attrId: 0x0055, dataType: 0x39, attrData: 100}], cfg.default, null, expect.any(Function)
+            'foundation', [{attrId: 0x0055, dataType: 0x39, attrData: 100}], cfg.default, null,
+            expect.any(Function), 'high'
         );
 
         devicePublish.onMQTTMessage('zigbee2mqtt/0x00000001/set', JSON.stringify({position: 10}));
         expect(zigbee.publish).toHaveBeenNthCalledWith(2,
             '0x00000001', 'device', 'genAnalogOutput', 'write',
-            'foundation', [{attrId: 0x0055, dataType: 0x39, attrData: 10}], cfg.default, null, expect.any(Function)
+            'foundation', [{attrId: 0x0055, dataType: 0x39, attrData: 10}], cfg.default, null,
+            expect.any(Function), 'high'
         );
 
         devicePublish.onMQTTMessage('zigbee2mqtt/0x00000001/set', JSON.stringify({state: 'CLOSE'}));
         expect(zigbee.publish).toHaveBeenNthCalledWith(3,
             '0x00000001', 'device', 'genAnalogOutput', 'write',
-            'foundation', [{attrId: 0x0055, dataType: 0x39, attrData: 0}], cfg.default, null, expect.any(Function)
+            'foundation', [{attrId: 0x0055, dataType: 0x39, attrData: 0}], cfg.default, null,
+            expect.any(Function), 'high'
         );
 
         devicePublish.onMQTTMessage('zigbee2mqtt/0x00000001/set', JSON.stringify({state: 'STOP'}));
         expect(zigbee.publish).toHaveBeenNthCalledWith(4,
             '0x00000001', 'device', 'closuresWindowCovering', 'stop',
-            'functional', {}, cfg.default, null, expect.any(Function)
+            'functional', {}, cfg.default, null,
+            expect.any(Function), 'high'
         );
     });
 
@@ -1049,7 +1101,8 @@ describe('DevicePublish', () => {
             {level: 255, transtime: 10},
             cfg.default,
             null,
-            expect.any(Function));
+            expect.any(Function),
+            'high');
         expect(publishEntityState).toHaveBeenCalledTimes(1);
         expect(publishEntityState).toHaveBeenNthCalledWith(1,
             '0x00000001',
@@ -1071,7 +1124,8 @@ describe('DevicePublish', () => {
             {level: 0, transtime: 20},
             cfg.default,
             null,
-            expect.any(Function));
+            expect.any(Function),
+            'high');
         expect(publishEntityState).toHaveBeenCalledTimes(1);
         expect(publishEntityState).toHaveBeenNthCalledWith(1,
             '0x00000001',
@@ -1094,7 +1148,8 @@ describe('DevicePublish', () => {
             {},
             cfg.default,
             null,
-            expect.any(Function));
+            expect.any(Function),
+            'high');
         expect(publishEntityState).toHaveBeenCalledTimes(1);
         expect(publishEntityState).toHaveBeenNthCalledWith(1,
             '0x00000001',
@@ -1118,7 +1173,8 @@ describe('DevicePublish', () => {
             {colortemp: 100, transtime: 0},
             cfg.default,
             null,
-            expect.any(Function));
+            expect.any(Function),
+            'high');
 
         expect(publishEntityState).toHaveBeenCalledTimes(1);
         expect(publishEntityState).toHaveBeenNthCalledWith(1,
@@ -1146,7 +1202,8 @@ describe('DevicePublish', () => {
             {colorx: 26869, colory: 16384, transtime: 0},
             cfg.default,
             null,
-            expect.any(Function));
+            expect.any(Function),
+            'high');
 
         expect(publishEntityState).toHaveBeenCalledTimes(1);
         expect(publishEntityState).toHaveBeenNthCalledWith(1,
@@ -1174,7 +1231,8 @@ describe('DevicePublish', () => {
             {},
             cfg.default,
             null,
-            expect.any(Function));
+            expect.any(Function),
+            'high');
         expect(zigbee.publish).toHaveBeenNthCalledWith(2,
             '0x00000001',
             'device',
@@ -1184,7 +1242,8 @@ describe('DevicePublish', () => {
             {colorx: 26869, colory: 16384, transtime: 0},
             cfg.default,
             null,
-            expect.any(Function));
+            expect.any(Function),
+            'high');
 
         expect(publishEntityState).toHaveBeenCalledTimes(2);
         expect(publishEntityState).toHaveBeenNthCalledWith(1,
@@ -0,0 +1,153 @@
+const DeviceReport = require('../lib/extension/deviceReport');
+const MQTT = require('../lib/mqtt');
+const settings = require('../lib/util/settings');
+const utils = require('./utils');
+
+const endpoint = {
+    epId: 1,
+    device: {ieeeAddr: '0x12'},
+    clusters: {
+        genOnOff: {attrs: {cid: 'genOnOff', onOff: 1}},
+        genLevelCtrl: {attrs: {cid: 'genLevelCtrl', currentLevel: 100}},
+        lightingColorCtrl: {attrs: {cid: 'lightingColorCtrl', colorTemperature: 200}},
+    },
+};
+
+const bulb = {ieeeAddr: '0x12', type: 'Router', powerSource: 'Mains (single phase)'};
+const sensor = {ieeeAddr: '0x13', type: 'EndDevice', powerSource: 'Battery'};
+const mappedDevice = {model: 'LED1545G12'};
+
+const zigbee = {
+    getEndpoint: jest.fn(() => endpoint),
+    getDevice: jest.fn((ieeeAddr) => ieeeAddr === '0x12' ? bulb : null),
+    report: jest.fn(),
+    publish: jest.fn(),
+};
+
+const mqtt = {
+    reply: MQTT.prototype.reply,
+    subscribe: jest.fn(),
+    respond: jest.fn(),
+    log: jest.fn(),
+};
+
+let deviceReport;
+let deviceSettings;
+
+describe('Device report', () => {
+    beforeEach(() => {
+        utils.stubLogger(jest);
+        zigbee.report.mockReset();
+        zigbee.publish.mockReset();
+        mqtt.respond.mockClear();
+        mqtt.log.mockClear();
+        deviceSettings = {};
+        deviceReport = new DeviceReport(zigbee, mqtt, null, null);
+        jest.spyOn(settings, 'getDevice').mockImplementation((ieeeAddr) => deviceSettings[ieeeAddr]);
+        jest.spyOn(settings, 'getIeeeAddrByFriendlyName').mockImplementation((name) => {
+            return name === 'bulb' ? '0x12' : null;
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('Should setup reporting for routers using the candidates when enabled', () => {
+        jest.spyOn(settings, 'get').mockReturnValue({advanced: {report: true}});
+        deviceReport.setupReporting(mappedDevice, bulb);
+        expect(zigbee.report).toHaveBeenCalledTimes(3);
+        expect(zigbee.report).toHaveBeenCalledWith(
+            endpoint, 'genOnOff', [{attr: 'onOff', min: 3, max: 300, change: 0}]
+        );
+        expect(zigbee.report).toHaveBeenCalledWith(
+            endpoint, 'lightingColorCtrl', [{attr: 'colorTemperature', min: 3, max: 3600, change: 1}]
+        );
+    });
+
+    it('Should not setup reporting when disabled and without device settings', () => {
+        jest.spyOn(settings, 'get').mockReturnValue({advanced: {report: false}});
+        expect(deviceReport.hasReporting(bulb)).toBeFalsy();
+        expect(deviceReport.hasReporting(sensor)).toBeFalsy();
+    });
+
+    it('Should override the candidates with the device settings', () => {
+        jest.spyOn(settings, 'get').mockReturnValue({advanced: {report: true}});
+        deviceSettings['0x12'] = {reporting: {
+            genLevelCtrl: {currentLevel: {min: 5, max: 600}},
+            lightingColorCtrl: false,
+            genOnOff: {onOff: false},
+        }};
+
+        deviceReport.setupReporting(mappedDevice, bulb);
+        expect(zigbee.report).toHaveBeenCalledTimes(1);
+        expect(zigbee.report).toHaveBeenCalledWith(
+            endpoint, 'genLevelCtrl', [{attr: 'currentLevel', min: 5, max: 600, change: 1}]
+        );
+    });
+
+    it('Should setup reporting for battery devices with device settings', () => {
+        jest.spyOn(settings, 'get').mockReturnValue({advanced: {report: false}});
+        deviceSettings['0x13'] = {reporting: {msTemperatureMeasurement: {measuredValue: {change: 50}}}};
+        expect(deviceReport.hasReporting(sensor)).toBeTruthy();
+
+        deviceReport.setupReporting(mappedDevice, sensor);
+        expect(zigbee.report).toHaveBeenCalledWith(
+            endpoint, 'msTemperatureMeasurement', [{attr: 'measuredValue', min: 3, max: 3600, change: 50}]
+        );
+    });
+
+    it('Should configure reporting and read it back', () => {
+        zigbee.report.mockImplementation((ep, cluster, attributes, callback) => callback(null));
+        zigbee.publish.mockImplementation((ID, type, cid, cmd, cmdType, zclData, cfg, ep, callback) => {
+            callback(null, [
+                {status: 0, direction: 0, attrId: 0, dataType: 32, minRepIntval: 5, maxRepIntval: 600, repChange: 10},
+            ]);
+        });
+
+        const payload = {
+            device: 'bulb', cluster: 'genLevelCtrl', transaction: 2,
+            attributes: {currentLevel: {min: 5, max: 600, change: 10}},
+        };
+        deviceReport.onMQTTMessage('zigbee2mqtt/bridge/request/configure_reporting', JSON.stringify(payload));
+        expect(zigbee.report).toHaveBeenCalledWith(
+            endpoint, 'genLevelCtrl', [{attr: 'currentLevel', min: 5, max: 600, change: 10}], expect.any(Function)
+        );
+        expect(zigbee.publish).toHaveBeenCalledWith(
+            '0x12', 'device', 'genLevelCtrl', 'readReportConfig', 'foundation', [{direction: 0, attrId: 0}],
+            null, 1, expect.any(Function)
+        );
+        expect(mqtt.respond).toHaveBeenCalledWith('configure_reporting', 2, null, {
+            device: 'bulb', cluster: 'genLevelCtrl', endpoint: 1,
+            attributes: {currentLevel: {min: 5, max: 600, change: 10}},
+        });
+    });
+
+    it('Should only read back the reporting configuration for a list of attributes', () => {
+        zigbee.publish.mockImplementation((ID, type, cid, cmd, cmdType, zclData, cfg, ep, callback) => {
+            callback(null, [{status: 139, direction: 0, attrId: 0}]);
+        });
+
+        const payload = {device: 'bulb', cluster: 'genOnOff', attributes: ['onOff']};
+        deviceReport.onMQTTMessage('zigbee2mqtt/bridge/configure_reporting', JSON.stringify(payload));
+        expect(zigbee.report).not.toHaveBeenCalled();
+        expect(mqtt.log).toHaveBeenCalledWith('configure_reporting', {
+            device: 'bulb', cluster: 'genOnOff', endpoint: 1, attributes: {onOff: {status: 139}},
+        });
+    });
+
+    it('Should respond with an error for unknown devices and attributes', () => {
+        const topic = 'zigbee2mqtt/bridge/request/configure_reporting';
+        deviceReport.onMQTTMessage(topic, JSON.stringify({device: 'lamp', cluster: 'genOnOff', attributes: []}));
+        expect(mqtt.respond).toHaveBeenCalledWith(
+            'configure_reporting', undefined, `Device 'lamp' does not exist`, {device: 'lamp'}
+        );
+
+        deviceReport.onMQTTMessage(topic, JSON.stringify({device: 'bulb', cluster: 'genOnOff', attributes: ['x']}));
+        expect(mqtt.respond).toHaveBeenCalledWith(
+            'configure_reporting', undefined, `Unknown attribute 'x' of cluster 'genOnOff'`, {device: 'bulb'}
+        );
+        expect(zigbee.report).not.toHaveBeenCalled();
+        expect(zigbee.publish).not.toHaveBeenCalled();
+    });
+});
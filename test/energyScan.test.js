@@ -0,0 +1,64 @@
+const EventEmitter = require('events');
+const Zigbee = require('../lib/zigbee');
+const EnergyScan = require('../lib/extension/energyScan');
+const MQTT = require('../lib/mqtt');
+const utils = require('./utils');
+
+const mqtt = {
+    reply: MQTT.prototype.reply,
+    respond: jest.fn(),
+    log: jest.fn(),
+};
+
+let zigbee;
+let controller;
+
+describe('Energy scan', () => {
+    beforeEach(() => {
+        utils.stubLogger(jest);
+        jest.useFakeTimers();
+        mqtt.respond.mockClear();
+        mqtt.log.mockClear();
+        controller = new EventEmitter();
+        controller.request = jest.fn((subsys, cmd, payload, callback) => callback(null));
+        zigbee = new Zigbee();
+        zigbee.shepherd = {controller};
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('Should scan the energy of all channels', () => {
+        const energyScan = new EnergyScan(zigbee, mqtt, null, null);
+        energyScan.onMQTTMessage('zigbee2mqtt/bridge/request/energy_scan', JSON.stringify({transaction: 1}));
+        expect(controller.request).toHaveBeenCalledWith(
+            'ZDO', 'msgCbRegister', {clusterid: 0x8038}, expect.any(Function)
+        );
+        expect(controller.request).toHaveBeenCalledWith('ZDO', 'mgmtNwkUpdateReq', {
+            dstaddr: 0, dstaddrmode: 2, channelmask: 0x07FFF800, scanduration: 5, scancount: 1, nwkmanageraddr: 0,
+        }, expect.any(Function));
+
+        // Status, scanned channels (11 - 13), total transmissions, transmission failures, count, energy values.
+        const msgdata = [0, 0x00, 0x38, 0x00, 0x00, 12, 0, 1, 0, 3, 170, 31, 255];
+        controller.emit('ZDO:msgCbIncoming', {srcaddr: 0, clusterid: 0x8038, msgdata});
+        expect(mqtt.respond).toHaveBeenCalledWith('energy_scan', 1, null, {
+            channels: {11: 170, 12: 31, 13: 255}, total_transmissions: 12, transmission_failures: 1,
+        });
+        expect(controller.listenerCount('ZDO:msgCbIncoming')).toBe(0);
+    });
+
+    it('Should report when the energy scan times out', () => {
+        const energyScan = new EnergyScan(zigbee, mqtt, null, null);
+        energyScan.onMQTTMessage('zigbee2mqtt/bridge/energy_scan', '');
+        energyScan.onMQTTMessage('zigbee2mqtt/bridge/energy_scan', '');
+        expect(mqtt.log).toHaveBeenCalledWith('energy_scan_failed', 'An energy scan is already running', null);
+
+        jest.runAllTimers();
+        expect(mqtt.log).toHaveBeenCalledWith(
+            'energy_scan_failed', 'Energy scan failed (Error: Energy scan timed out)', null
+        );
+        expect(energyScan.scanning).toBeFalsy();
+    });
+});
@@ -1,4 +1,13 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf');
+const data = require('../lib/util/data');
+const settings = require('../lib/util/settings');
+const logger = require('../lib/util/logger');
+const deviceDefinitions = require('../lib/util/deviceDefinitions');
 const Groups = require('../lib/extension/groups');
+const utils = require('./utils');
 
 let groupExtension = null;
 let zigbee = null;
@@ -175,4 +184,185 @@ describe('Groups', () => {
             {groupid: '2', groupname: ''}, null, null, expect.any(Function)
         );
     });
+
+    describe('Sync', () => {
+        const groups = {
+            '1': {friendly_name: 'living_room', devices: ['0x01', '0x02']},
+            '2': {friendly_name: 'kitchen', devices: ['0x02']},
+        };
+        const membership = {'0x01': [1, 5], '0x02': [], '0x03': [1]};
+        const mqtt = {log: jest.fn(), respond: jest.fn()};
+        let directory;
+
+        beforeEach(() => {
+            utils.stubLogger(jest);
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'zigbee2mqtt-groups-'));
+            process.env.ZIGBEE2MQTT_DATA = directory;
+            data._reload();
+            fs.mkdirSync(path.join(directory, '.storage'));
+            fs.writeFileSync(path.join(directory, '.storage', 'groups_cache.json'), '{"1":["0x01","0x02","0x03"]}');
+
+            jest.spyOn(settings, 'getGroups').mockReturnValue(groups);
+            jest.spyOn(settings, 'getGroup').mockImplementation((ID) => groups[ID]);
+            jest.spyOn(settings, 'getDevice').mockImplementation((ieeeAddr) => ({friendly_name: `device_${ieeeAddr}`}));
+            jest.spyOn(settings, 'addDeviceToGroup').mockReturnValue(false);
+            jest.spyOn(settings, 'removeDeviceFromGroup').mockReturnValue(true);
+            mqtt.log.mockClear();
+            mqtt.respond.mockClear();
+            zigbee = {
+                getDevice: jest.fn(() => ({})),
+                publish: jest.fn((ieeeAddr, type, cid, cmd, cmdType, zclData, cfg, ep, callback) => {
+                    callback(null, cmd === 'getMembership' ? {grouplist: membership[ieeeAddr], capacity: 254} : null);
+                }),
+            };
+            groupExtension = new Groups(zigbee, mqtt, null, null);
+        });
+
+        afterEach(() => {
+            delete process.env.ZIGBEE2MQTT_DATA;
+            data._reload();
+            rimraf.sync(directory);
+        });
+
+        it('Should read the membership of all members and fix the differences', () => {
+            groupExtension.onMQTTMessage('zigbee2mqtt/bridge/request/group/sync', '{"transaction":1}');
+            expect(zigbee.publish).toHaveBeenCalledWith(
+                '0x02', 'device', 'genGroups', 'add', 'functional',
+                {groupid: 2, groupname: ''}, null, null, expect.any(Function)
+            );
+            expect(zigbee.publish).toHaveBeenCalledWith(
+                '0x03', 'device', 'genGroups', 'remove', 'functional',
+                {groupid: 1}, null, null, expect.any(Function)
+            );
+            expect(zigbee.publish).toHaveBeenCalledTimes(6);
+
+            expect(mqtt.respond).toHaveBeenCalledWith('group/sync', 1, null, {
+                device_0x01: {groups: [1, 5], added: [], removed: [], unknown: [5], failed: []},
+                device_0x02: {groups: [], added: [1, 2], removed: [], unknown: [], failed: []},
+                device_0x03: {groups: [1], added: [], removed: [1], unknown: [], failed: []},
+            });
+
+            const cache = JSON.parse(fs.readFileSync(path.join(directory, '.storage', 'groups_cache.json')));
+            expect(cache).toStrictEqual({'1': ['0x01', '0x02'], '2': ['0x02']});
+        });
+
+        it('Should report devices which could not be read', () => {
+            zigbee.publish.mockImplementation((ieeeAddr, type, cid, cmd, cmdType, zclData, cfg, ep, callback) => {
+                callback(new Error('timeout'));
+            });
+
+            groupExtension.onMQTTMessage('zigbee2mqtt/bridge/group/sync', '');
+            expect(mqtt.log).toHaveBeenCalledTimes(1);
+            expect(mqtt.log.mock.calls[0][0]).toBe('group_sync');
+            expect(mqtt.log.mock.calls[0][1].device_0x02).toStrictEqual({
+                groups: [], added: [], removed: [], unknown: [], failed: [],
+                error: 'Failed to get membership (Error: timeout)',
+            });
+        });
+    });
+
+    describe('Converters', () => {
+        const models = {'0x01': 'lumi.plug', '0x02': 'TRADFRI bulb E27 CWS opal 600lm', '0x03': 'lumi.vibration.aq1'};
+        const state = {registerOnStateChangeListener: jest.fn()};
+        let groups;
+        let directory;
+
+        beforeEach(() => {
+            utils.stubLogger(jest);
+            directory = fs.mkdtempSync(path.join(os.tmpdir(), 'zigbee2mqtt-groups-'));
+            process.env.ZIGBEE2MQTT_DATA = directory;
+            data._reload();
+            fs.mkdirSync(path.join(directory, '.storage'));
+            const cache = {'1': ['0x01', '0x02'], '2': ['0x01']};
+            fs.writeFileSync(path.join(directory, '.storage', 'groups_cache.json'), JSON.stringify(cache));
+
+            groups = {
+                '1': {friendly_name: 'lights', devices: ['0x01', '0x02']},
+                '2': {friendly_name: 'sensors', devices: ['0x01']},
+            };
+            jest.spyOn(settings, 'getGroups').mockReturnValue(groups);
+            jest.spyOn(settings, 'getGroup').mockImplementation((ID) => groups[ID]);
+            jest.spyOn(settings, 'getDevice').mockImplementation((ieeeAddr) => ({friendly_name: ieeeAddr}));
+            jest.spyOn(settings, 'addDeviceToGroup').mockImplementation((ID, ieeeAddr) => {
+                groups[ID].devices.push(ieeeAddr);
+            });
+            zigbee = {
+                getDevice: (ieeeAddr) => ({modelId: models[ieeeAddr]}),
+                publish: jest.fn((ieeeAddr, type, cid, cmd, cmdType, zclData, cfg, ep, callback) => callback(null)),
+            };
+            groupExtension = new Groups(zigbee, {log: jest.fn()}, state, null);
+        });
+
+        afterEach(() => {
+            delete process.env.ZIGBEE2MQTT_DATA;
+            data._reload();
+            rimraf.sync(directory);
+        });
+
+        it('Should warn about groups without converters in common at startup and on membership changes', () => {
+            groupExtension.onZigbeeStarted();
+            expect(logger.warn).not.toHaveBeenCalled();
+
+            groupExtension.updateDeviceGroup('0x03', 'add', '2');
+            expect(logger.warn).toHaveBeenCalledTimes(1);
+            expect(logger.warn).toHaveBeenCalledWith(
+                `The members (ZNCZ02LM, DJT11LM) of group 'sensors' have no converters in common`
+            );
+
+            // Only the groups without converters in common are reported at startup.
+            fs.writeFileSync(path.join(directory, '.storage', 'groups_cache.json'), JSON.stringify({
+                '1': ['0x01', '0x02'], '2': ['0x01', '0x03'],
+            }));
+            new Groups(zigbee, {log: jest.fn()}, state, null).onZigbeeStarted();
+            expect(logger.warn).toHaveBeenCalledTimes(2);
+            expect(zigbee.publish).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('Group state', () => {
+        const groups = {
+            '1': {friendly_name: 'any', devices: ['0x01', '0x02']},
+            '2': {friendly_name: 'all', devices: ['0x01', '0x02'], state_rules: {state: 'all_on'}},
+        };
+        let states;
+        let publishEntityState;
+
+        beforeEach(() => {
+            utils.stubLogger(jest);
+            states = {'0x01': {state: 'OFF', brightness: 100, position: 20}};
+            publishEntityState = jest.fn();
+            jest.spyOn(settings, 'getGroups').mockReturnValue(groups);
+            jest.spyOn(settings, 'getGroup').mockImplementation((ID) => groups[ID]);
+            jest.spyOn(deviceDefinitions, 'findByZigbeeModel').mockReturnValue({
+                groupStateRules: {position: 'minimum', members: (values) => values.length},
+            });
+            const state = {exists: (ID) => states.hasOwnProperty(ID), get: (ID) => states[ID]};
+            zigbee = {getDevice: () => ({modelId: 'cover'})};
+            groupExtension = new Groups(zigbee, null, state, publishEntityState);
+        });
+
+        it('Should derive the group state from all members', () => {
+            groupExtension.onStateChange(
+                '0x02', {state: 'OFF', brightness: 50}, {state: 'ON', brightness: 200, position: 80, members: 1}
+            );
+            expect(publishEntityState).toHaveBeenCalledTimes(2);
+            expect(publishEntityState).toHaveBeenCalledWith(
+                '1', {state: 'ON', brightness: 150, position: 20, members: 1}
+            );
+            expect(publishEntityState).toHaveBeenCalledWith(
+                '2', {state: 'OFF', brightness: 150, position: 20, members: 1}
+            );
+        });
+
+        it('Should only publish when the group state changes', () => {
+            states['1'] = {state: 'ON', brightness: 150};
+            states['2'] = {state: 'OFF', brightness: 150};
+            groupExtension.onStateChange('0x02', {state: 'OFF', brightness: 50}, {state: 'ON', brightness: 200});
+            expect(publishEntityState).not.toHaveBeenCalled();
+
+            // Properties which did not change on the member are skipped.
+            groupExtension.onStateChange('0x02', {state: 'ON', brightness: 200}, {state: 'ON', brightness: 200});
+            expect(publishEntityState).not.toHaveBeenCalled();
+        });
+    });
 });
@@ -1,10 +1,15 @@
 const devices = require('zigbee-shepherd-converters').devices;
 const HomeassistantExtension = require('../lib/extension/homeassistant');
 const settings = require('../lib/util/settings');
+const deviceDefinitions = require('../lib/util/deviceDefinitions');
+const DeviceAvailability = require('../lib/extension/deviceAvailability');
+const MQTT = require('../lib/mqtt');
 
 const WSDCGQ11LM = devices.find((d) => d.model === 'WSDCGQ11LM');
 const SV01 = devices.find((d) => d.model === 'SV01');
 const FAN99432 = devices.find((d) => d.model === '99432');
+const LED1545G12 = devices.find((d) => d.model === 'LED1545G12');
+const ZNCZ02LM = devices.find((d) => d.model === 'ZNCZ02LM');
 
 describe('HomeAssistant extension', () => {
     let homeassistant = null;
@@ -36,6 +41,16 @@ describe('HomeAssistant extension', () => {
     }
     );
 
+    it('Should discover devices with the configurations of an external definition', () => {
+        jest.spyOn(settings, 'getDevice').mockReturnValue({friendly_name: 'my_switch'});
+        const definition = {model: 'CUSTOM-SWITCH', vendor: 'Custom', description: 'Switch', homeassistant: ['switch']};
+
+        homeassistant.discover('0x12345678', definition, false);
+        expect(mqtt.publish).toHaveBeenCalledTimes(2);
+        expect(mqtt.publish.mock.calls[0][0]).toBe('switch/0x12345678/switch/config');
+        expect(mqtt.publish.mock.calls[1][0]).toBe('sensor/0x12345678/linkquality/config');
+    });
+
     it('Should discover devices', () => {
         let payload = null;
         jest.spyOn(settings, 'getDevice').mockReturnValue({friendly_name: 'my_device'});
@@ -594,6 +609,26 @@ describe('HomeAssistant extension', () => {
         expect(mqtt.publish.mock.calls[0][4]).toBe('homeassistant');
     });
 
+    it('Should use the availability topic of devices with passive availability', () => {
+        const current = settings.get();
+        const advanced = {...current.advanced, availability_timeout: 0, availability_passive: true};
+        jest.spyOn(settings, 'get').mockReturnValue({...current, advanced});
+        jest.spyOn(settings, 'getDevice').mockReturnValue({friendly_name: 'my_device'});
+        const sensor = {ieeeAddr: '0x12345678', type: 'EndDevice', powerSource: 'Battery'};
+        const plug = {ieeeAddr: '0x87654321', type: 'Router', powerSource: 'Mains (single phase)'};
+        const zigbee = {getDevice: (ieeeAddr) => [sensor, plug].find((d) => d.ieeeAddr === ieeeAddr)};
+        const deviceAvailability = new DeviceAvailability(zigbee, mqtt, null, null);
+        homeassistant = new HomeassistantExtension(zigbee, mqtt, null, null, {deviceAvailability});
+
+        homeassistant.discover('0x12345678', WSDCGQ11LM, false);
+        expect(JSON.parse(mqtt.publish.mock.calls[0][1]).availability_topic).toBe('zigbee2mqtt/my_device/availability');
+
+        // Without the availability_timeout mains powered devices are not pinged.
+        mqtt.publish.mockClear();
+        homeassistant.discover('0x87654321', ZNCZ02LM, false);
+        expect(JSON.parse(mqtt.publish.mock.calls[0][1]).availability_topic).toBe('zigbee2mqtt/bridge/state');
+    });
+
     it('Should discover devices with a custom discovery topic', () => {
         jest.spyOn(settings, 'get').mockReturnValue({
             mqtt: {
@@ -626,4 +661,157 @@ describe('HomeAssistant extension', () => {
         expect(mqtt.publish).toHaveBeenCalledTimes(5);
         expect(mqtt.publish.mock.calls[0][4]).toBe('my_custom_topic');
     });
+
+    describe('Groups', () => {
+        let models;
+
+        beforeEach(() => {
+            models = {'0x1': LED1545G12, '0x2': LED1545G12};
+            jest.spyOn(settings, 'getGroup').mockReturnValue({friendly_name: 'my_group', devices: ['0x1', '0x2']});
+            jest.spyOn(deviceDefinitions, 'findByZigbeeModel').mockImplementation((modelId) => models[modelId]);
+            const zigbee = {getDevice: (ieeeAddr) => ({ieeeAddr, modelId: ieeeAddr})};
+            homeassistant = new HomeassistantExtension(zigbee, mqtt, null, null);
+            homeassistant.zigbee2mqttVersion = 'test';
+        });
+
+        it('Should discover a group of lights with the features of its members', () => {
+            homeassistant.discover('1', null, false);
+            expect(mqtt.publish).toHaveBeenCalledTimes(1);
+            expect(mqtt.publish.mock.calls[0][0]).toBe('light/1/light/config');
+            expect(JSON.parse(mqtt.publish.mock.calls[0][1])).toStrictEqual({
+                brightness: true,
+                color_temp: true,
+                schema: 'json',
+                command_topic: 'zigbee2mqtt/my_group/set',
+                state_topic: 'zigbee2mqtt/my_group',
+                name: 'my_group_light',
+                unique_id: '1_light_zigbee2mqtt',
+                device: {
+                    identifiers: 'zigbee2mqtt_1',
+                    name: 'my_group',
+                    sw_version: 'Zigbee2mqtt test',
+                    model: 'Group',
+                    manufacturer: 'Zigbee2mqtt',
+                },
+                availability_topic: 'zigbee2mqtt/bridge/state',
+            });
+        });
+
+        it('Should discover a group as switch or cover depending on its members', () => {
+            models = {'0x1': ZNCZ02LM, '0x2': ZNCZ02LM};
+            homeassistant.discover('1', null, false);
+            expect(mqtt.publish.mock.calls[0][0]).toBe('switch/1/switch/config');
+
+            // The switch is removed.
+            models = {'0x1': SV01, '0x2': SV01};
+            homeassistant.discover('1', null, true);
+            expect(mqtt.publish.mock.calls[1][0]).toBe('cover/1/cover/config');
+            expect(mqtt.publish.mock.calls[2][0]).toBe('switch/1/switch/config');
+            expect(mqtt.publish.mock.calls[2][1]).toBe('');
+
+            // Members without common converters.
+            models = {'0x1': SV01, '0x2': LED1545G12};
+            homeassistant.discover('1', null, true);
+            expect(mqtt.publish).toHaveBeenCalledTimes(4);
+            expect(mqtt.publish.mock.calls[3][0]).toBe('cover/1/cover/config');
+            expect(mqtt.publish.mock.calls[3][1]).toBe('');
+        });
+
+        it('Should discover all groups when connected', () => {
+            jest.spyOn(settings, 'getGroups').mockReturnValue({'1': {friendly_name: 'my_group'}});
+            homeassistant.zigbee.getAllClients = () => [];
+            homeassistant.mqtt.subscribe = jest.fn();
+            homeassistant.onMQTTConnected();
+            expect(mqtt.publish).toHaveBeenCalledTimes(1);
+            expect(mqtt.publish.mock.calls[0][0]).toBe('light/1/light/config');
+        });
+
+        it('Should refresh the discovery of groups when they change', () => {
+            homeassistant.onSettingsChanged({type: 'group_added', ID: '1', friendly_name: 'my_group'});
+            expect(mqtt.publish.mock.calls[0][0]).toBe('light/1/light/config');
+
+            // The group becomes a switch, the light is removed.
+            models = {'0x1': ZNCZ02LM, '0x2': ZNCZ02LM};
+            homeassistant.onSettingsChanged({type: 'group_members_changed', ID: '1', friendly_name: 'my_group'});
+            expect(mqtt.publish).toHaveBeenCalledTimes(3);
+            expect(mqtt.publish.mock.calls[1][0]).toBe('switch/1/switch/config');
+            expect(mqtt.publish.mock.calls[2][0]).toBe('light/1/light/config');
+            expect(mqtt.publish.mock.calls[2][1]).toBe('');
+            expect(mqtt.publish.mock.calls[2][2]).toStrictEqual({retain: true, qos: 0});
+
+            homeassistant.onSettingsChanged({type: 'group_removed', ID: '1', friendly_name: 'my_group'});
+            expect(mqtt.publish).toHaveBeenCalledTimes(4);
+            expect(mqtt.publish.mock.calls[3][0]).toBe('switch/1/switch/config');
+            expect(mqtt.publish.mock.calls[3][1]).toBe('');
+
+            homeassistant.onSettingsChanged();
+            expect(mqtt.publish).toHaveBeenCalledTimes(4);
+        });
+    });
+
+    describe('Cleanup', () => {
+        beforeEach(() => {
+            jest.useFakeTimers();
+            jest.spyOn(settings, 'getDevice').mockReturnValue({friendly_name: 'my_switch'});
+            const zigbee = {getDevice: () => ({modelId: 'lumi.plug'})};
+            mqtt = {
+                publish: jest.fn(), subscribe: jest.fn(), unsubscribe: jest.fn(), log: jest.fn(),
+                reply: MQTT.prototype.reply,
+            };
+            homeassistant = new HomeassistantExtension(zigbee, mqtt, null, null);
+            homeassistant.discover('0x12345678', ZNCZ02LM, false);
+            mqtt.publish.mockClear();
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        it('Should remove the discovery configs of removed devices', () => {
+            homeassistant.onSettingsChanged({type: 'device_removed', ieeeAddr: '0x12345678', friendly_name: 'x'});
+            expect(mqtt.publish.mock.calls.map((c) => [c[0], c[1]])).toEqual([
+                ['switch/0x12345678/switch/config', ''],
+                ['sensor/0x12345678/power/config', ''],
+                ['sensor/0x12345678/linkquality/config', ''],
+            ]);
+        });
+
+        it('Should republish the discovery configs of renamed devices', () => {
+            settings.getDevice.mockReturnValue({friendly_name: 'my_plug'});
+            homeassistant.onSettingsChanged({type: 'device_renamed', ieeeAddr: '0x12345678', from: 'a', to: 'b'});
+            expect(mqtt.publish).toHaveBeenCalledTimes(3);
+            expect(JSON.parse(mqtt.publish.mock.calls[0][1]).name).toBe('my_plug_switch');
+        });
+
+        it('Should remove orphaned discovery configs', () => {
+            homeassistant.onMQTTMessage('zigbee2mqtt/bridge/config/homeassistant_cleanup', '');
+            expect(mqtt.subscribe).toHaveBeenCalledWith('homeassistant/+/+/+/config');
+
+            const config = (uniqueID) => JSON.stringify({unique_id: uniqueID});
+            const receive = (topic, message) => homeassistant.onMQTTMessage(`homeassistant/${topic}`, message);
+            expect(receive('switch/0x12345678/switch/config', config('0x12345678_switch_zigbee2mqtt'))).toBe(true);
+            receive('light/0x12345678/light/config', config('0x12345678_light_zigbee2mqtt'));
+            receive('light/0x87654321/light/config', config('0x87654321_light_zigbee2mqtt'));
+            receive('light/0x87654321/other/config', config('0x87654321_light_other_instance'));
+            receive('light/0x87654322/light/config', config('0x87654322_light_garage_zigbee2mqtt'));
+            receive('light/0x87654323/light/config', config('0x87654321_light_zigbee2mqtt'));
+            receive('light/living_room/light/config', config('living_room_light_zigbee2mqtt'));
+            receive('light/0x11111111/light/config', '');
+
+            jest.runAllTimers();
+            expect(mqtt.unsubscribe).toHaveBeenCalledWith('homeassistant/+/+/+/config');
+            expect(mqtt.publish.mock.calls.map((c) => [c[0], c[1], c[4]])).toEqual([
+                ['light/0x12345678/light/config', '', 'homeassistant'],
+                ['light/0x87654321/light/config', '', 'homeassistant'],
+            ]);
+            expect(mqtt.log).toHaveBeenCalledWith('homeassistant_cleanup', {
+                removed: ['light/0x12345678/light/config', 'light/0x87654321/light/config'],
+            });
+
+            // Discovery configs are ignored when not cleaning up.
+            mqtt.publish.mockClear();
+            receive('light/0x87654321/light/config', config('0x87654321_light_zigbee2mqtt'));
+            expect(mqtt.publish).not.toHaveBeenCalled();
+        });
+    });
 });
@@ -0,0 +1,183 @@
+const HttpApi = require('../lib/extension/httpApi');
+const BridgeConfig = require('../lib/extension/bridgeConfig');
+const DevicePublish = require('../lib/extension/devicePublish');
+const settings = require('../lib/util/settings');
+const utils = require('./utils');
+const EventEmitter = require('events');
+
+const mqtt = {
+    subscribe: () => {},
+    log: () => {},
+    publish: () => {},
+};
+
+const zigbee = {
+    getDevice: jest.fn(),
+    getDevices: jest.fn(),
+    getPermitJoin: jest.fn(),
+    getPermitJoinDevice: jest.fn(() => null),
+    getBindings: jest.fn(() => null),
+    permitJoin: jest.fn((permit, callback) => callback()),
+    getFirmwareVersion: () => '20190223',
+    publish: jest.fn(),
+};
+
+const state = {
+    exists: jest.fn(),
+    get: jest.fn(),
+};
+
+const request = (method, path, body, headers={}) => {
+    const req = new EventEmitter();
+    req.method = method;
+    req.url = path;
+    req.headers = headers;
+
+    const res = {
+        headersSent: false,
+        writeHead: jest.fn(() => res.headersSent = true),
+        end: jest.fn(),
+    };
+
+    return new Promise((resolve) => {
+        res.end.mockImplementation((data) => resolve({status: res.writeHead.mock.calls[0][0], data: JSON.parse(data)}));
+        httpApi.onRequest(req, res);
+        if (body !== undefined) {
+            req.emit('data', JSON.stringify(body));
+        }
+        req.emit('end');
+    });
+};
+
+let httpApi;
+let bridgeConfig;
+
+describe('HTTP API', () => {
+    beforeEach(() => {
+        utils.stubLogger(jest);
+        zigbee.publish.mockClear();
+        bridgeConfig = new BridgeConfig(zigbee, mqtt, state, () => {});
+        httpApi = new HttpApi(zigbee, mqtt, state, () => {}, {
+            bridgeConfig,
+            devicePublish: new DevicePublish(zigbee, mqtt, state, () => {}),
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('Should return 404 for an unknown path', async () => {
+        const response = await request('GET', '/api/unknown');
+        expect(response.status).toBe(404);
+    });
+
+    it('Should return 405 for an unsupported method', async () => {
+        const response = await request('PUT', '/api/devices');
+        expect(response.status).toBe(405);
+    });
+
+    it('Should return 400 for a malformed path', async () => {
+        const response = await request('GET', '/api/devices/%E0%A4%A');
+        expect(response.status).toBe(400);
+        expect(response.data.error).toMatch(/^Invalid path/);
+    });
+
+    it('Should list devices', async () => {
+        jest.spyOn(settings, 'getDevice').mockReturnValue({friendly_name: 'bulb'});
+        zigbee.getDevices.mockReturnValue([
+            {ieeeAddr: '0x01', type: 'Coordinator'},
+            {ieeeAddr: '0x02', type: 'Router', modelId: 'TRADFRI bulb E27 CWS opal 600lm'},
+        ]);
+
+        const response = await request('GET', '/api/devices');
+        expect(response.status).toBe(200);
+        expect(response.data).toHaveLength(2);
+        expect(response.data[1].friendly_name).toBe('bulb');
+        expect(response.data[1].model).toBe('LED1624G9');
+    });
+
+    it('Should get the state of an entity', async () => {
+        jest.spyOn(settings, 'getIeeeAddrByFriendlyName').mockReturnValue('0x02');
+        state.exists.mockReturnValue(true);
+        state.get.mockReturnValue({state: 'ON'});
+
+        const response = await request('GET', '/api/state/bulb');
+        expect(response.status).toBe(200);
+        expect(response.data).toStrictEqual({state: 'ON'});
+        expect(state.get).toHaveBeenCalledWith('0x02');
+    });
+
+    it('Should set state through the converters', async () => {
+        jest.spyOn(settings, 'getIeeeAddrByFriendlyName').mockReturnValue('0x02');
+        zigbee.getDevice.mockReturnValue({modelId: 'TRADFRI bulb E27 CWS opal 600lm'});
+
+        const response = await request('POST', '/api/state/bulb/set', {state: 'ON'});
+        expect(response.status).toBe(202);
+        expect(zigbee.publish).toHaveBeenCalledTimes(1);
+        expect(zigbee.publish.mock.calls[0][0]).toBe('0x02');
+        expect(zigbee.publish.mock.calls[0][2]).toBe('genOnOff');
+        expect(zigbee.publish.mock.calls[0][3]).toBe('on');
+    });
+
+    it('Should fail on an invalid body', async () => {
+        const req = new EventEmitter();
+        req.method = 'POST';
+        req.url = '/api/permit_join';
+        const res = {writeHead: jest.fn(), end: jest.fn()};
+        httpApi.onRequest(req, res);
+        req.emit('data', 'invalid');
+        req.emit('end');
+        expect(res.writeHead).toHaveBeenCalledWith(400, {'Content-Type': 'application/json'});
+    });
+
+    it('Should reject a body which is not a JSON object', async () => {
+        for (const body of [null, 1, 'on', [true]]) {
+            const response = await request('POST', '/api/permit_join', body);
+            expect(response).toStrictEqual({status: 400, data: {error: 'Body has to be a JSON object'}});
+        }
+
+        expect(zigbee.permitJoin).not.toHaveBeenCalled();
+    });
+
+    it('Should answer 500 when a handler fails', async () => {
+        jest.spyOn(settings, 'resolveEntity').mockImplementation(() => {
+            throw new Error('broken');
+        });
+        const response = await request('GET', '/api/state/bulb');
+        expect(response).toStrictEqual({status: 500, data: {error: 'broken'}});
+    });
+
+    it('Should set permit join', async () => {
+        zigbee.getPermitJoin.mockReturnValue(true);
+        const response = await request('POST', '/api/permit_join', {value: true});
+        expect(response.status).toBe(200);
+        expect(response.data).toStrictEqual({value: true});
+        expect(zigbee.permitJoin).toHaveBeenCalledWith(true, expect.any(Function));
+    });
+
+    it('Should share the permit join timer with bridge/config', async () => {
+        jest.useFakeTimers();
+        const response = await request('POST', '/api/permit_join', {value: true, time: 60});
+        expect(response.status).toBe(200);
+        expect(bridgeConfig.getPermitJoinTimeout()).toBe(60);
+        bridgeConfig.stop();
+        jest.useRealTimers();
+    });
+
+    it('Should require the token when configured', async () => {
+        const current = settings.get();
+        jest.spyOn(settings, 'get').mockReturnValue({...current, http: {...current.http, token: 'secret'}});
+        zigbee.getPermitJoin.mockReturnValue(false);
+
+        expect((await request('GET', '/api/permit_join')).status).toBe(401);
+        const authorized = (token) => request('GET', '/api/permit_join', undefined, {authorization: `Bearer ${token}`});
+        expect((await authorized('wrong')).status).toBe(401);
+        expect((await authorized('secret')).status).toBe(200);
+        expect((await request('GET', '/api/permit_join?token=secret')).status).toBe(200);
+    });
+
+    it('Should only listen on localhost by default', () => {
+        expect(settings.get().http).toStrictEqual({enabled: false, host: '127.0.0.1', port: 8081, token: null});
+    });
+});
@@ -0,0 +1,20 @@
+const installCode = require('../lib/util/installCode');
+
+describe('Install code', () => {
+    it('Should derive the link key from an install code', () => {
+        const key = installCode.deriveLinkKey('83FED3407A939723A5C639B26916D505C3B5');
+        expect(key.toString('hex')).toBe('66b6900981e1ee3ca4206b6b861c02bb');
+    });
+
+    it('Should ignore spaces and dashes', () => {
+        const key = installCode.deriveLinkKey('83FE D340 7A93 9723 A5C6 39B2 6916 D505-C3B5');
+        expect(key.toString('hex')).toBe('66b6900981e1ee3ca4206b6b861c02bb');
+    });
+
+    it('Should throw on an invalid install code', () => {
+        expect(() => installCode.parse('83FED3407A93')).toThrow(`'83FED3407A93' is not a valid install code`);
+        expect(() => installCode.parse('83FED3407A939723A5C639B26916D505C3B6')).toThrow(
+            `Install code '83FED3407A939723A5C639B26916D505C3B6' has an invalid CRC`
+        );
+    });
+});
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rimraf = require('rimraf');
+const data = require('../lib/util/data');
+const NetworkHealth = require('../lib/extension/networkHealth');
+const utils = require('./utils');
+
+const devices = [
+    {ieeeAddr: '0x00', type: 'Coordinator'},
+    {ieeeAddr: '0x01', type: 'Router'},
+    {ieeeAddr: '0x02', type: 'EndDevice'},
+];
+
+const zigbee = {
+    networkScan: jest.fn(),
+    routingScan: jest.fn().mockImplementation((callback) => callback([])),
+    getDevices: () => devices,
+    getDevice: (ieeeAddr) => devices.find((d) => d.ieeeAddr === ieeeAddr),
+};
+
+const mqtt = {
+    respond: jest.fn(),
+    log: jest.fn(),
+    publish: jest.fn(),
+};
+
+const hour = 3600 * 1000;
+
+let directory;
+
+describe('Network health', () => {
+    beforeEach(() => {
+        utils.stubLogger(jest);
+        mqtt.respond.mockClear();
+        mqtt.log.mockClear();
+        mqtt.publish.mockClear();
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'zigbee2mqtt-health-'));
+        process.env.ZIGBEE2MQTT_DATA = directory;
+        data._reload();
+    });
+
+    afterEach(() => {
+        delete process.env.ZIGBEE2MQTT_DATA;
+        data._reload();
+        rimraf.sync(directory);
+        jest.restoreAllMocks();
+    });
+
+    it('Should warn when the LQI of a link drops', () => {
+        const health = new NetworkHealth(zigbee, mqtt, null, null);
+        [120, 130, 110].forEach((lqi, i) => health.update([{ieeeAddr: '0x01', parent: '0x00', lqi}], i * hour));
+        expect(mqtt.log).not.toHaveBeenCalled();
+
+        health.update([{ieeeAddr: '0x01', parent: '0x00', lqi: 60}], 3 * hour);
+        expect(mqtt.log).toHaveBeenCalledWith(
+            'network_health', `Link quality between '0x01' and 'Coordinator' dropped to 60 (average 120)`,
+            {friendly_name: '0x01', reason: 'link_degraded'}
+        );
+
+        // History is persisted across restarts.
+        const restarted = new NetworkHealth(zigbee, mqtt, null, null);
+        expect(restarted.getSummary().devices['0x01']).toStrictEqual({
+            ieeeAddr: '0x01', links: {Coordinator: {lqi: 60, average: 105, minimum: 60}}, parent: null,
+            parent_changes: 0, routes: {}, route_changes: 0, linkquality: null, warnings: ['link_degraded'],
+        });
+    });
+
+    it('Should warn when an end device keeps changing its parent', () => {
+        const health = new NetworkHealth(zigbee, mqtt, null, null);
+        ['0x00', '0x01', '0x00'].forEach((parent, i) => {
+            health.update([{ieeeAddr: '0x02', parent, lqi: 100}], i * hour);
+        });
+        expect(mqtt.log).not.toHaveBeenCalled();
+
+        health.update([{ieeeAddr: '0x02', parent: '0x01', lqi: 100}], 3 * hour);
+        expect(mqtt.log).toHaveBeenCalledWith(
+            'network_health', `'0x02' changed its parent 3 times in the last 24 hours (now '0x01')`,
+            {friendly_name: '0x02', reason: 'parent_unstable'}
+        );
+
+        // Changes outside the window are not counted.
+        health.update([{ieeeAddr: '0x02', parent: '0x00', lqi: 100}], 30 * hour);
+        expect(mqtt.log).toHaveBeenCalledTimes(1);
+        expect(health.getSummary().devices['0x02'].parent).toBe('Coordinator');
+    });
+
+    it('Should warn when a router keeps changing its route to a destination', () => {
+        const health = new NetworkHealth(zigbee, mqtt, null, null);
+        const route = (nextHop, status='active') => {
+            return {ieeeAddr: '0x00', destination: '0x02', next_hop: nextHop, status};
+        };
+        ['0x01', '0x02', '0x02', '0x01'].forEach((nextHop, i) => health.update([], i * hour, [route(nextHop)]));
+        expect(mqtt.log).not.toHaveBeenCalled();
+
+        // Inactive routes and routes to unknown devices are not recorded.
+        health.update([], 4 * hour, [route('0x02', 'inactive'), {...route('0x01'), destination: '0x09'}]);
+        expect(health.getSummary().devices.Coordinator.route_changes).toBe(2);
+
+        health.update([], 5 * hour, [route('0x02')]);
+        expect(mqtt.log).toHaveBeenCalledWith(
+            'network_health', `'Coordinator' changed its route to '0x02' 3 times in the last 24 hours (now via '0x02')`,
+            {friendly_name: 'Coordinator', reason: 'route_unstable'}
+        );
+        expect(health.getSummary().devices.Coordinator).toStrictEqual({
+            ieeeAddr: '0x00', links: {}, parent: null, parent_changes: 0, routes: {'0x02': '0x02'}, route_changes: 3,
+            linkquality: null, warnings: ['route_unstable'],
+        });
+    });
+
+    it('Should publish the summary after a scan', () => {
+        zigbee.networkScan.mockImplementationOnce((callback) => {
+            callback(null, [{ieeeAddr: '0x02', parent: '0x01', lqi: 80}]);
+        });
+        zigbee.routingScan.mockImplementationOnce((callback) => {
+            callback([{ieeeAddr: '0x01', destination: '0x02', next_hop: '0x02', status: 'active'}]);
+        });
+
+        const health = new NetworkHealth(zigbee, mqtt, null, null);
+        health.onZigbeeMessage({linkquality: 70}, devices[2], null);
+        health.onZigbeeMessage({linkquality: 90}, devices[2], null);
+        health.onMQTTMessage('zigbee2mqtt/bridge/request/health', JSON.stringify({value: 'scan', transaction: 3}));
+
+        const summary = {
+            last_scan: expect.any(String),
+            devices: {
+                '0x02': {
+                    ieeeAddr: '0x02', links: {'0x01': {lqi: 80, average: 80, minimum: 80}}, parent: '0x01',
+                    parent_changes: 0, routes: {}, route_changes: 0, linkquality: 80, warnings: [],
+                },
+                '0x01': {
+                    ieeeAddr: '0x01', links: {}, parent: null, parent_changes: 0, routes: {'0x02': '0x02'},
+                    route_changes: 0, linkquality: null, warnings: [],
+                },
+            },
+        };
+        expect(mqtt.respond).toHaveBeenCalledWith('health', 3, null, summary);
+        expect(mqtt.publish).toHaveBeenCalledWith('bridge/health', expect.any(String), {retain: true, qos: 0});
+        expect(JSON.parse(mqtt.publish.mock.calls[0][1])).toStrictEqual(summary);
+    });
+
+    it('Should respond with an error and allow a new scan when the scan fails', () => {
+        zigbee.networkScan.mockImplementationOnce((callback) => callback(new Error('timeout')));
+
+        const health = new NetworkHealth(zigbee, mqtt, null, null);
+        health.onMQTTMessage('zigbee2mqtt/bridge/request/health', JSON.stringify({value: 'scan', transaction: 4}));
+        expect(mqtt.respond).toHaveBeenCalledWith('health', 4, 'Network scan failed (Error: timeout)', undefined);
+        expect(mqtt.publish).not.toHaveBeenCalled();
+        expect(health.scanning).toBe(false);
+
+        zigbee.networkScan.mockImplementationOnce((callback) => callback(null, []));
+        health.onMQTTMessage('zigbee2mqtt/bridge/request/health', JSON.stringify({value: 'scan', transaction: 5}));
+        expect(mqtt.respond).toHaveBeenLastCalledWith('health', 5, null, {last_scan: expect.any(String), devices: {}});
+    });
+
+    it('Should forget devices which have been removed from the network', () => {
+        const health = new NetworkHealth(zigbee, mqtt, null, null);
+        devices.push({ieeeAddr: '0x03', type: 'Router'});
+        health.update([{ieeeAddr: '0x03', parent: '0x00', lqi: 90}, {ieeeAddr: '0x02', parent: '0x03', lqi: 80}], 0);
+        expect(Object.keys(health.history.devices)).toStrictEqual(['0x03', '0x02']);
+
+        devices.pop();
+        health.onZigbeeMessage({linkquality: 70}, {ieeeAddr: '0x03'}, null);
+        health.update([], hour);
+        expect(Object.keys(health.history.devices)).toStrictEqual(['0x02']);
+        expect(health.history.devices['0x02'].links).toStrictEqual({});
+    });
+});
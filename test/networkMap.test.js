@@ -0,0 +1,160 @@
+const settings = require('../lib/util/settings');
+const NetworkMap = require('../lib/extension/networkMap');
+const utils = require('./utils');
+
+const devices = [
+    {ieeeAddr: '0x00', nwkAddr: 0, type: 'Coordinator', status: 'online'},
+    {ieeeAddr: '0x01', nwkAddr: 1, type: 'Router', status: 'online', modelId: 'lumi.plug'},
+    {ieeeAddr: '0x02', nwkAddr: 2, type: 'EndDevice', status: 'offline', manufName: 'ACME', modelId: 'sensor'},
+];
+
+const topology = [
+    {ieeeAddr: '0x01', parent: '0x00', lqi: 120},
+    {ieeeAddr: '0x02', parent: '0x01', lqi: 0},
+];
+
+const routes = [
+    {ieeeAddr: '0x00', destination: '0x02', next_hop: '0x01', status: 'active'},
+    {ieeeAddr: '0x00', destination: '0x0003', next_hop: '0x01', status: 'active'},
+    {ieeeAddr: '0x01', destination: '0x00', next_hop: '0x00', status: 'inactive'},
+];
+
+const zigbee = {
+    networkScan: jest.fn((callback) => callback(null, topology)),
+    routingScan: jest.fn((callback) => callback(routes)),
+    getDevices: () => devices,
+    getDevice: (ieeeAddr) => devices.find((d) => d.ieeeAddr === ieeeAddr),
+};
+
+const mqtt = {
+    respond: jest.fn(),
+    publish: jest.fn(),
+};
+
+let networkMap;
+
+describe('Network map', () => {
+    beforeEach(() => {
+        utils.stubLogger(jest);
+        mqtt.respond.mockClear();
+        mqtt.publish.mockClear();
+        zigbee.networkScan.mockClear();
+        zigbee.routingScan.mockClear();
+        jest.spyOn(settings, 'getDevice').mockImplementation((ieeeAddr) => {
+            return ieeeAddr === '0x01' ? {friendly_name: 'plug'} : null;
+        });
+        networkMap = new NetworkMap(zigbee, mqtt, null, null);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('Should publish the map as json graph', () => {
+        networkMap.onMQTTMessage('zigbee2mqtt/bridge/networkmap', 'json');
+        expect(zigbee.routingScan).not.toHaveBeenCalled();
+        expect(mqtt.publish).toHaveBeenCalledWith('bridge/networkmap/json', expect.any(String), {});
+
+        const map = JSON.parse(mqtt.publish.mock.calls[0][1]);
+        expect(map.nodes[1]).toStrictEqual({
+            ieeeAddr: '0x01', friendly_name: 'plug', type: 'Router', model: 'ZNCZ02LM', vendor: 'Xiaomi',
+            description: 'Xiaomi Mi power plug ZigBee (ZNCZ02LM)', status: 'online',
+        });
+        expect(map.nodes[2]).toMatchObject({friendly_name: '0x02', model: 'sensor', vendor: 'ACME'});
+        const plug = {ieeeAddr: '0x01', friendly_name: 'plug'};
+        expect(map.links).toStrictEqual([
+            {source: plug, target: {ieeeAddr: '0x00', friendly_name: '0x00'}, lqi: 120},
+            {source: {ieeeAddr: '0x02', friendly_name: '0x02'}, target: plug, lqi: 0},
+        ]);
+    });
+
+    it('Should respond with the map in plantuml and mermaid', () => {
+        networkMap.onMQTTMessage('zigbee2mqtt/bridge/request/networkmap', JSON.stringify({value: 'plantuml'}));
+        const plantuml = mqtt.respond.mock.calls[0][3].value;
+        expect(plantuml).toMatch(/^@startuml\n/);
+        expect(plantuml).toContain('card 0x01 [\nplug\n---\nRouter\n---\nXiaomi Mi power plug ZigBee (ZNCZ02LM)');
+        expect(plantuml).toContain('0x01 --> 0x00 : 120\n0x02 ..> 0x01 : 0\n@enduml');
+
+        networkMap.onMQTTMessage('zigbee2mqtt/bridge/request/networkmap', 'mermaid');
+        const mermaid = mqtt.respond.mock.calls[1][3].value;
+        expect(mermaid).toContain('  0x00{{"0x00<br/>Coordinator<br/>No model information available"}}');
+        expect(mermaid).toContain('  0x02(["0x02<br/>EndDevice<br/>ACME sensor"])');
+        expect(mermaid).toContain('  0x01 -->|120| 0x00\n  0x02 -.->|0| 0x01');
+    });
+
+    it('Should escape the labels of the mermaid map', () => {
+        settings.getDevice.mockImplementation((ieeeAddr) => {
+            return ieeeAddr === '0x01' ? {friendly_name: 'plug "kitchen" [1] #2 <b>'} : null;
+        });
+
+        networkMap.onMQTTMessage('zigbee2mqtt/bridge/networkmap/routes', 'mermaid');
+        const mermaid = mqtt.publish.mock.calls[0][1];
+        expect(mermaid).toContain('  0x01("plug #34;kitchen#34; #91;1#93; #35;2 #60;b#62;<br/>Router<br/>');
+        expect(mermaid).toContain('  0x00 ==>|"0x02<br/>0x0003"| 0x01');
+    });
+
+    it('Should escape the labels of the graphviz and plantuml maps', () => {
+        const names = {'0x01': 'plug "a" |b| {c} <d> \\', '0x02': 'sensor [e]\n---'};
+        settings.getDevice.mockImplementation((ieeeAddr) => {
+            return names[ieeeAddr] ? {friendly_name: names[ieeeAddr]} : null;
+        });
+
+        networkMap.onMQTTMessage('zigbee2mqtt/bridge/networkmap/routes', 'graphviz');
+        const graphviz = mqtt.publish.mock.calls[0][1];
+        expect(graphviz).toContain('label="{plug \\"a\\" \\|b\\| \\{c\\} \\<d\\> \\\\|Router|');
+        expect(graphviz).toContain('label="sensor [e]\n---\\n0x0003"]');
+
+        networkMap.onMQTTMessage('zigbee2mqtt/bridge/networkmap/routes', 'plantuml');
+        const plantuml = mqtt.publish.mock.calls[1][1];
+        expect(plantuml).toContain('card 0x01 [\nplug "a" |b| {c} <d> \\\n---\nRouter\n---\n');
+        expect(plantuml).toContain('card 0x02 [\nsensor &#91;e&#93; ---\n---\nEndDevice\n---\n');
+        expect(plantuml).toContain('0x00 -[#blue,bold]-> 0x01 : sensor &#91;e&#93; ---\\n0x0003\n');
+    });
+
+    it('Should add the active routes to the graphviz map', () => {
+        networkMap.onMQTTMessage(
+            'zigbee2mqtt/bridge/request/networkmap', JSON.stringify({type: 'graphviz', routes: true, transaction: 2})
+        );
+        expect(zigbee.routingScan).toHaveBeenCalled();
+        expect(mqtt.respond).toHaveBeenCalledWith('networkmap', 2, null, {
+            type: 'graphviz', routes: true, value: expect.any(String),
+        });
+
+        const graphviz = mqtt.respond.mock.calls[0][3].value;
+        expect(graphviz).toContain('  "0x02" -> "0x01" [style="dashed", label="0"]\n');
+        expect(graphviz).toContain('  "0x00" -> "0x01" [style="bold", color="blue", label="0x02\\n0x0003"]\n');
+        expect(graphviz).not.toContain('"0x01" -> "0x00" [style="bold"');
+    });
+
+    it('Should add the routes to the json, plantuml and mermaid map', () => {
+        networkMap.onMQTTMessage('zigbee2mqtt/bridge/networkmap/routes', 'json');
+        expect(JSON.parse(mqtt.publish.mock.calls[0][1]).routes[0]).toStrictEqual({
+            source: {ieeeAddr: '0x00', friendly_name: '0x00'}, destination: {ieeeAddr: '0x02', friendly_name: '0x02'},
+            next_hop: {ieeeAddr: '0x01', friendly_name: 'plug'}, status: 'active',
+        });
+
+        networkMap.onMQTTMessage('zigbee2mqtt/bridge/networkmap/routes', 'plantuml');
+        expect(mqtt.publish.mock.calls[1][1]).toContain('0x00 -[#blue,bold]-> 0x01 : 0x02\\n0x0003\n');
+
+        networkMap.onMQTTMessage('zigbee2mqtt/bridge/networkmap/routes', 'mermaid');
+        expect(mqtt.publish.mock.calls[2][1]).toContain('  0x00 ==>|"0x02<br/>0x0003"| 0x01');
+        expect(zigbee.routingScan).toHaveBeenCalledTimes(3);
+    });
+
+    it('Should not support unknown formats', () => {
+        const message = JSON.stringify({value: 'svg', transaction: 1});
+        networkMap.onMQTTMessage('zigbee2mqtt/bridge/request/networkmap', message);
+        expect(zigbee.networkScan).not.toHaveBeenCalled();
+        expect(mqtt.respond).toHaveBeenCalledWith('networkmap', 1,
+            `Network map type 'svg' is not supported, use: raw,graphviz,plantuml,mermaid,json`, {type: 'svg'});
+    });
+
+    it('Should respond with an error when the network scan fails', () => {
+        zigbee.networkScan.mockImplementationOnce((callback) => callback(new Error('timeout')));
+        const message = JSON.stringify({value: 'raw', transaction: 2});
+        networkMap.onMQTTMessage('zigbee2mqtt/bridge/request/networkmap', message);
+        expect(mqtt.respond).toHaveBeenCalledWith('networkmap', 2, 'Network scan failed (Error: timeout)',
+            {type: 'raw'});
+        expect(mqtt.publish).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,119 @@
+const Zigbee = require('../lib/zigbee');
+const NetworkTables = require('../lib/extension/networkTables');
+const MQTT = require('../lib/mqtt');
+const settings = require('../lib/util/settings');
+const utils = require('./utils');
+
+const devices = [
+    {ieeeAddr: '0x00', nwkAddr: 0, type: 'Coordinator'},
+    {ieeeAddr: '0x01', nwkAddr: 0x1234, type: 'Router'},
+    {ieeeAddr: '0x02', nwkAddr: 0x5678, type: 'EndDevice'},
+];
+
+const mqtt = {
+    reply: MQTT.prototype.reply,
+    respond: jest.fn(),
+    publish: jest.fn(),
+};
+
+let zigbee;
+let controller;
+let networkTables;
+
+describe('Network tables', () => {
+    beforeEach(() => {
+        utils.stubLogger(jest);
+        mqtt.respond.mockClear();
+        mqtt.publish.mockClear();
+        controller = {request: jest.fn()};
+        zigbee = new Zigbee();
+        zigbee.shepherd = {controller};
+        jest.spyOn(zigbee, 'getDevices').mockReturnValue(devices);
+        jest.spyOn(zigbee, 'getDevice').mockImplementation((ieeeAddr) => devices.find((d) => d.ieeeAddr === ieeeAddr));
+        jest.spyOn(settings, 'getIeeeAddrByFriendlyName').mockImplementation((name) => {
+            return name === 'router' ? '0x01' : null;
+        });
+        jest.spyOn(settings, 'getDevice').mockImplementation((ieeeAddr) => {
+            return ieeeAddr === '0x01' ? {friendly_name: 'router'} : null;
+        });
+        networkTables = new NetworkTables(zigbee, mqtt, null, null);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('Should read the routing table of a router', () => {
+        controller.request.mockImplementation((subsys, cmd, payload, callback) => callback(null, {
+            routingtableentries: 2, routingtablelist: [
+                {destNwkAddr: 0x5678, routeStatus: 0, nextHopNwkAddr: 0x5678},
+                {destNwkAddr: 0x9abc, routeStatus: 2, nextHopNwkAddr: 0},
+            ],
+        }));
+
+        networkTables.onMQTTMessage('zigbee2mqtt/bridge/request/device/router/routing_table', '{"transaction":4}');
+        expect(controller.request).toHaveBeenCalledWith(
+            'ZDO', 'mgmtRtgReq', {dstaddr: 0x1234, startindex: 0}, expect.any(Function)
+        );
+        expect(mqtt.respond).toHaveBeenCalledWith('device/router/routing_table', 4, null, {
+            friendly_name: 'router',
+            routing_table: [
+                {
+                    destination: {ieeeAddr: '0x02', friendly_name: '0x02'},
+                    next_hop: {ieeeAddr: '0x02', friendly_name: '0x02'}, status: 'active',
+                },
+                {
+                    destination: {ieeeAddr: '0x9abc', friendly_name: '0x9abc'},
+                    next_hop: {ieeeAddr: '0x00', friendly_name: '0x00'}, status: 'discovery_failed',
+                },
+            ],
+        });
+    });
+
+    it('Should read all pages of the routing table', () => {
+        const pages = [
+            [{destNwkAddr: 0x5678, routeStatus: 0, nextHopNwkAddr: 0x5678}],
+            [{destNwkAddr: 0x9abc, routeStatus: 2, nextHopNwkAddr: 0}],
+        ];
+        controller.request.mockImplementation((subsys, cmd, payload, callback) => callback(null, {
+            routingtableentries: 2, startindex: payload.startindex, routingtablelist: pages[payload.startindex],
+        }));
+
+        networkTables.onMQTTMessage('zigbee2mqtt/bridge/request/device/router/routing_table', '{"transaction":5}');
+        expect(controller.request.mock.calls.map((c) => c[2].startindex)).toEqual([0, 1]);
+        expect(mqtt.respond.mock.calls[0][3].routing_table.map((r) => r.destination.ieeeAddr))
+            .toStrictEqual(['0x02', '0x9abc']);
+    });
+
+    it('Should read the neighbor table of the coordinator', () => {
+        controller.request.mockImplementation((subsys, cmd, payload, callback) => callback(null, {
+            neighbortableentries: 1, neighborlqilist: [{
+                extPandId: '0xdddddddddddddddd', extAddr: '0x01', nwkAddr: 0x1234, deviceType: 1, rxOnWhenIdle: 1,
+                relationship: 2, permitJoin: 0, depth: 1, lqi: 150,
+            }],
+        }));
+
+        networkTables.onMQTTMessage('zigbee2mqtt/bridge/device/0x00/neighbor_table', '');
+        expect(controller.request.mock.calls[0][1]).toBe('mgmtLqiReq');
+        expect(mqtt.publish).toHaveBeenCalledWith('bridge/device/0x00/neighbor_table/result', JSON.stringify({
+            friendly_name: '0x00',
+            neighbor_table: [{
+                ieeeAddr: '0x01', friendly_name: 'router', nwkAddr: 0x1234, type: 'Router', relationship: 'sibling',
+                rx_on_when_idle: true, depth: 1, lqi: 150,
+            }],
+        }), {retain: false});
+    });
+
+    it('Should refuse end devices and report failures', () => {
+        networkTables.onMQTTMessage('zigbee2mqtt/bridge/request/device/0x02/neighbor_table', '');
+        expect(mqtt.respond).toHaveBeenCalledWith(
+            'device/0x02/neighbor_table', undefined, `Device '0x02' is not a router`, undefined
+        );
+
+        controller.request.mockImplementation((subsys, cmd, payload, callback) => callback(new Error('timeout')));
+        networkTables.onMQTTMessage('zigbee2mqtt/bridge/request/device/router/routing_table', '');
+        expect(mqtt.respond).toHaveBeenCalledWith('device/router/routing_table', undefined,
+            `Failed to read routing table of 'router' (Error: timeout)`, undefined);
+        expect(networkTables.onMQTTMessage('zigbee2mqtt/bridge/device/router/inspect', '')).toBe(false);
+    });
+});
@@ -0,0 +1,133 @@
+const OtaUpdate = require('../lib/extension/otaUpdate');
+const MQTT = require('../lib/mqtt');
+const ota = require('../lib/util/ota');
+const settings = require('../lib/util/settings');
+const utils = require('./utils');
+
+const createImage = (manufacturerCode, imageType, fileVersion, size) => {
+    const buffer = Buffer.alloc(size);
+    buffer.writeUInt32LE(0x0BEEF11E, 0);
+    buffer.writeUInt16LE(0x0100, 4);
+    buffer.writeUInt16LE(56, 6);
+    buffer.writeUInt16LE(manufacturerCode, 10);
+    buffer.writeUInt16LE(imageType, 12);
+    buffer.writeUInt32LE(fileVersion, 14);
+    buffer.write('test image', 20);
+    buffer.writeUInt32LE(size, 52);
+    return buffer;
+};
+
+// Client to server frame with the header [fieldControl, manufacturerCode, imageType, fileVersion].
+const createRequest = (cmdId, fileVersion, extra=Buffer.alloc(0)) => {
+    const payload = Buffer.alloc(9);
+    payload.writeUInt16LE(4476, 1);
+    payload.writeUInt16LE(8449, 3);
+    payload.writeUInt32LE(fileVersion, 5);
+    return {clusterid: 25, data: Buffer.concat([Buffer.from([0x01, 10, cmdId]), payload, extra])};
+};
+
+const endpoint = {epId: 1, outClusterList: [25], device: {ieeeAddr: '0x12', epList: [1]}};
+
+const zigbee = {
+    getDevice: jest.fn(() => endpoint.device),
+    getEndpoint: jest.fn(() => endpoint),
+    sendRaw: jest.fn((ieeeAddr, ep, cid, payload, callback) => callback(null)),
+};
+
+const mqtt = {
+    reply: MQTT.prototype.reply,
+    respond: jest.fn(),
+    log: jest.fn(),
+};
+
+let otaUpdate;
+let publishEntityState;
+
+describe('OTA update', () => {
+    beforeEach(() => {
+        utils.stubLogger(jest);
+        jest.useFakeTimers();
+        zigbee.sendRaw.mockClear();
+        mqtt.respond.mockClear();
+        publishEntityState = jest.fn();
+        otaUpdate = new OtaUpdate(zigbee, mqtt, null, publishEntityState);
+        jest.spyOn(ota, 'readImages').mockReturnValue([
+            {file: 'image.ota', ...ota.parseImage(createImage(4476, 8449, 200, 200))},
+        ]);
+        jest.spyOn(settings, 'getDevice').mockReturnValue({friendly_name: 'bulb'});
+        jest.spyOn(settings, 'getIeeeAddrByFriendlyName').mockReturnValue('0x12');
+    });
+
+    afterEach(() => {
+        otaUpdate.stop();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('Should parse an OTA file with a prefix', () => {
+        const image = ota.parseImage(Buffer.concat([Buffer.from([1, 2, 3]), createImage(4476, 8449, 200, 100)]));
+        expect(image.header.manufacturerCode).toBe(4476);
+        expect(image.header.imageType).toBe(8449);
+        expect(image.header.fileVersion).toBe(200);
+        expect(image.header.headerString).toBe('test image');
+        expect(image.data).toHaveLength(100);
+    });
+
+    it('Should not parse an invalid or truncated OTA file', () => {
+        expect(() => ota.parseImage(Buffer.alloc(100))).toThrow('file identifier not found');
+        expect(() => ota.parseImage(createImage(4476, 8449, 200, 100).slice(0, 80))).toThrow('truncated');
+    });
+
+    it('Should answer a query of a device without an update request with no image available', () => {
+        otaUpdate.onAfIncomingMsg(createRequest(0x01, 100), endpoint);
+        expect(zigbee.sendRaw).toHaveBeenCalledWith('0x12', 1, 'genOta', Buffer.from([0x19, 10, 0x02, 0x98]),
+            expect.any(Function));
+        expect(publishEntityState).toHaveBeenCalledWith('0x12', {update_available: true});
+    });
+
+    it('Should check for an update', () => {
+        otaUpdate.onMQTTMessage('zigbee2mqtt/bridge/request/ota_update/check', 'bulb');
+        expect(zigbee.sendRaw.mock.calls[0][3]).toStrictEqual(Buffer.from([0x19, 1, 0x00, 0x00, 100]));
+
+        otaUpdate.onAfIncomingMsg(createRequest(0x01, 100), endpoint);
+        expect(mqtt.respond).toHaveBeenCalledWith('ota_update/check', undefined, null, {
+            friendly_name: 'bulb', update_available: true, current_version: 100, available_version: 200,
+        });
+    });
+
+    it('Should fail a check when the device does not respond', () => {
+        otaUpdate.onMQTTMessage('zigbee2mqtt/bridge/request/ota_update/check', 'bulb');
+        jest.advanceTimersByTime(61 * 1000);
+        expect(mqtt.respond).toHaveBeenCalledWith('ota_update/check', undefined,
+            'Device \'bulb\' didn\'t respond to OTA request', undefined);
+    });
+
+    it('Should update a device', () => {
+        otaUpdate.onMQTTMessage('zigbee2mqtt/bridge/request/ota_update/update', 'bulb');
+        otaUpdate.onAfIncomingMsg(createRequest(0x01, 100), endpoint);
+        const queryResponse = zigbee.sendRaw.mock.calls[1][3];
+        expect(queryResponse.readUInt8(3)).toBe(0x00);
+        expect(queryResponse.readUInt32LE(8)).toBe(200);
+        expect(queryResponse.readUInt32LE(12)).toBe(200);
+
+        // Request a block of 100 bytes at offset 100, only 50 are sent.
+        const block = Buffer.alloc(5);
+        block.writeUInt32LE(100, 0);
+        block.writeUInt8(100, 4);
+        otaUpdate.onAfIncomingMsg(createRequest(0x03, 200, block), endpoint);
+        const blockResponse = zigbee.sendRaw.mock.calls[2][3];
+        expect(blockResponse.readUInt8(2)).toBe(0x05);
+        expect(blockResponse.readUInt32LE(12)).toBe(100);
+        expect(blockResponse.readUInt8(16)).toBe(50);
+        expect(blockResponse).toHaveLength(17 + 50);
+        expect(publishEntityState).toHaveBeenCalledWith('0x12',
+            {update_state: 'updating', update_progress: 75, update_remaining: null});
+
+        const end = createRequest(0x06, 200);
+        end.data[3] = 0x00;
+        otaUpdate.onAfIncomingMsg(end, endpoint);
+        expect(zigbee.sendRaw.mock.calls[3][3].readUInt8(2)).toBe(0x07);
+        expect(mqtt.respond).toHaveBeenCalledWith('ota_update/update', undefined, null,
+            {friendly_name: 'bulb', from_version: 100, to_version: 200});
+    });
+});
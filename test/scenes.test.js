@@ -0,0 +1,138 @@
+const Scenes = require('../lib/extension/scenes');
+const settings = require('../lib/util/settings');
+const logger = require('../lib/util/logger');
+const utils = require('./utils');
+
+const zigbee = {
+    getDevice: jest.fn(() => ({modelId: 'TRADFRI bulb E27 CWS opal 600lm'})),
+    publish: jest.fn((ID, type, cid, cmd, cmdType, zclData, cfg, ep, callback) => callback(null)),
+};
+
+const mqtt = {
+    log: jest.fn(),
+};
+
+const state = {
+    get: jest.fn(),
+};
+
+let scenes;
+let publishEntityState;
+
+describe('Scenes', () => {
+    beforeEach(() => {
+        utils.stubLogger(jest);
+        zigbee.publish.mockClear();
+        state.get.mockReset();
+        publishEntityState = jest.fn();
+        scenes = new Scenes(zigbee, mqtt, state, publishEntityState);
+        scenes.scenesCache = {};
+        jest.spyOn(scenes, 'writeScenesCache').mockImplementation(() => {});
+        jest.spyOn(settings, 'getSceneIDByFriendlyName').mockImplementation((name) => name === 'evening' ? '3' : null);
+        jest.spyOn(settings, 'getGroup').mockReturnValue({friendly_name: 'living', devices: ['0x01', '0x02']});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('Should ignore set messages without scene commands', () => {
+        expect(scenes.onMQTTMessage('zigbee2mqtt/bulb/set', JSON.stringify({state: 'ON'}))).toBe(false);
+        expect(scenes.onMQTTMessage('zigbee2mqtt/bulb/set', 'ON')).toBe(false);
+        expect(zigbee.publish).toHaveBeenCalledTimes(0);
+    });
+
+    it('Should store a scene on a device', () => {
+        jest.spyOn(settings, 'resolveEntity').mockReturnValue({ID: '0x01', type: 'device', friendlyName: 'bulb'});
+        state.get.mockReturnValue({state: 'ON', brightness: 100, linkquality: 10});
+
+        expect(scenes.onMQTTMessage('zigbee2mqtt/bulb/set', JSON.stringify({scene_store: 'evening'}))).toBe(true);
+        expect(zigbee.publish).toHaveBeenCalledWith(
+            '0x01', 'device', 'genScenes', 'store', 'functional',
+            {groupid: 0, sceneid: 3}, null, null, expect.any(Function), 'high'
+        );
+        expect(scenes.scenesCache).toStrictEqual({'3': {'0x01': {state: 'ON', brightness: 100}}});
+    });
+
+    it('Should add an unknown scene to the settings on store', () => {
+        jest.spyOn(settings, 'resolveEntity').mockReturnValue({ID: '0x01', type: 'device', friendlyName: 'bulb'});
+        const addScene = jest.spyOn(settings, 'addScene').mockReturnValue(true);
+        settings.getSceneIDByFriendlyName.mockReturnValueOnce(null).mockReturnValueOnce('4');
+
+        scenes.onMQTTMessage('zigbee2mqtt/bulb/set', JSON.stringify({scene_store: 'morning'}));
+        expect(addScene).toHaveBeenCalledWith('morning');
+        expect(zigbee.publish.mock.calls[0][5]).toStrictEqual({groupid: 0, sceneid: 4});
+    });
+
+    it('Should not recall an unknown scene', () => {
+        jest.spyOn(settings, 'resolveEntity').mockReturnValue({ID: '0x01', type: 'device', friendlyName: 'bulb'});
+        scenes.onMQTTMessage('zigbee2mqtt/bulb/set', JSON.stringify({scene_recall: 'morning'}));
+        expect(zigbee.publish).toHaveBeenCalledTimes(0);
+    });
+
+    it('Should log an error when the scene is not a name or ID', () => {
+        jest.spyOn(settings, 'resolveEntity').mockReturnValue({ID: '0x01', type: 'device', friendlyName: 'bulb'});
+        expect(scenes.onMQTTMessage('zigbee2mqtt/bulb/set', JSON.stringify({scene_store: null}))).toBe(true);
+        expect(scenes.onMQTTMessage('zigbee2mqtt/bulb/set', JSON.stringify({scene_recall: {ID: 3}}))).toBe(true);
+        expect(zigbee.publish).toHaveBeenCalledTimes(0);
+        expect(logger.error).toHaveBeenCalledWith(`Invalid scene 'null', use the name or ID of the scene`);
+        expect(logger.error).toHaveBeenCalledWith(`Invalid scene '{"ID":3}', use the name or ID of the scene`);
+    });
+
+    it('Should recall a scene on the endpoint of the topic', () => {
+        const resolveEntity = jest.spyOn(settings, 'resolveEntity')
+            .mockReturnValue({ID: '0x03', type: 'device', friendlyName: 'switch'});
+        zigbee.getDevice.mockReturnValueOnce({modelId: 'lumi.ctrl_neutral2'});
+
+        scenes.onMQTTMessage('zigbee2mqtt/switch/left/set', JSON.stringify({scene_recall: 'evening'}));
+        expect(resolveEntity).toHaveBeenCalledWith('switch');
+        expect(zigbee.publish).toHaveBeenCalledWith(
+            '0x03', 'device', 'genScenes', 'recall', 'functional',
+            {groupid: 0, sceneid: 3}, null, 2, expect.any(Function), 'high'
+        );
+    });
+
+    it('Should recall a scene on a group and publish the stored state of the members', () => {
+        jest.spyOn(settings, 'resolveEntity').mockReturnValue({ID: '1', type: 'group', friendlyName: 'living'});
+        scenes.scenesCache = {'3': {
+            '1': {state: 'ON', brightness: 50},
+            '0x01': {state: 'ON', brightness: 50},
+            '0x02': {state: 'OFF'},
+        }};
+
+        scenes.onMQTTMessage('zigbee2mqtt/living/set', JSON.stringify({scene_recall: 3}));
+        expect(zigbee.publish).toHaveBeenCalledWith(
+            '1', 'group', 'genScenes', 'recall', 'functional',
+            {groupid: 1, sceneid: 3}, null, null, expect.any(Function), 'high'
+        );
+        expect(publishEntityState.mock.calls).toEqual([
+            ['0x02', {state: 'OFF'}],
+            ['0x01', {state: 'ON', brightness: 50}],
+            ['1', {state: 'ON', brightness: 50}],
+        ]);
+    });
+
+    it('Should remove all scenes of a group', () => {
+        jest.spyOn(settings, 'resolveEntity').mockReturnValue({ID: '1', type: 'group', friendlyName: 'living'});
+        scenes.scenesCache = {'3': {'1': {state: 'ON'}, '0x01': {state: 'ON'}, '0x03': {state: 'ON'}}};
+
+        scenes.onMQTTMessage('zigbee2mqtt/living/set', JSON.stringify({scene_remove_all: ''}));
+        expect(zigbee.publish).toHaveBeenCalledWith(
+            '1', 'group', 'genScenes', 'removeAll', 'functional',
+            {groupid: 1}, null, null, expect.any(Function), 'high'
+        );
+        expect(scenes.scenesCache).toStrictEqual({'3': {'0x03': {state: 'ON'}}});
+    });
+
+    it('Should not update the cache when the publish fails', () => {
+        jest.spyOn(settings, 'resolveEntity').mockReturnValue({ID: '0x01', type: 'device', friendlyName: 'bulb'});
+        zigbee.publish.mockImplementationOnce((ID, type, cid, cmd, cmdType, zclData, cfg, ep, callback) => {
+            callback(new Error('timeout'));
+        });
+        state.get.mockReturnValue({state: 'ON'});
+
+        scenes.onMQTTMessage('zigbee2mqtt/bulb/set', JSON.stringify({scene_store: 'evening'}));
+        expect(scenes.scenesCache).toStrictEqual({});
+        expect(mqtt.log).toHaveBeenCalledWith('zigbee_publish_error', 'Error: timeout', expect.any(Object));
+    });
+});
@@ -232,6 +232,72 @@ describe('Settings', () => {
             expect(group).toStrictEqual(expected);
         });
 
+        it('Should add and remove scenes', () => {
+            write(configurationFile, {scenes: {'1': {friendly_name: 'evening'}}});
+
+            expect(settings.addScene('morning')).toBe(true);
+            expect(settings.addScene('morning')).toBe(false);
+            expect(settings.getSceneIDByFriendlyName('morning')).toBe('2');
+            expect(settings.removeScene('evening')).toBe(true);
+            expect(settings.removeScene('evening')).toBe(false);
+            expect(read(configurationFile)).toStrictEqual({scenes: {'2': {friendly_name: 'morning'}}});
+        });
+
+        it('Should notify the changes of groups', () => {
+            const handler = jest.fn();
+            settings.addOnChangeHandler(handler);
+            write(configurationFile, {groups: {'1': {friendly_name: 'kitchen'}}});
+
+            settings.addGroup('hallway');
+            settings.addDeviceToGroup('2', '0x00124b0012345678');
+            expect(settings.changeFriendlyName('hallway', 'corridor')).toBe(true);
+            settings.removeGroup('kitchen');
+            expect(handler.mock.calls).toEqual([
+                [{type: 'group_added', ID: '2', friendly_name: 'hallway'}],
+                [{type: 'group_members_changed', ID: '2', friendly_name: 'hallway'}],
+                [{type: 'group_renamed', ID: '2', from: 'hallway', to: 'corridor'}],
+                [{type: 'group_removed', ID: '1', friendly_name: 'kitchen'}],
+            ]);
+            expect(read(configurationFile)).toStrictEqual(
+                {groups: {'2': {friendly_name: 'corridor', devices: ['0x00124b0012345678']}}}
+            );
+        });
+
+        it('Should notify the rename and removal of devices', () => {
+            const handler = jest.fn();
+            settings.addOnChangeHandler(handler);
+            write(configurationFile, {devices: {'0x00124b0012345678': {friendly_name: 'lamp'}}});
+
+            expect(settings.changeFriendlyName('lamp', 'ceiling')).toBe(true);
+            settings.removeDevice('0x00124b0012345678');
+            expect(handler.mock.calls).toEqual([
+                [{type: 'device_renamed', ieeeAddr: '0x00124b0012345678', from: 'lamp', to: 'ceiling'}],
+                [{type: 'device_removed', ieeeAddr: '0x00124b0012345678', friendly_name: 'ceiling'}],
+            ]);
+        });
+
+        it('Should add and remove devices from the allowlist', () => {
+            write(configurationFile, {});
+
+            settings.allowDevice('0x00124b0012345678');
+            settings.allowDevice('0x00124b0012345678');
+            settings.allowDevice('0x00124b0087654321');
+            expect(settings.disallowDevice('0x00124b0012345678')).toBe(true);
+            expect(settings.disallowDevice('0x00124b0012345678')).toBe(false);
+            expect(read(configurationFile)).toStrictEqual({allowlist_mode: true, allowlist: ['0x00124b0087654321']});
+
+            // Disallowing the last device keeps allowlist mode enabled.
+            expect(settings.disallowDevice('0x00124b0087654321')).toBe(true);
+            expect(settings.get().allowlist_mode).toBe(true);
+            expect(settings.get().allowlist).toStrictEqual([]);
+        });
+
+        it('Should read the allowlist in lowercase', () => {
+            write(configurationFile, {allowlist: ['0x00124B0012345678']});
+            expect(settings.get().allowlist).toStrictEqual(['0x00124b0012345678']);
+            expect(settings.get().allowlist_mode).toBe(false);
+        });
+
         it('Combine everything! groups and devices from separate file :)', () => {
             const contentConfiguration = {
                 devices: 'devices.yaml',
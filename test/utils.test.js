@@ -17,4 +17,61 @@ describe('Utils', () => {
             expect(false).toBe(utils.isXiaomiDevice(device));
         });
     });
+
+    describe('Parse bridge request', () => {
+        it('Plain message', () => {
+            expect(utils.parseBridgeRequest('true')).toStrictEqual({message: 'true', transaction: undefined});
+            expect(utils.parseBridgeRequest('my_device')).toStrictEqual({message: 'my_device', transaction: undefined});
+        });
+
+        it('Value with transaction', () => {
+            const message = JSON.stringify({value: true, transaction: 'abc'});
+            expect(utils.parseBridgeRequest(message)).toStrictEqual({message: 'true', transaction: 'abc'});
+        });
+
+        it('String value with transaction', () => {
+            const message = JSON.stringify({value: 'my_device', transaction: 2});
+            expect(utils.parseBridgeRequest(message)).toStrictEqual({message: 'my_device', transaction: 2});
+        });
+
+        it('Object with transaction', () => {
+            const message = JSON.stringify({old: 'a', new: 'b', transaction: 3});
+            const expected = {message: JSON.stringify({old: 'a', new: 'b'}), transaction: 3};
+            expect(utils.parseBridgeRequest(message)).toStrictEqual(expected);
+        });
+    });
+
+    describe('Series', () => {
+        it('Executes the functions in order', () => {
+            const calls = [];
+            const callback = jest.fn();
+            const funcs = [1, 2, 3].map((i) => (done) => {
+                calls.push(i);
+                done();
+            });
+
+            utils.series(funcs, callback);
+            expect(calls).toStrictEqual([1, 2, 3]);
+            expect(callback).toHaveBeenCalledTimes(1);
+        });
+
+        it('Waits for each function to finish', () => {
+            let finish = null;
+            const second = jest.fn((done) => done());
+            const callback = jest.fn();
+
+            utils.series([(done) => finish = done, second], callback);
+            expect(second).not.toHaveBeenCalled();
+
+            finish();
+            expect(second).toHaveBeenCalled();
+            expect(callback).toHaveBeenCalledTimes(1);
+        });
+
+        it('Calls back without functions', () => {
+            const callback = jest.fn();
+            utils.series([], callback);
+            expect(callback).toHaveBeenCalledTimes(1);
+        });
+    });
 });
@@ -0,0 +1,102 @@
+const ZclCommand = require('../lib/extension/zclCommand');
+const MQTT = require('../lib/mqtt');
+const settings = require('../lib/util/settings');
+const utils = require('./utils');
+
+const zigbee = {
+    getDevice: jest.fn(() => ({ieeeAddr: '0x12'})),
+    publish: jest.fn(),
+};
+
+const mqtt = {
+    reply: MQTT.prototype.reply,
+    respond: jest.fn(),
+    log: jest.fn(),
+};
+
+const respond = (rsp) => (ID, type, cid, cmd, cmdType, zclData, cfg, ep, callback) => callback(null, rsp);
+
+let zclCommand;
+
+describe('ZCL command', () => {
+    beforeEach(() => {
+        utils.stubLogger(jest);
+        zigbee.publish.mockReset();
+        mqtt.respond.mockClear();
+        mqtt.log.mockClear();
+        zclCommand = new ZclCommand(zigbee, mqtt, null, null);
+        jest.spyOn(settings, 'getIeeeAddrByFriendlyName').mockReturnValue('0x12');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('Should read attributes by name and ID', () => {
+        zigbee.publish.mockImplementation(respond([
+            {attrId: 4, status: 0, attrData: 'IKEA'}, {attrId: 5, status: 134},
+        ]));
+
+        const payload = {cluster: 'genBasic', command: 'read', attributes: ['manufacturerName', 5], transaction: 3};
+        zclCommand.onMQTTMessage('zigbee2mqtt/bridge/request/zcl/bulb/1', JSON.stringify(payload));
+        expect(zigbee.publish).toHaveBeenCalledWith(
+            '0x12', 'device', 0, 'read', 'foundation', [{attrId: 4}, {attrId: 5}],
+            {manufSpec: 0, disDefaultRsp: 0}, 1, expect.any(Function)
+        );
+        expect(mqtt.respond).toHaveBeenCalledWith('zcl/bulb', 3, null, {
+            device: 'bulb', endpoint: 1, cluster: 'genBasic', command: 'read',
+            response: {manufacturerName: 'IKEA', modelId: {status: 134}},
+        });
+    });
+
+    it('Should write a manufacturer specific attribute with a type', () => {
+        zigbee.publish.mockImplementation(respond([{status: 0}]));
+
+        const payload = {
+            cluster: 'hvacThermostat', command: 'write', manufacturer_code: 4639,
+            attributes: {'0x4003': {value: 2000, type: 'int16'}, 'occupiedHeatingSetpoint': 2100},
+        };
+        zclCommand.onMQTTMessage('zigbee2mqtt/bridge/zcl/thermostat', JSON.stringify(payload));
+        expect(zigbee.publish).toHaveBeenCalledWith(
+            '0x12', 'device', 513, 'write', 'foundation',
+            [{attrId: 16387, dataType: 41, attrData: 2000}, {attrId: 18, dataType: 41, attrData: 2100}],
+            {manufSpec: 1, manufCode: 4639, disDefaultRsp: 0}, null, expect.any(Function)
+        );
+        expect(mqtt.log).toHaveBeenCalledWith('zcl', {
+            device: 'thermostat', endpoint: null, cluster: 'hvacThermostat', command: 'write',
+            response: {status: 'ok'},
+        });
+    });
+
+    it('Should send a cluster command by ID', () => {
+        zigbee.publish.mockImplementation(respond(undefined));
+
+        const payload = {cluster: 6, command: 2};
+        zclCommand.onMQTTMessage('zigbee2mqtt/bridge/request/zcl/bulb', JSON.stringify(payload));
+        expect(zigbee.publish).toHaveBeenCalledWith(
+            '0x12', 'device', 6, 'toggle', 'functional', {},
+            {manufSpec: 0, disDefaultRsp: 0}, null, expect.any(Function)
+        );
+        expect(mqtt.respond.mock.calls[0][3].response).toBeNull();
+    });
+
+    it('Should fail on invalid input', () => {
+        const send = (payload) => zclCommand.onMQTTMessage('zigbee2mqtt/bridge/request/zcl/bulb', payload);
+        send('invalid');
+        send(JSON.stringify({cluster: 'unknown', command: 'read', attributes: [1]}));
+        send(JSON.stringify({cluster: 'genBasic', command: 'read'}));
+        send(JSON.stringify({cluster: 'genBasic', command: 'write', attributes: {12345: 1}}));
+        send(JSON.stringify({cluster: 'genBasic', command: 'unknown'}));
+        send(JSON.stringify({cluster: true, command: 'read'}));
+
+        expect(zigbee.publish).toHaveBeenCalledTimes(0);
+        expect(mqtt.respond.mock.calls.map((c) => c[2])).toEqual([
+            'Failed to parse \'invalid\' as JSON object',
+            'Unknown cluster \'unknown\'',
+            '\'attributes\' should be a list of attributes to read',
+            'Unknown type of attribute \'12345\', specify it as {"value": ..., "type": ...}',
+            'Unknown command \'unknown\' of cluster \'genBasic\'',
+            'cId should be a number or a string.',
+        ]);
+    });
+});
@@ -0,0 +1,98 @@
+const Zigbee = require('../lib/zigbee');
+const settings = require('../lib/util/settings');
+const utils = require('./utils');
+
+describe('Zigbee', () => {
+    let zigbee;
+    let endpoint;
+
+    beforeEach(() => {
+        utils.stubLogger(jest);
+        jest.useFakeTimers();
+        endpoint = {functional: jest.fn(), foundation: jest.fn()};
+        zigbee = new Zigbee();
+        jest.spyOn(zigbee, 'getEndpoint').mockReturnValue(endpoint);
+    });
+
+    afterEach(() => {
+        zigbee.queue.stop();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    describe('Publish', () => {
+        it('Should execute identical pending attribute writes only once', () => {
+            const write = [{attrId: 0x4003, dataType: 0x30, attrData: 1}];
+            zigbee.publish('0x1', 'device', 'genOnOff', 'write', 'foundation', write, null, 1, () => {});
+            zigbee.publish('0x1', 'device', 'genOnOff', 'write', 'foundation', write, null, 1, () => {});
+            expect(zigbee.queue.queue).toHaveLength(1);
+        });
+
+        it('Should execute every non-idempotent command', () => {
+            zigbee.publish('0x1', 'device', 'genOnOff', 'toggle', 'functional', {}, null, 1, () => {});
+            zigbee.publish('0x1', 'device', 'genOnOff', 'toggle', 'functional', {}, null, 1, () => {});
+            expect(zigbee.queue.queue).toHaveLength(2);
+        });
+
+        it('Should call the callback with an error for an unknown endpoint or group', () => {
+            zigbee.getEndpoint.mockReturnValue(null);
+            const callback = jest.fn();
+            zigbee.publish('0x1', 'device', 'genBasic', 'read', 'foundation', [], null, 99, callback);
+            expect(callback).toHaveBeenCalledWith(new Error(
+                `Cannot publish message to device because '0x1' (endpoint 99) is not known by zigbee-shepherd`
+            ));
+
+            jest.spyOn(zigbee, 'getGroup').mockReturnValue(null);
+            zigbee.publish('5', 'group', 'genOnOff', 'on', 'functional', {}, null, null, callback);
+            expect(callback).toHaveBeenLastCalledWith(new Error(
+                `Cannot publish message to group because '5' is not known by zigbee-shepherd`
+            ));
+            expect(zigbee.queue.queue).toHaveLength(0);
+        });
+
+        it('Should queue commands with the given priority', () => {
+            zigbee.publish('0x1', 'device', 'genOnOff', 'on', 'functional', {}, null, 1, () => {});
+            zigbee.publish('0x1', 'device', 'genOnOff', 'off', 'functional', {}, null, 1, () => {}, 'high');
+            expect(zigbee.queue.queue.map((j) => j.priority)).toStrictEqual(['normal', 'high']);
+        });
+    });
+
+    describe('Accept incoming devices', () => {
+        const accept = (ieeeAddr) => {
+            const callback = jest.fn();
+            jest.spyOn(zigbee, 'getPermitJoin').mockReturnValue(true);
+            zigbee._acceptDevIncoming({ieeeAddr}, callback);
+            return callback.mock.calls[0][1];
+        };
+
+        const mockSettings = (options) => {
+            const current = settings.get();
+            jest.spyOn(settings, 'get').mockReturnValue({...current, ...options});
+        };
+
+        it('Should accept every device when allowlist mode is disabled', () => {
+            mockSettings({allowlist_mode: false, allowlist: ['0x00124b0012345678']});
+            expect(accept('0x00124b0087654321')).toBe(true);
+        });
+
+        it('Should only accept devices on the allowlist in allowlist mode', () => {
+            mockSettings({allowlist_mode: true, allowlist: ['0x00124b0012345678']});
+            expect(accept('0x00124b0012345678')).toBe(true);
+            expect(accept('0x00124b0087654321')).toBe(false);
+
+            mockSettings({allowlist_mode: true, allowlist: []});
+            expect(accept('0x00124b0012345678')).toBe(false);
+        });
+    });
+
+    describe('Network scan', () => {
+        it('Should call the callback with the error when the scan fails', async () => {
+            zigbee.shepherd = {lqiScan: jest.fn().mockReturnValue(Promise.reject(new Error('timeout')))};
+            const [error, result] = await new Promise((resolve) => {
+                zigbee.networkScan((...args) => resolve(args));
+            });
+            expect(error).toStrictEqual(new Error('timeout'));
+            expect(result).toBeUndefined();
+        });
+    });
+});
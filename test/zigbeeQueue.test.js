@@ -0,0 +1,126 @@
+const ZigbeeQueue = require('../lib/util/zigbeeQueue');
+const utils = require('./utils');
+
+describe('Zigbee queue', () => {
+    let queue;
+
+    beforeEach(() => {
+        utils.stubLogger(jest);
+        jest.useFakeTimers();
+        queue = new ZigbeeQueue({timeout: 10});
+        queue.start();
+    });
+
+    afterEach(() => {
+        queue.stop();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    it('Should execute jobs with a higher priority first', () => {
+        const executed = [];
+        queue.push('0x1', (cb) => cb(executed.push('ping')), {priority: 'low'});
+        queue.push('0x1', (cb) => cb(executed.push('report')), {priority: 'low'});
+        queue.push('0x1', (cb) => cb(executed.push('set')), {priority: 'high'});
+        queue.push('0x1', (cb) => cb(executed.push('read')));
+
+        jest.advanceTimersByTime(1000);
+        expect(executed).toStrictEqual(['set', 'read', 'ping', 'report']);
+    });
+
+    it('Should fail a job after the timeout and continue with the next job', () => {
+        const callback = jest.fn();
+        const next = jest.fn((cb) => cb());
+        queue.push('0x1', () => {}, {callback, description: 'hangs'});
+        queue.push('0x1', next);
+
+        jest.advanceTimersByTime(5000);
+        expect(next).toHaveBeenCalledTimes(0);
+
+        jest.advanceTimersByTime(6000);
+        expect(callback).toHaveBeenCalledTimes(1);
+        expect(callback.mock.calls[0][0].message).toBe('timeout after 10 seconds');
+        expect(next).toHaveBeenCalledTimes(1);
+        expect(queue.getStatus().stuck).toHaveLength(1);
+        expect(queue.getStatus().stuck[0].description).toBe('hangs');
+    });
+
+    it('Should ignore a callback which arrives after the timeout', () => {
+        let late = null;
+        const callback = jest.fn();
+        queue.push('0x1', (cb) => late = cb, {callback});
+
+        jest.advanceTimersByTime(11000);
+        late(null);
+        expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it('Should retry configured errors', () => {
+        queue = new ZigbeeQueue({retry: [{error: 'rsp error: 205', retries: 2}]});
+        queue.start();
+        const callback = jest.fn();
+        const func = jest.fn((cb) => cb(new Error('rsp error: 205')));
+        queue.push('0x1', func, {callback});
+
+        jest.advanceTimersByTime(2000);
+        expect(func).toHaveBeenCalledTimes(3);
+        expect(callback).toHaveBeenCalledTimes(1);
+        expect(callback.mock.calls[0][0].message).toBe('rsp error: 205');
+    });
+
+    it('Should not retry other errors', () => {
+        const func = jest.fn((cb) => cb(new Error('rsp error: 1')));
+        queue.push('0x1', func);
+
+        jest.advanceTimersByTime(2000);
+        expect(func).toHaveBeenCalledTimes(1);
+    });
+
+    it('Should pass the result to the callback', () => {
+        const callback = jest.fn();
+        queue.push('0x1', (cb) => cb(null, {status: 0}), {callback});
+
+        jest.advanceTimersByTime(1000);
+        expect(callback).toHaveBeenCalledWith(null, {status: 0});
+    });
+
+    it('Should deduplicate identical pending jobs', () => {
+        queue.stop();
+        const func = jest.fn((cb) => cb(null));
+        const callback1 = jest.fn();
+        const callback2 = jest.fn();
+        queue.push('0x1', func, {key: 'on', callback: callback1, priority: 'low'});
+        queue.push('0x1', func, {key: 'on', callback: callback2, priority: 'high'});
+        expect(queue.getStatus().pending).toBe(1);
+        expect(queue.getStatus().priorities).toStrictEqual({high: 1, normal: 0, low: 0});
+
+        queue.start();
+        jest.advanceTimersByTime(1000);
+        expect(func).toHaveBeenCalledTimes(1);
+        expect(callback1).toHaveBeenCalledTimes(1);
+        expect(callback2).toHaveBeenCalledTimes(1);
+    });
+
+    it('Should not deduplicate when another job is in between', () => {
+        queue.stop();
+        queue.push('0x1', () => {}, {key: 'on'});
+        queue.push('0x1', () => {}, {key: 'off'});
+        queue.push('0x1', () => {}, {key: 'on'});
+        expect(queue.getStatus().pending).toBe(3);
+    });
+
+    it('Should report the queue status', () => {
+        queue.push('0x1', () => {}, {description: 'genOnOff - on'});
+        queue.push('0x1', () => {}, {priority: 'low'});
+        queue.push('0x2', () => {}, {priority: 'low'});
+
+        jest.advanceTimersByTime(2000);
+        const status = queue.getStatus();
+        expect(status.active).toBe(2);
+        expect(status.pending).toBe(1);
+        expect(status.priorities).toStrictEqual({high: 0, normal: 0, low: 1});
+        expect(status.active_jobs[0]).toStrictEqual(
+            {entityID: '0x1', description: 'genOnOff - on', running: expect.any(Number)}
+        );
+    });
+});